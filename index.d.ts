@@ -0,0 +1,592 @@
+import { EventEmitter } from "events";
+
+export type CheckName =
+  | "linting"
+  | "typeScript"
+  | "csfCompliance"
+  | "storyQuality"
+  | "conventions"
+  | "playQuality"
+  | "renderTest"
+  | "interactionTest"
+  | "accessibility"
+  | "visual";
+
+/**
+ * PASS, WARNING and FAIL evaluate the story; ERROR and TIMEOUT mean the check
+ * could not run to completion; SKIP means it does not apply
+ */
+export type CheckStatus =
+  | "PASS"
+  | "WARNING"
+  | "FAIL"
+  | "ERROR"
+  | "TIMEOUT"
+  | "SKIP";
+
+export type OverallStatus =
+  | "PASS"
+  | "WARNING"
+  | "FAIL"
+  | "ERROR"
+  | "NOT_EVALUATED";
+
+export type CheckSeverity = "critical" | "major" | "minor";
+
+export interface SourceLocation {
+  file: string;
+  line: number;
+  column: number;
+}
+
+/** A problem reported by ESLint or TypeScript */
+export interface Diagnostic {
+  file: string | null;
+  line: number | null;
+  column: number | null;
+  severity: "error" | "warning";
+  message: string;
+  /** ESLint rule id */
+  ruleId?: string | null;
+  /** TypeScript error code, e.g. 2322 for TS2322 */
+  code?: number;
+  fixable?: boolean;
+  fatal?: boolean;
+}
+
+export interface CheckResult {
+  status: CheckStatus;
+  error: string | null;
+  [key: string]: unknown;
+}
+
+export interface LintingResult extends CheckResult {
+  errorCount: number;
+  warningCount: number;
+  fixableErrorCount: number;
+  fixableWarningCount: number;
+  diagnostics: Diagnostic[];
+}
+
+export interface TypeScriptResult extends CheckResult {
+  tsconfig: string;
+  errorCount: number;
+  dependencyErrorCount: number;
+  diagnostics: Diagnostic[];
+  dependencyDiagnostics: Diagnostic[];
+}
+
+export interface AccessibilityViolation {
+  storyId: string;
+  storyName: string;
+  ruleId: string;
+  impact: "minor" | "moderate" | "serious" | "critical" | null;
+  level: "fail" | "warn" | "ignore";
+  help: string;
+  helpUrl: string;
+  targets: string[];
+}
+
+export interface AccessibilityResult extends CheckResult {
+  violations: AccessibilityViolation[];
+  stories: Array<{ id: string; name: string; violations: number }>;
+}
+
+export interface StoryQualityResult extends CheckResult {
+  /** The meta's `component` expression */
+  component: string | null;
+  /** Share of the props covered by args or argTypes; null when unknown */
+  coverage: number | null;
+  props: Array<{ name: string; required: boolean; covered: boolean }> | null;
+  issues: Array<{
+    level: "fail" | "warn";
+    message: string;
+    line: number | null;
+  }>;
+}
+
+export interface PlayFunctionResult {
+  id: string | null;
+  name: string;
+  /** Line of the play function */
+  line: number;
+  /** Whether the story runs the meta's play function */
+  inherited: boolean;
+  /** Counts are null when the play function is not declared in the file */
+  assertions: number | null;
+  /** `expect` calls without a matcher or on a constant */
+  vacuousAssertions: number;
+  /** `userEvent` and `fireEvent` calls */
+  interactions: number | null;
+  steps: number | null;
+}
+
+export interface PlayQualityResult extends CheckResult {
+  assertions?: number;
+  interactions?: number;
+  /** Average assertions per analyzed play function; null when there are none */
+  assertionsPerPlay?: number | null;
+  plays: PlayFunctionResult[];
+  issues: Array<{ level: "warn"; message: string; line: number }>;
+}
+
+export type ConventionName =
+  | "titleRoot"
+  | "tags"
+  | "layout"
+  | "metaTyping"
+  | "storyType"
+  | "storybookImport";
+
+export interface ConventionsResult extends CheckResult {
+  /** The profile file, or how many stories the profile was learned from */
+  profile: string;
+  /** Share of the profile's conventions the story follows */
+  conformance: number | null;
+  conventions: Array<{
+    name: ConventionName;
+    expected: string | string[];
+    actual: string | string[] | null;
+    followed: boolean;
+  }>;
+  issues: Array<{ level: "warn"; message: string; line: number | null }>;
+}
+
+export interface VisualSnapshotResult {
+  id: string;
+  name: string;
+  line: number | null;
+  /** NEW and UPDATED baselines were written, not compared */
+  status: "PASS" | "FAIL" | "NEW" | "UPDATED" | "SKIP";
+  baseline?: string;
+  /** Diff image, written when the story fails */
+  diff?: string | null;
+  diffPixels?: number | null;
+  diffRatio?: number | null;
+  error?: string;
+}
+
+export interface VisualResult extends CheckResult {
+  /** Share of pixels allowed to differ */
+  threshold: number;
+  snapshots: VisualSnapshotResult[];
+  issues: Array<{ level: "fail"; message: string; line: number | null }>;
+}
+
+export interface StoryTestResult {
+  status: CheckStatus;
+  error: string | null;
+  location: SourceLocation | null;
+}
+
+export interface ConsoleMessage {
+  type: "error" | "warn";
+  text: string;
+}
+
+/** What a story rendered into the Storybook root and logged meanwhile */
+export interface RenderInspection {
+  elements: number;
+  visibleElements: number;
+  /** Length of the visible text */
+  textLength: number;
+  /** Images, SVGs, canvases, media and form controls */
+  media: number;
+  /** Bounding box of the visible elements, in pixels */
+  width: number;
+  height: number;
+  console: ConsoleMessage[];
+  issues: Array<{ level: "fail" | "warn"; message: string }>;
+}
+
+export interface StoryResult {
+  id: string | null;
+  exportName: string;
+  name: string;
+  line: number;
+  testType: "smoke-test" | "play-test";
+  smokeTest: StoryTestResult;
+  playTest: StoryTestResult;
+  /** Set when the stories were inspected in a browser */
+  render?: RenderInspection;
+}
+
+export interface RenderTestResult extends CheckResult {
+  /** Runner failures and render inspection findings, when there are any */
+  issues?: Array<{
+    level: "fail" | "warn";
+    kind: "failure" | "empty" | "trivial" | "react" | "console";
+    message: string;
+    line: number;
+  }>;
+  /** Why the rendered stories could not be inspected */
+  inspectionError?: string;
+}
+
+export interface ValidationSummary {
+  totalChecks: number;
+  /** Checks that passed, warned or failed */
+  evaluatedChecks: number;
+  passedChecks: number;
+  warningChecks: number;
+  failedChecks: number;
+  /** Checks that errored or timed out */
+  erroredChecks: number;
+  skippedChecks: number;
+  /** Weighted score of the evaluated checks, null when there are none */
+  score: number | null;
+  overallStatus: OverallStatus;
+  /** Critical checks that failed, which fail the story whatever its score */
+  criticalFailures: CheckName[];
+  /** Critical and major checks that errored or timed out */
+  notEvaluatedChecks: CheckName[];
+}
+
+export interface ValidationResults {
+  storyFile: string;
+  timestamp: string;
+  checks: {
+    linting?: LintingResult;
+    typeScript?: TypeScriptResult;
+    csfCompliance?: CheckResult;
+    storyQuality?: StoryQualityResult;
+    conventions?: ConventionsResult;
+    playQuality?: PlayQualityResult;
+    renderTest?: RenderTestResult;
+    interactionTest?: CheckResult;
+    accessibility?: AccessibilityResult;
+    visual?: VisualResult;
+  };
+  stories?: StoryResult[];
+  testBackend?: "vitest" | "test-runner" | null;
+  summary?: ValidationSummary;
+  /** Tail of Storybook's output when it failed to start */
+  storybookLog?: string | null;
+  /** Set when validation itself failed */
+  error?: string;
+}
+
+export interface CheckStartedEvent {
+  storyFile: string;
+  check: CheckName;
+}
+
+export interface CheckFinishedEvent extends CheckStartedEvent {
+  result: CheckResult;
+}
+
+export interface CheckConfig {
+  enabled?: boolean;
+  /** Weight of the check in the score (default: 1) */
+  weight?: number;
+  /** How a failure of this check affects the overall status */
+  severity?: CheckSeverity;
+  /** Shorthand for `severity: "critical"` */
+  required?: boolean;
+  /**
+   * Conventions profile file, relative to the project root (conventions
+   * check only; learned from the project's stories when absent)
+   */
+  profile?: string;
+  /** Share of pixels allowed to differ, 0 to 1 (visual check only) */
+  threshold?: number;
+  /**
+   * Inspect the rendered stories (renderTest check only; by default only
+   * with the test-runner, as the Vitest backend starts Storybook for it)
+   */
+  inspect?: boolean;
+}
+
+export interface ValidationConfig {
+  checks?: Partial<Record<CheckName, boolean | CheckConfig>>;
+  thresholds?: {
+    /** Minimum score for PASS (default: 80) */
+    pass?: number;
+    /** Minimum score for WARNING (default: 60) */
+    warning?: number;
+  };
+}
+
+export interface ValidatorOptions {
+  /** Only run these checks (default: the checks the config enables) */
+  checks?: CheckName[];
+  /** Config file to use instead of storybook-validate.config.{js,json} */
+  configFile?: string;
+  /** Config applied on top of the config file */
+  config?: ValidationConfig;
+  /** Preferred Storybook port; a free one is used when it is taken */
+  port?: number;
+  /** Timeout for each tool a check runs (ESLint, the test-runner, Vitest) */
+  timeoutMs?: number;
+  /** How long to wait for the Storybook dev server to start */
+  storybookTimeoutMs?: number;
+  /** Test against this running Storybook instead of starting one */
+  storybookUrl?: string;
+  /** Test against this static Storybook build */
+  staticDir?: string;
+  testBackend?: "vitest" | "test-runner";
+  a11y?: {
+    failImpacts?: string[];
+    warnImpacts?: string[];
+  };
+  /** Replace the visual check's baseline images instead of comparing */
+  updateSnapshots?: boolean;
+  /** Cancels the validation and stops the processes it started */
+  signal?: AbortSignal;
+}
+
+export interface ValidateStoryOptions extends ValidatorOptions {
+  onCheckStarted?: (event: CheckStartedEvent) => void;
+  onCheckFinished?: (event: CheckFinishedEvent) => void;
+}
+
+export const CHECK_NAMES: CheckName[];
+
+export function validateStory(
+  storyFilePath: string,
+  options?: ValidateStoryOptions
+): Promise<ValidationResults>;
+
+export class StoryValidator extends EventEmitter {
+  constructor(storyFilePath: string, options?: ValidatorOptions);
+  results: ValidationResults;
+  validate(silent?: boolean, checks?: CheckName[]): Promise<ValidationResults>;
+  getResultsJSON(): string;
+  /** Markdown feedback for the LLM that wrote the story */
+  getResultsPrompt(maxTokens?: number): string;
+  /** JUnit XML, one test case per check */
+  getResultsJUnit(): string;
+  /** ESLint, TypeScript and CSF diagnostics as a SARIF 2.1.0 log */
+  getResultsSarif(): string;
+  cleanup(): Promise<void>;
+  on(event: "checkStarted", listener: (event: CheckStartedEvent) => void): this;
+  on(
+    event: "checkFinished",
+    listener: (event: CheckFinishedEvent) => void
+  ): this;
+}
+
+export class BatchValidator {
+  constructor(storyFilePaths: string[], options?: ValidatorOptions);
+  validate(silent?: boolean): Promise<{
+    timestamp: string;
+    files: ValidationResults[];
+    totals: Record<string, unknown>;
+  }>;
+  getResultsJSON(): string;
+  /** One repair prompt per file, sharing the token budget */
+  getResultsPrompt(maxTokens?: number): string;
+  /** JUnit XML, one test case per check */
+  getResultsJUnit(): string;
+  /** ESLint, TypeScript and CSF diagnostics as a SARIF 2.1.0 log */
+  getResultsSarif(): string;
+  cleanup(silent?: boolean): Promise<void>;
+}
+
+export interface GeneratorContext {
+  attempt: number;
+  componentFile: string;
+  componentName: string;
+  storyFile: string;
+  /** Story of the previous attempt, null on the first one */
+  previousStory: string | null;
+  /** Repair prompt of the previous attempt, null on the first one */
+  feedback: string | null;
+}
+
+/** Asks a model for a story file; the reply may wrap it in a code fence */
+export interface StoryGenerator {
+  generate(prompt: string, context: GeneratorContext): Promise<string>;
+}
+
+export class CommandGenerator implements StoryGenerator {
+  constructor(
+    command: string,
+    options?: { cwd?: string; timeoutMs?: number; signal?: AbortSignal }
+  );
+  generate(prompt: string): Promise<string>;
+}
+
+export class ModuleGenerator implements StoryGenerator {
+  constructor(modulePath: string);
+  generate(prompt: string, context: GeneratorContext): Promise<string>;
+}
+
+export class StubGenerator implements StoryGenerator {
+  constructor(replies?: string[]);
+  prompts: string[];
+  generate(prompt: string, context: GeneratorContext): Promise<string>;
+}
+
+/** `stub`, a path to a CommonJS module, or a shell command */
+export function createGenerator(
+  spec: string,
+  options?: { cwd?: string; timeoutMs?: number; signal?: AbortSignal }
+): StoryGenerator;
+
+export interface RepairLoopOptions extends ValidatorOptions {
+  generator: StoryGenerator;
+  /** Default: `<Component>.stories.<ext>` next to the component */
+  storyFilePath?: string;
+  promptTemplate?: string;
+  /** Default: 3 */
+  maxAttempts?: number;
+  /** Stop on WARNING, not only on PASS */
+  acceptWarnings?: boolean;
+  /** Token budget of the feedback passed to repair attempts */
+  maxTokens?: number;
+}
+
+export interface RepairAttempt {
+  attempt: number;
+  prompt: string;
+  story: string | null;
+  results: ValidationResults | null;
+  feedback: string | null;
+  /** Set when the generator failed */
+  error: string | null;
+  durationMs: number;
+}
+
+export interface RepairLoopResults {
+  componentFile: string;
+  storyFile: string;
+  timestamp: string;
+  attempts: RepairAttempt[];
+  outcome: {
+    accepted: boolean;
+    attempts: number;
+    /** The accepted attempt, or the best scoring one */
+    attempt: number | null;
+    overallStatus: OverallStatus;
+    score: number | null;
+    error: string | null;
+    /** Story left in the story file */
+    story: string | null;
+  } | null;
+}
+
+export class RepairLoop extends EventEmitter {
+  constructor(componentFilePath: string, options: RepairLoopOptions);
+  storyFilePath: string;
+  results: RepairLoopResults;
+  run(silent?: boolean): Promise<RepairLoopResults>;
+  getResultsJSON(): string;
+  on(
+    event: "attemptStarted",
+    listener: (event: { attempt: number; prompt: string }) => void
+  ): this;
+  on(
+    event: "attemptFinished",
+    listener: (attempt: RepairAttempt) => void
+  ): this;
+}
+
+export interface ExperimentEntry {
+  component: string | null;
+  variant: string;
+  story: string;
+}
+
+export interface ExperimentManifest {
+  name: string;
+  entries: ExperimentEntry[];
+}
+
+/** One line of the experiment store */
+export interface ExperimentRecord {
+  runId: string;
+  experiment: string;
+  timestamp: string;
+  component: string | null;
+  variant: string;
+  storyFile: string;
+  overallStatus: OverallStatus | "ERROR";
+  score: number | null;
+  checks: Partial<Record<CheckName, CheckStatus>>;
+  error: string | null;
+}
+
+export interface PassRate {
+  passed: number;
+  evaluated: number;
+  /** Percentage, null when nothing was evaluated */
+  passRate: number | null;
+}
+
+export interface VariantComparison {
+  runs: string[];
+  checks: CheckName[];
+  variants: Array<{
+    variant: string;
+    stories: number;
+    passedStories: number;
+    passRate: number | null;
+    averageScore: number | null;
+    checks: Partial<Record<CheckName, PassRate>>;
+  }>;
+}
+
+/** Reads an experiment manifest; paths are resolved against its directory */
+export function loadManifest(manifestPath: string): ExperimentManifest;
+
+export function compareVariants(records: ExperimentRecord[]): VariantComparison;
+
+export class ExperimentStore {
+  constructor(filePath: string);
+  filePath: string;
+  append(records: ExperimentRecord[]): void;
+  read(filter?: { runId?: string; experiment?: string }): ExperimentRecord[];
+}
+
+export class ExperimentRunner extends BatchValidator {
+  constructor(
+    manifest: ExperimentManifest,
+    options: ValidatorOptions & {
+      storePath: string;
+      runId?: string;
+      baseDir?: string;
+    }
+  );
+  runId: string;
+  store: ExperimentStore;
+  run(silent?: boolean): Promise<{
+    timestamp: string;
+    files: ValidationResults[];
+    totals: Record<string, unknown>;
+    runId: string;
+    experiment: string;
+    comparison: VariantComparison;
+  }>;
+}
+
+export class WatchValidator extends BatchValidator {
+  constructor(
+    storyFilePaths: string[],
+    options?: ValidatorOptions & { watchImports?: boolean }
+  );
+  watch(): Promise<void>;
+}
+
+export interface ReportOptions {
+  title?: string;
+  /** Contents of a story file, for source excerpts; null leaves them out */
+  getSource?: (results: ValidationResults) => string | null;
+}
+
+/** Markdown summary of validation results, e.g. for a PR comment */
+export function formatMarkdownReport(
+  storyResults: ValidationResults[],
+  options?: ReportOptions
+): string;
+
+/** Self-contained HTML page of validation results */
+export function formatHtmlReport(
+  storyResults: ValidationResults[],
+  options?: ReportOptions
+): string;
+
+/** Story results of results JSON files (single story, batch, experiment or loop output) */
+export function loadResultFiles(
+  filePaths: string[]
+): Array<{ file: string; results: ValidationResults }>;
@@ -0,0 +1,97 @@
+/**
+ * Programmatic API
+ *
+ * Validates story files from Node without printing anything. Types for the
+ * options and results are in index.d.ts.
+ *
+ * @example
+ * const { validateStory } = require("storybook-validation-script");
+ *
+ * const controller = new AbortController();
+ * const results = await validateStory("src/Button.stories.tsx", {
+ *   checks: ["linting", "typeScript", "renderTest"],
+ *   timeoutMs: 60000,
+ *   signal: controller.signal,
+ *   onCheckFinished: ({ check, result }) => console.log(check, result.status),
+ * });
+ */
+
+const StoryValidator = require("./validate_story");
+const {
+  CommandGenerator,
+  ModuleGenerator,
+  StubGenerator,
+  createGenerator,
+} = require("./lib/generators");
+const {
+  BatchValidator,
+  CHECK_NAMES,
+  ExperimentRunner,
+  RepairLoop,
+  WatchValidator,
+} = StoryValidator;
+const {
+  ExperimentStore,
+  compareVariants,
+  loadManifest,
+} = require("./lib/experiments");
+const {
+  formatHtmlReport,
+  formatMarkdownReport,
+  loadResultFiles,
+} = require("./lib/report");
+
+/**
+ * Validate a single story file
+ *
+ * @param {string} storyFilePath
+ * @param {object} [options] - StoryValidator options (`checks`, `port`,
+ *   `timeoutMs`, `storybookTimeoutMs`, `storybookUrl`, `staticDir`,
+ *   `testBackend`, `a11y`, `updateSnapshots`, `signal`) plus
+ *   `onCheckStarted` and `onCheckFinished` progress listeners
+ * @returns {Promise<object>} The validation results; rejects with the
+ *   signal's reason when aborted
+ */
+async function validateStory(storyFilePath, options = {}) {
+  const { onCheckStarted, onCheckFinished, ...validatorOptions } = options;
+
+  const unknownChecks = (validatorOptions.checks || []).filter(
+    (check) => !CHECK_NAMES.includes(check)
+  );
+  if (unknownChecks.length > 0) {
+    throw new TypeError(
+      `Unknown check(s): ${unknownChecks.join(
+        ", "
+      )} (expected ${CHECK_NAMES.join(", ")})`
+    );
+  }
+
+  const validator = new StoryValidator(storyFilePath, validatorOptions);
+  if (onCheckStarted) {
+    validator.on("checkStarted", onCheckStarted);
+  }
+  if (onCheckFinished) {
+    validator.on("checkFinished", onCheckFinished);
+  }
+  return validator.validate(true);
+}
+
+module.exports = {
+  BatchValidator,
+  CHECK_NAMES,
+  CommandGenerator,
+  ExperimentRunner,
+  ExperimentStore,
+  ModuleGenerator,
+  RepairLoop,
+  StoryValidator,
+  StubGenerator,
+  WatchValidator,
+  compareVariants,
+  createGenerator,
+  formatHtmlReport,
+  formatMarkdownReport,
+  loadManifest,
+  loadResultFiles,
+  validateStory,
+};
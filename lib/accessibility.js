@@ -0,0 +1,122 @@
+/**
+ * Accessibility check
+ *
+ * Turns the axe results reported by @storybook/addon-a11y for each story into
+ * the `accessibility` check. Which violation impacts fail the check and which
+ * only warn is configurable.
+ */
+
+const IMPACT_LEVELS = ["minor", "moderate", "serious", "critical"];
+
+const DEFAULT_A11Y_OPTIONS = {
+  failImpacts: ["serious", "critical"],
+  warnImpacts: ["minor", "moderate"],
+};
+
+/**
+ * Parse a comma-separated list of impact levels, rejecting unknown ones
+ */
+function parseImpactLevels(value) {
+  const levels = value
+    .split(",")
+    .map((level) => level.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = levels.filter((level) => !IMPACT_LEVELS.includes(level));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown a11y impact level(s): ${unknown.join(
+        ", "
+      )} (expected ${IMPACT_LEVELS.join(", ")})`
+    );
+  }
+  return levels;
+}
+
+/**
+ * Classify a violation impact as "fail", "warn" or "ignore"
+ */
+function getViolationLevel(impact, options) {
+  if (options.failImpacts.includes(impact)) return "fail";
+  if (options.warnImpacts.includes(impact)) return "warn";
+  return "ignore";
+}
+
+/**
+ * Flatten the axe violations of one story into one entry per rule
+ */
+function collectViolations(story, axeResult, options) {
+  return ((axeResult && axeResult.violations) || []).map((violation) => ({
+    storyId: story.id,
+    storyName: story.name,
+    ruleId: violation.id,
+    impact: violation.impact || null,
+    level: getViolationLevel(violation.impact, options),
+    help: violation.help,
+    helpUrl: violation.helpUrl,
+    targets: (violation.nodes || []).map((node) =>
+      [].concat(node.target).join(" ")
+    ),
+  }));
+}
+
+/**
+ * Build the accessibility check from per-story a11y reports
+ *
+ * @param {Array<{id: string, name: string, report: object|null}>} stories -
+ *   Each story with the addon's `{ type: "a11y", result }` report, or null
+ *   when the story was not checked
+ * @param {object} [options] - `failImpacts` / `warnImpacts` impact levels
+ */
+function summarizeAccessibility(stories, options = DEFAULT_A11Y_OPTIONS) {
+  const checked = stories.filter((story) => story.report);
+
+  if (checked.length === 0) {
+    return {
+      status: "SKIP",
+      error: "No accessibility reports found for this story",
+      violations: [],
+      stories: [],
+    };
+  }
+
+  const violations = checked.flatMap((story) =>
+    collectViolations(story, story.report.result, options)
+  );
+  const failing = violations.filter((violation) => violation.level === "fail");
+  const warning = violations.filter((violation) => violation.level === "warn");
+  const describe = (list) =>
+    list
+      .map(
+        (violation) =>
+          `${violation.storyName}: ${violation.ruleId} (${
+            violation.impact
+          }) at ${violation.targets.join(", ")}`
+      )
+      .join("\n");
+
+  return {
+    status:
+      failing.length > 0 ? "FAIL" : warning.length > 0 ? "WARNING" : "PASS",
+    error:
+      failing.length > 0
+        ? describe(failing)
+        : warning.length > 0
+        ? describe(warning)
+        : null,
+    violations,
+    stories: checked.map((story) => ({
+      id: story.id,
+      name: story.name,
+      violations: violations.filter(
+        (violation) => violation.storyId === story.id
+      ).length,
+    })),
+  };
+}
+
+module.exports = {
+  DEFAULT_A11Y_OPTIONS,
+  IMPACT_LEVELS,
+  parseImpactLevels,
+  summarizeAccessibility,
+};
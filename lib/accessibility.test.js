@@ -0,0 +1,89 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const {
+  parseImpactLevels,
+  summarizeAccessibility,
+} = require("./accessibility");
+
+const report = (...violations) => ({
+  type: "a11y",
+  result: {
+    violations: violations.map(([id, impact, target]) => ({
+      id,
+      impact,
+      help: `${id} help`,
+      helpUrl: `https://dequeuniversity.com/rules/axe/4.10/${id}`,
+      nodes: [{ target: [target] }],
+    })),
+  },
+});
+
+test("fails on serious violations and lists their targets", () => {
+  const check = summarizeAccessibility([
+    {
+      id: "test-button--primary",
+      name: "Primary",
+      report: report(["color-contrast", "serious", "button.primary"]),
+    },
+    { id: "test-button--secondary", name: "Secondary", report: report() },
+  ]);
+
+  assert.equal(check.status, "FAIL");
+  assert.equal(
+    check.error,
+    "Primary: color-contrast (serious) at button.primary"
+  );
+  assert.deepEqual(check.violations[0], {
+    storyId: "test-button--primary",
+    storyName: "Primary",
+    ruleId: "color-contrast",
+    impact: "serious",
+    level: "fail",
+    help: "color-contrast help",
+    helpUrl: "https://dequeuniversity.com/rules/axe/4.10/color-contrast",
+    targets: ["button.primary"],
+  });
+  assert.deepEqual(
+    check.stories.map((story) => story.violations),
+    [1, 0]
+  );
+});
+
+test("honours configured impact levels", () => {
+  const stories = [
+    {
+      id: "a--b",
+      name: "B",
+      report: report(["region", "moderate", "div"]),
+    },
+  ];
+
+  assert.equal(summarizeAccessibility(stories).status, "WARNING");
+  assert.equal(
+    summarizeAccessibility(stories, {
+      failImpacts: ["moderate"],
+      warnImpacts: [],
+    }).status,
+    "FAIL"
+  );
+  assert.equal(
+    summarizeAccessibility(stories, { failImpacts: [], warnImpacts: [] })
+      .status,
+    "PASS"
+  );
+});
+
+test("skips when no story was checked", () => {
+  const check = summarizeAccessibility([
+    { id: "a--b", name: "B", report: null },
+  ]);
+  assert.equal(check.status, "SKIP");
+});
+
+test("parses impact level lists", () => {
+  assert.deepEqual(parseImpactLevels("Serious, critical"), [
+    "serious",
+    "critical",
+  ]);
+  assert.throws(() => parseImpactLevels("severe"), /Unknown a11y impact/);
+});
@@ -0,0 +1,285 @@
+/**
+ * CI formats
+ *
+ * Writes validation results in formats CI servers display natively:
+ *
+ *   - JUnit XML: one test suite per story file and one test case per check.
+ *     FAIL is a failure, ERROR and TIMEOUT are errors, SKIP is skipped and
+ *     WARNING passes with its issues on system-out.
+ *   - SARIF 2.1.0: the ESLint, TypeScript and CSF diagnostics with their file
+ *     locations, for code scanning annotations.
+ */
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { collectIssues } = require("./repair_prompt");
+const { stripAnsi } = require("./story_results");
+const { version } = require("../package.json");
+
+const TOOL_NAME = "storybook-validation-script";
+
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+
+/**
+ * Escape text for XML, dropping characters XML 1.0 does not allow
+ */
+function escapeXml(text) {
+  return stripAnsi(String(text))
+    .replace(
+      /[^\x09\x0A\x0D\x20-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu,
+      ""
+    )
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Issues of a check as plain text, one per line
+ */
+function describeIssues(checkName, check, results) {
+  return collectIssues(checkName, check, results)
+    .map((issue) => (issue.line ? `line ${issue.line}: ` : "") + issue.message)
+    .join("\n");
+}
+
+/**
+ * JUnit test case of one check
+ */
+function formatTestCase(results, checkName, check) {
+  const open = `    <testcase name="${escapeXml(
+    checkName
+  )}" classname="${escapeXml(results.storyFile)}"`;
+  const details = () => escapeXml(describeIssues(checkName, check, results));
+  const message = () => escapeXml((check.error || check.status).split("\n")[0]);
+
+  switch (check.status) {
+    case "PASS":
+      return `${open}/>`;
+    case "SKIP":
+      return `${open}>\n      <skipped message="${message()}"/>\n    </testcase>`;
+    case "WARNING":
+      return `${open}>\n      <system-out>WARNING\n${details()}</system-out>\n    </testcase>`;
+    case "FAIL":
+      return `${open}>\n      <failure message="${message()}" type="FAIL">${details()}</failure>\n    </testcase>`;
+    default:
+      return `${open}>\n      <error message="${message()}" type="${escapeXml(
+        check.status
+      )}">${details()}</error>\n    </testcase>`;
+  }
+}
+
+/**
+ * Render story results as JUnit XML
+ *
+ * @param {object[]} storyResults - StoryValidator results
+ * @returns {string}
+ */
+function formatJUnit(storyResults) {
+  const totals = { tests: 0, failures: 0, errors: 0, skipped: 0 };
+
+  const suites = storyResults.map((results) => {
+    const checks = Object.entries(results.checks || {});
+    const testCases = checks.map(([checkName, check]) =>
+      formatTestCase(results, checkName, check)
+    );
+    const count = (...statuses) =>
+      checks.filter(([, check]) => statuses.includes(check.status)).length;
+    const suite = {
+      tests: checks.length,
+      failures: count("FAIL"),
+      errors: count("ERROR", "TIMEOUT"),
+      skipped: count("SKIP"),
+    };
+
+    // A validation that failed before any check ran is one errored test
+    if (results.error && checks.length === 0) {
+      suite.tests = 1;
+      suite.errors = 1;
+      testCases.push(
+        `    <testcase name="validation" classname="${escapeXml(
+          results.storyFile
+        )}">\n      <error message="${escapeXml(
+          results.error.split("\n")[0]
+        )}" type="ERROR">${escapeXml(results.error)}</error>\n    </testcase>`
+      );
+    }
+    Object.keys(totals).forEach((key) => (totals[key] += suite[key]));
+
+    const properties = results.summary
+      ? [
+          "    <properties>",
+          `      <property name="overallStatus" value="${escapeXml(
+            results.summary.overallStatus
+          )}"/>`,
+          `      <property name="score" value="${
+            results.summary.score === null ? "" : results.summary.score
+          }"/>`,
+          "    </properties>",
+        ]
+      : [];
+
+    return [
+      `  <testsuite name="${escapeXml(results.storyFile)}" tests="${
+        suite.tests
+      }" failures="${suite.failures}" errors="${suite.errors}" skipped="${
+        suite.skipped
+      }"${
+        results.timestamp ? ` timestamp="${escapeXml(results.timestamp)}"` : ""
+      }>`,
+      ...properties,
+      ...testCases,
+      "  </testsuite>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Storybook validation" tests="${totals.tests}" failures="${totals.failures}" errors="${totals.errors}" skipped="${totals.skipped}">`,
+    ...suites,
+    "</testsuites>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * SARIF artifact URI of a file: relative to `baseDir` when inside it, a
+ * file:// URI otherwise
+ */
+function toArtifactUri(filePath, baseDir) {
+  const absolute = path.resolve(baseDir, filePath);
+  const relative = path.relative(baseDir, absolute);
+  if (relative.startsWith("..") || path.isAbsolute(relative)) {
+    return pathToFileURL(absolute).href;
+  }
+  return relative.split(path.sep).join("/");
+}
+
+/**
+ * Diagnostics of a story's ESLint, TypeScript and CSF checks as
+ * `{ruleId, level, message, file, line, column}`
+ */
+function collectSarifDiagnostics(results) {
+  const checks = results.checks || {};
+  const diagnostics = [];
+  const add = (ruleId, diagnostic, file = diagnostic.file) =>
+    diagnostics.push({
+      ruleId,
+      level: diagnostic.severity === "warning" ? "warning" : "error",
+      message: stripAnsi(diagnostic.message),
+      file: file || results.storyFile,
+      line: diagnostic.line || null,
+      column: diagnostic.column || null,
+    });
+
+  if (checks.linting) {
+    (checks.linting.diagnostics || []).forEach((diagnostic) =>
+      add(diagnostic.ruleId || "eslint", diagnostic)
+    );
+  }
+  if (checks.typeScript) {
+    [
+      ...(checks.typeScript.diagnostics || []),
+      ...(checks.typeScript.dependencyDiagnostics || []),
+    ].forEach((diagnostic) =>
+      add(diagnostic.code ? `TS${diagnostic.code}` : "typescript", diagnostic)
+    );
+  }
+
+  const csf = checks.csfCompliance;
+  if (csf) {
+    (csf.parseErrors || []).forEach((parseError) =>
+      add(
+        "csf-parse-error",
+        { ...parseError, severity: "error" },
+        results.storyFile
+      )
+    );
+    if (csf.status === "FAIL" && csf.error) {
+      // Point at the legacy API calls or function stories the message names
+      const lines = [
+        ...(csf.legacyApis || []).map((usage) => usage.line),
+        ...(csf.stories || [])
+          .filter((story) => ["function", "template"].includes(story.kind))
+          .map((story) => story.line),
+      ];
+      (lines.length > 0 ? lines : [csf.meta ? csf.meta.line : null]).forEach(
+        (line) =>
+          add(
+            "csf-compliance",
+            { message: csf.error, severity: "error", line },
+            results.storyFile
+          )
+      );
+    }
+  }
+  return diagnostics;
+}
+
+/**
+ * Render story results as a SARIF 2.1.0 log
+ *
+ * @param {object[]} storyResults - StoryValidator results
+ * @param {object} [options]
+ * @param {string} [options.baseDir] - Paths are written relative to it
+ *   (default: the working directory)
+ * @returns {string} JSON
+ */
+function formatSarif(storyResults, options = {}) {
+  const baseDir = options.baseDir || process.cwd();
+  const diagnostics = storyResults.flatMap(collectSarifDiagnostics);
+  const ruleIds = [
+    ...new Set(diagnostics.map((diagnostic) => diagnostic.ruleId)),
+  ];
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: "2.1.0",
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version,
+            rules: ruleIds.map((ruleId) => ({ id: ruleId })),
+          },
+        },
+        results: diagnostics.map((diagnostic) => {
+          const region = diagnostic.line
+            ? {
+                startLine: diagnostic.line,
+                ...(diagnostic.column
+                  ? { startColumn: diagnostic.column }
+                  : {}),
+              }
+            : undefined;
+          return {
+            ruleId: diagnostic.ruleId,
+            ruleIndex: ruleIds.indexOf(diagnostic.ruleId),
+            level: diagnostic.level,
+            message: { text: diagnostic.message },
+            locations: [
+              {
+                physicalLocation: {
+                  artifactLocation: {
+                    uri: toArtifactUri(diagnostic.file, baseDir),
+                  },
+                  ...(region ? { region } : {}),
+                },
+              },
+            ],
+          };
+        }),
+      },
+    ],
+  };
+  return JSON.stringify(log, null, 2);
+}
+
+module.exports = {
+  collectSarifDiagnostics,
+  escapeXml,
+  formatJUnit,
+  formatSarif,
+};
@@ -0,0 +1,161 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { pathToFileURL } = require("url");
+const {
+  collectSarifDiagnostics,
+  escapeXml,
+  formatJUnit,
+  formatSarif,
+} = require("./ci_formats");
+
+const results = {
+  storyFile: "src/Button.stories.tsx",
+  timestamp: "2026-01-01T00:00:00.000Z",
+  checks: {
+    linting: {
+      status: "WARNING",
+      diagnostics: [
+        {
+          file: "/project/src/Button.stories.tsx",
+          line: 3,
+          column: 7,
+          severity: "warning",
+          message: "'unused' is assigned a value but never used.",
+          ruleId: "no-unused-vars",
+        },
+      ],
+    },
+    typeScript: {
+      status: "FAIL",
+      diagnostics: [
+        {
+          file: "/project/src/Button.stories.tsx",
+          line: 9,
+          column: 14,
+          severity: "error",
+          message: "Type 'number' is not assignable to type 'string'.",
+          code: 2322,
+        },
+      ],
+      dependencyDiagnostics: [],
+    },
+    csfCompliance: {
+      status: "FAIL",
+      error: "Detected CSF2 format: Primary (line 12) should be story objects",
+      meta: { line: 5 },
+      stories: [{ exportName: "Primary", kind: "template", line: 12 }],
+      legacyApis: [],
+      parseErrors: [],
+    },
+    renderTest: { status: "TIMEOUT", error: "Timed out after 60s" },
+    accessibility: { status: "SKIP", error: "No stories rendered" },
+  },
+  summary: { overallStatus: "FAIL", score: 38 },
+};
+
+test("writes one JUnit test case per check", () => {
+  const xml = formatJUnit([results]);
+
+  assert.match(xml, /^<\?xml version="1\.0" encoding="UTF-8"\?>/);
+  assert.match(
+    xml,
+    /<testsuites name="Storybook validation" tests="5" failures="2" errors="1" skipped="1">/
+  );
+  assert.match(
+    xml,
+    /<testsuite name="src\/Button\.stories\.tsx" tests="5" failures="2" errors="1" skipped="1" timestamp="2026-01-01T00:00:00\.000Z">/
+  );
+  assert.match(xml, /<property name="score" value="38"\/>/);
+  assert.match(
+    xml,
+    /<testcase name="typeScript" classname="src\/Button\.stories\.tsx">\s*<failure message="FAIL" type="FAIL">line 9: error: Type 'number'/
+  );
+  assert.match(xml, /<error message="Timed out after 60s" type="TIMEOUT">/);
+  assert.match(xml, /<skipped message="No stories rendered"\/>/);
+  assert.match(xml, /<system-out>WARNING\nline 3: warning: /);
+});
+
+test("reports a validation that never ran as an errored test", () => {
+  const xml = formatJUnit([
+    { storyFile: "src/Gone.stories.tsx", checks: {}, error: "Not found" },
+  ]);
+
+  assert.match(xml, /tests="1" failures="0" errors="1" skipped="0"/);
+  assert.match(
+    xml,
+    /<testcase name="validation" classname="src\/Gone\.stories\.tsx">\s*<error message="Not found" type="ERROR">/
+  );
+});
+
+test("escapes XML and drops characters it cannot contain", () => {
+  assert.equal(
+    escapeXml('\u001b[31m<a b="c">&\u0000</a>\u001b[39m'),
+    "&lt;a b=&quot;c&quot;&gt;&amp;&lt;/a&gt;"
+  );
+});
+
+test("collects ESLint, TypeScript and CSF diagnostics for SARIF", () => {
+  assert.deepEqual(
+    collectSarifDiagnostics(results).map(({ ruleId, level, file, line }) => ({
+      ruleId,
+      level,
+      file,
+      line,
+    })),
+    [
+      {
+        ruleId: "no-unused-vars",
+        level: "warning",
+        file: "/project/src/Button.stories.tsx",
+        line: 3,
+      },
+      {
+        ruleId: "TS2322",
+        level: "error",
+        file: "/project/src/Button.stories.tsx",
+        line: 9,
+      },
+      {
+        ruleId: "csf-compliance",
+        level: "error",
+        file: "src/Button.stories.tsx",
+        line: 12,
+      },
+    ]
+  );
+});
+
+test("writes a SARIF log with locations relative to the base directory", () => {
+  const log = JSON.parse(formatSarif([results], { baseDir: "/project" }));
+  const [run] = log.runs;
+
+  assert.equal(log.version, "2.1.0");
+  assert.equal(run.tool.driver.name, "storybook-validation-script");
+  assert.deepEqual(
+    run.tool.driver.rules.map((rule) => rule.id),
+    ["no-unused-vars", "TS2322", "csf-compliance"]
+  );
+  assert.deepEqual(run.results[1], {
+    ruleId: "TS2322",
+    ruleIndex: 1,
+    level: "error",
+    message: { text: "Type 'number' is not assignable to type 'string'." },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: "src/Button.stories.tsx" },
+          region: { startLine: 9, startColumn: 14 },
+        },
+      },
+    ],
+  });
+  assert.equal(
+    run.results[2].locations[0].physicalLocation.artifactLocation.uri,
+    "src/Button.stories.tsx"
+  );
+  assert.equal(
+    JSON.parse(formatSarif([results], { baseDir: "/elsewhere" })).runs[0]
+      .results[0].locations[0].physicalLocation.artifactLocation.uri,
+    pathToFileURL("/project/src/Button.stories.tsx").href
+  );
+});
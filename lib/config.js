@@ -0,0 +1,370 @@
+/**
+ * Validation config
+ *
+ * Loads `storybook-validate.config.js` or `storybook-validate.config.json`
+ * from a project root and merges it with the defaults and with overrides
+ * from the command line. The config decides which checks run, how much each
+ * one weighs in the score, how severe a failure of each one is, and the score
+ * thresholds.
+ *
+ * Severities (see lib/scoring.js for how they decide the verdict):
+ *   critical - a failure fails the story whatever its score
+ *   major    - a failure keeps the story from passing
+ *   minor    - a failure only lowers the score
+ * `required: true` is a shorthand for the critical severity. The conventions
+ * check also takes a `profile` file, relative to the project root, the
+ * opt-in visual check a `threshold`: the share of pixels allowed to differ,
+ * and the renderTest check `inspect`: whether to inspect the rendered stories
+ * (by default only with the test-runner, as the Vitest backend needs a
+ * Storybook started for it).
+ *
+ * @example
+ * // storybook-validate.config.json
+ * {
+ *   "checks": {
+ *     "accessibility": false,
+ *     "typeScript": { "weight": 2, "severity": "critical" },
+ *     "conventions": { "profile": "conventions.json" }
+ *   },
+ *   "thresholds": { "pass": 90, "warning": 70 }
+ * }
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const CONFIG_FILE_NAMES = [
+  "storybook-validate.config.js",
+  "storybook-validate.config.json",
+];
+
+const CHECK_NAMES = [
+  "linting",
+  "typeScript",
+  "csfCompliance",
+  "storyQuality",
+  "conventions",
+  "playQuality",
+  "renderTest",
+  "interactionTest",
+  "accessibility",
+  "visual",
+];
+
+const SEVERITIES = ["critical", "major", "minor"];
+
+/**
+ * Checks whose failure means the story does not work, whatever else passes
+ */
+const CRITICAL_CHECKS = ["csfCompliance", "renderTest", "interactionTest"];
+
+/**
+ * Heuristic checks, which only lower the score
+ */
+const MINOR_CHECKS = ["storyQuality", "conventions", "playQuality"];
+
+/**
+ * Checks that write files into the project, which only run when enabled
+ */
+const OPT_IN_CHECKS = ["visual"];
+
+/**
+ * The built-in config: every check but the opt-in ones enabled and weighted
+ * equally; stories that do not parse, render or pass their play functions
+ * fail, and story quality heuristics only lower the score
+ */
+function getDefaultConfig() {
+  return {
+    checks: Object.fromEntries(
+      CHECK_NAMES.map((check) => [
+        check,
+        {
+          enabled: !OPT_IN_CHECKS.includes(check),
+          weight: 1,
+          severity: CRITICAL_CHECKS.includes(check)
+            ? "critical"
+            : MINOR_CHECKS.includes(check)
+            ? "minor"
+            : "major",
+        },
+      ])
+    ),
+    thresholds: { pass: 80, warning: 60 },
+  };
+}
+
+/**
+ * Find the config file in a project root
+ */
+function findConfigFile(projectRoot) {
+  return (
+    CONFIG_FILE_NAMES.map((fileName) => path.join(projectRoot, fileName)).find(
+      (filePath) => fs.existsSync(filePath)
+    ) || null
+  );
+}
+
+/**
+ * Read a config file (CommonJS module or JSON)
+ */
+function readConfigFile(configPath) {
+  try {
+    if (configPath.endsWith(".json")) {
+      return JSON.parse(fs.readFileSync(configPath, "utf8"));
+    }
+    const resolved = require.resolve(path.resolve(configPath));
+    delete require.cache[resolved];
+    return require(resolved);
+  } catch (error) {
+    throw new Error(`Could not load ${configPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Validate one config layer
+ *
+ * @param {object} layer - Config file contents or command line overrides
+ * @param {string|null} source - Where the layer comes from, for errors
+ * @returns {{checks: object, thresholds: object}} The layer's check settings
+ *   (`required` resolved to a severity) and thresholds
+ */
+function validateConfigLayer(layer, source) {
+  const fail = (message) => {
+    throw new Error(
+      `Invalid config${source ? ` in ${source}` : ""}: ${message}`
+    );
+  };
+  const checks = {};
+  const thresholds = {};
+
+  Object.entries(layer.checks || {}).forEach(([check, value]) => {
+    if (!CHECK_NAMES.includes(check)) {
+      fail(`unknown check "${check}" (expected ${CHECK_NAMES.join(", ")})`);
+    }
+    if (value === null || !["boolean", "object"].includes(typeof value)) {
+      fail(`checks.${check} must be a boolean or an object`);
+    }
+    const { required, ...settings } =
+      typeof value === "boolean" ? { enabled: value } : value;
+    if (required !== undefined && settings.severity === undefined) {
+      settings.severity = required ? "critical" : "major";
+    }
+    if (
+      settings.severity !== undefined &&
+      !SEVERITIES.includes(settings.severity)
+    ) {
+      fail(`checks.${check}.severity must be one of ${SEVERITIES.join(", ")}`);
+    }
+    if (
+      settings.weight !== undefined &&
+      !(typeof settings.weight === "number" && settings.weight >= 0)
+    ) {
+      fail(`checks.${check}.weight must be a number >= 0`);
+    }
+    if (
+      settings.profile !== undefined &&
+      !(check === "conventions" && typeof settings.profile === "string")
+    ) {
+      fail(`checks.${check}.profile must be a conventions profile file path`);
+    }
+    if (
+      settings.threshold !== undefined &&
+      !(
+        check === "visual" &&
+        typeof settings.threshold === "number" &&
+        settings.threshold >= 0 &&
+        settings.threshold <= 1
+      )
+    ) {
+      fail(
+        `checks.${check}.threshold must be the share of pixels allowed to differ, between 0 and 1`
+      );
+    }
+    if (
+      settings.inspect !== undefined &&
+      !(check === "renderTest" && typeof settings.inspect === "boolean")
+    ) {
+      fail(`checks.${check}.inspect must be a boolean (renderTest only)`);
+    }
+    checks[check] = settings;
+  });
+
+  Object.entries(layer.thresholds || {}).forEach(([name, value]) => {
+    if (!["pass", "warning"].includes(name)) {
+      fail(`unknown threshold "${name}" (expected pass, warning)`);
+    }
+    if (!(typeof value === "number" && value >= 0 && value <= 100)) {
+      fail(`thresholds.${name} must be a number between 0 and 100`);
+    }
+    thresholds[name] = value;
+  });
+
+  return { checks, thresholds };
+}
+
+/**
+ * Apply one config layer on top of a resolved config, validating it
+ */
+function applyConfig(config, layer, source) {
+  const { checks, thresholds } = validateConfigLayer(layer, source);
+  Object.entries(checks).forEach(([check, settings]) =>
+    Object.assign(config.checks[check], settings)
+  );
+  Object.assign(config.thresholds, thresholds);
+
+  if (config.thresholds.warning > config.thresholds.pass) {
+    throw new Error(
+      `Invalid config${
+        source ? ` in ${source}` : ""
+      }: thresholds.warning must not be higher than thresholds.pass`
+    );
+  }
+  return config;
+}
+
+/**
+ * Resolve the config for a project
+ *
+ * @param {string} projectRoot - Where to look for the config file
+ * @param {object} [options]
+ * @param {string} [options.configFile] - Use this file instead of searching
+ * @param {object} [options.overrides] - Config layer applied last, e.g. from
+ *   command line flags
+ * @returns {{checks: object, thresholds: {pass: number, warning: number},
+ *   configFile: string|null}}
+ */
+function loadConfig(projectRoot, options = {}) {
+  const configFile = options.configFile || findConfigFile(projectRoot);
+  const config = getDefaultConfig();
+
+  if (configFile) {
+    applyConfig(config, readConfigFile(configFile), configFile);
+  }
+  if (options.overrides) {
+    applyConfig(config, options.overrides, null);
+  }
+  return { ...config, configFile };
+}
+
+/**
+ * Parse a comma-separated list of check names, rejecting unknown ones
+ */
+function parseCheckList(value) {
+  const checks = value
+    .split(",")
+    .map((check) => check.trim())
+    .filter(Boolean);
+  const unknown = checks.filter((check) => !CHECK_NAMES.includes(check));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown check(s): ${unknown.join(", ")} (expected ${CHECK_NAMES.join(
+        ", "
+      )})`
+    );
+  }
+  return checks;
+}
+
+/**
+ * Parse repeated `<check>=<value>` flags
+ */
+function parseCheckPairs(pairs = [], name) {
+  return pairs.map((pair) => {
+    const match = pair.match(/^([^=]+)=(.+)$/);
+    if (!match) {
+      throw new Error(
+        `Invalid --${name} "${pair}" (expected <check>=<${name}>)`
+      );
+    }
+    const [check] = parseCheckList(match[1]);
+    return [check, match[2]];
+  });
+}
+
+/**
+ * Convert a number flag, turning blank values into NaN rather than the 0
+ * `Number` makes of them
+ */
+function parseNumberFlag(value) {
+  return value.trim() === "" ? NaN : Number(value);
+}
+
+/**
+ * Build a config layer from command line flags, validated like a config
+ * file
+ *
+ * @param {object} flags
+ * @param {string} [flags.checks] - Only enable these checks
+ * @param {string} [flags.skipChecks] - Disable these checks
+ * @param {string} [flags.required] - Make these checks critical
+ * @param {string[]} [flags.weights] - `<check>=<weight>` pairs
+ * @param {string[]} [flags.severities] - `<check>=<severity>` pairs
+ * @param {string} [flags.passThreshold]
+ * @param {string} [flags.warningThreshold]
+ * @param {string} [flags.conventionsProfile] - Conventions profile file,
+ *   relative to the working directory
+ * @param {boolean} [flags.inspectRenders] - Inspect the rendered stories
+ *   whatever the test backend
+ */
+function buildConfigOverrides(flags) {
+  const checks = {};
+  const setting = (check) => (checks[check] = checks[check] || {});
+
+  if (flags.checks !== undefined) {
+    const enabled = parseCheckList(flags.checks);
+    CHECK_NAMES.forEach(
+      (check) => (setting(check).enabled = enabled.includes(check))
+    );
+  }
+  if (flags.skipChecks !== undefined) {
+    parseCheckList(flags.skipChecks).forEach(
+      (check) => (setting(check).enabled = false)
+    );
+  }
+  if (flags.required !== undefined) {
+    parseCheckList(flags.required).forEach(
+      (check) => (setting(check).severity = "critical")
+    );
+  }
+  parseCheckPairs(flags.weights, "weight").forEach(
+    ([check, weight]) => (setting(check).weight = parseNumberFlag(weight))
+  );
+  parseCheckPairs(flags.severities, "severity").forEach(
+    ([check, severity]) => (setting(check).severity = severity)
+  );
+  if (flags.conventionsProfile !== undefined) {
+    setting("conventions").profile = path.resolve(flags.conventionsProfile);
+  }
+  if (flags.inspectRenders) {
+    setting("renderTest").inspect = true;
+  }
+
+  const thresholds = {};
+  if (flags.passThreshold !== undefined) {
+    thresholds.pass = parseNumberFlag(flags.passThreshold);
+  }
+  if (flags.warningThreshold !== undefined) {
+    thresholds.warning = parseNumberFlag(flags.warningThreshold);
+  }
+
+  return validateConfigLayer({ checks, thresholds }, "command line flags");
+}
+
+/**
+ * Names of the checks a config enables
+ */
+function getEnabledChecks(config) {
+  return CHECK_NAMES.filter((check) => config.checks[check].enabled);
+}
+
+module.exports = {
+  CHECK_NAMES,
+  CONFIG_FILE_NAMES,
+  SEVERITIES,
+  buildConfigOverrides,
+  findConfigFile,
+  getDefaultConfig,
+  getEnabledChecks,
+  loadConfig,
+  validateConfigLayer,
+};
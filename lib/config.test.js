@@ -0,0 +1,222 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const {
+  buildConfigOverrides,
+  getEnabledChecks,
+  loadConfig,
+  validateConfigLayer,
+} = require("./config");
+const { createFiles } = require("./test_helpers");
+
+test("uses the defaults when there is no config file", (t) => {
+  const config = loadConfig(createFiles(t, {}));
+
+  assert.equal(config.configFile, null);
+  assert.deepEqual(config.thresholds, { pass: 80, warning: 60 });
+  assert.deepEqual(config.checks.linting, {
+    enabled: true,
+    weight: 1,
+    severity: "major",
+  });
+  assert.equal(config.checks.renderTest.severity, "critical");
+  assert.equal(config.checks.storyQuality.severity, "minor");
+  assert.equal(config.checks.conventions.severity, "minor");
+  assert.equal(config.checks.playQuality.severity, "minor");
+  assert.equal(getEnabledChecks(config).length, 9);
+  assert.equal(config.checks.visual.enabled, false);
+});
+
+test("loads a JSON config file from the project root", (t) => {
+  const dir = createFiles(t, {
+    "storybook-validate.config.json": JSON.stringify({
+      checks: {
+        accessibility: false,
+        typeScript: { weight: 2, required: true },
+      },
+      thresholds: { pass: 90 },
+    }),
+  });
+  const config = loadConfig(dir);
+
+  assert.equal(
+    config.configFile,
+    path.join(dir, "storybook-validate.config.json")
+  );
+  assert.equal(config.checks.accessibility.enabled, false);
+  assert.deepEqual(config.checks.typeScript, {
+    enabled: true,
+    weight: 2,
+    severity: "critical",
+  });
+  assert.deepEqual(config.thresholds, { pass: 90, warning: 60 });
+  assert.ok(!getEnabledChecks(config).includes("accessibility"));
+});
+
+test("loads a JS config file and applies overrides on top", (t) => {
+  const dir = createFiles(t, {
+    "custom.config.js":
+      "module.exports = { checks: { linting: { weight: 3 } } };",
+  });
+  const config = loadConfig(dir, {
+    configFile: path.join(dir, "custom.config.js"),
+    overrides: {
+      checks: { linting: { required: true }, renderTest: { required: false } },
+    },
+  });
+
+  assert.deepEqual(config.checks.linting, {
+    enabled: true,
+    weight: 3,
+    severity: "critical",
+  });
+  assert.equal(config.checks.renderTest.severity, "major");
+});
+
+test("rejects invalid configs", (t) => {
+  const write = (config) =>
+    createFiles(t, {
+      "storybook-validate.config.json": JSON.stringify(config),
+    });
+
+  assert.throws(
+    () => loadConfig(write({ checks: { spelling: true } })),
+    /unknown check "spelling"/
+  );
+  assert.throws(
+    () => loadConfig(write({ checks: { linting: { weight: -1 } } })),
+    /checks\.linting\.weight must be a number >= 0/
+  );
+  assert.throws(
+    () => loadConfig(write({ checks: { linting: { severity: "high" } } })),
+    /checks\.linting\.severity must be one of critical, major, minor/
+  );
+  assert.throws(
+    () => loadConfig(write({ checks: { linting: { profile: "a.json" } } })),
+    /checks\.linting\.profile must be a conventions profile file path/
+  );
+  assert.throws(
+    () => loadConfig(write({ checks: { visual: { threshold: 5 } } })),
+    /checks\.visual\.threshold must be the share of pixels allowed to differ/
+  );
+  assert.throws(
+    () => loadConfig(write({ checks: { visual: { inspect: true } } })),
+    /checks\.visual\.inspect must be a boolean \(renderTest only\)/
+  );
+  assert.throws(
+    () => loadConfig(write({ thresholds: { pass: 50, warning: 70 } })),
+    /thresholds\.warning must not be higher than thresholds\.pass/
+  );
+  assert.throws(
+    () =>
+      loadConfig(
+        createFiles(t, { "storybook-validate.config.json": "{ nope" })
+      ),
+    /Could not load/
+  );
+});
+
+test("builds config overrides from command line flags", () => {
+  const overrides = buildConfigOverrides({
+    checks: "linting,typeScript,csfCompliance",
+    skipChecks: "csfCompliance",
+    required: "typeScript",
+    weights: ["linting=0.5"],
+    severities: ["csfCompliance=minor"],
+    passThreshold: "70",
+  });
+
+  assert.deepEqual(overrides.checks.linting, { enabled: true, weight: 0.5 });
+  assert.deepEqual(overrides.checks.typeScript, {
+    enabled: true,
+    severity: "critical",
+  });
+  assert.deepEqual(overrides.checks.csfCompliance, {
+    enabled: false,
+    severity: "minor",
+  });
+  assert.deepEqual(overrides.checks.renderTest, { enabled: false });
+  assert.deepEqual(overrides.thresholds, { pass: 70 });
+  assert.deepEqual(
+    buildConfigOverrides({ conventionsProfile: "conventions.json" }).checks
+      .conventions,
+    { profile: path.resolve("conventions.json") }
+  );
+  assert.deepEqual(
+    buildConfigOverrides({ inspectRenders: true }).checks.renderTest,
+    { inspect: true }
+  );
+
+  assert.throws(
+    () => buildConfigOverrides({ skipChecks: "lint" }),
+    /Unknown check\(s\): lint/
+  );
+  assert.throws(
+    () => buildConfigOverrides({ weights: ["linting"] }),
+    /expected <check>=<weight>/
+  );
+});
+
+test("rejects command line numbers a config file could not use", () => {
+  assert.throws(
+    () => buildConfigOverrides({ passThreshold: "abc" }),
+    /^Error: Invalid config in command line flags: thresholds\.pass must be a number between 0 and 100$/
+  );
+  // Number() would read blank values as 0
+  for (const blank of ["", " "]) {
+    assert.throws(
+      () => buildConfigOverrides({ passThreshold: blank }),
+      /thresholds\.pass must be a number between 0 and 100/
+    );
+    assert.throws(
+      () => buildConfigOverrides({ warningThreshold: blank }),
+      /thresholds\.warning must be a number between 0 and 100/
+    );
+    assert.throws(
+      () => buildConfigOverrides({ weights: [`renderTest=${blank} `] }),
+      /checks\.renderTest\.weight must be a number >= 0/
+    );
+  }
+  assert.throws(
+    () => buildConfigOverrides({ warningThreshold: "120" }),
+    /thresholds\.warning must be a number between 0 and 100/
+  );
+  assert.throws(
+    () => buildConfigOverrides({ weights: ["renderTest=x"] }),
+    /checks\.renderTest\.weight must be a number >= 0/
+  );
+  assert.throws(
+    () => buildConfigOverrides({ weights: ["renderTest=-1"] }),
+    /checks\.renderTest\.weight must be a number >= 0/
+  );
+  assert.throws(
+    () => buildConfigOverrides({ severities: ["renderTest=high"] }),
+    /checks\.renderTest\.severity must be one of critical, major, minor/
+  );
+});
+
+test("validates a config layer without resolving it", () => {
+  assert.deepEqual(
+    validateConfigLayer(
+      { checks: { linting: false, typeScript: { required: true } } },
+      "test"
+    ),
+    {
+      checks: {
+        linting: { enabled: false },
+        typeScript: { severity: "critical" },
+      },
+      thresholds: {},
+    }
+  );
+  // Whether the thresholds clash depends on the layers below
+  assert.deepEqual(validateConfigLayer({ thresholds: { pass: 50 } }, "test"), {
+    checks: {},
+    thresholds: { pass: 50 },
+  });
+  assert.throws(
+    () => loadConfig(os.tmpdir(), { overrides: { thresholds: { pass: 50 } } }),
+    /thresholds\.warning must not be higher than thresholds\.pass/
+  );
+});
@@ -0,0 +1,382 @@
+/**
+ * Conventions
+ *
+ * Learns the house style of a project's stories and reports where a story
+ * departs from it. A conventions profile holds, for each convention, the
+ * value most of the project's `*.stories.*` files agree on:
+ *
+ *   titleRoot       - first segment of the meta title, e.g. "Test"
+ *   tags            - meta tags every story should have, e.g. ["autodocs"]
+ *   layout          - the meta's `parameters.layout`, e.g. "centered"
+ *   metaTyping      - how the meta is typed: annotation, satisfies,
+ *                     assertion or none
+ *   storyType       - the story type alias, e.g. "Story = StoryObj<typeof meta>"
+ *   storybookImport - the module `Meta` and `StoryObj` come from
+ *
+ * A convention is only learned when at least MIN_SHARE of the reference
+ * stories follow it. A profile can also be written by hand as JSON:
+ *
+ * @example
+ * {
+ *   "conventions": {
+ *     "titleRoot": "Test",
+ *     "tags": ["autodocs"],
+ *     "storybookImport": "@storybook/react-vite"
+ *   }
+ * }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { analyzeCSF } = require("./csf_analyzer");
+
+const CONVENTION_NAMES = [
+  "titleRoot",
+  "tags",
+  "layout",
+  "metaTyping",
+  "storyType",
+  "storybookImport",
+];
+
+const META_TYPINGS = ["annotation", "satisfies", "assertion", "none"];
+
+const MIN_SHARE = 0.6;
+
+const MIN_REFERENCE_STORIES = 2;
+
+// Conformance below this fails the check rather than warning
+const MIN_CONFORMANCE = 50;
+
+/**
+ * Conventions followed by one story file
+ *
+ * @param {string} source - Contents of the story file
+ * @param {string} fileName
+ * @param {object} ts - The TypeScript compiler API
+ * @param {object} [analysis] - analyzeCSF result, when already computed
+ * @returns {object|null} Null when the file has no meta
+ */
+function extractConventions(source, fileName, ts, analysis) {
+  const { meta } = analysis || analyzeCSF(source, fileName, ts);
+  if (!meta) {
+    return null;
+  }
+  const sourceFile = ts.createSourceFile(
+    fileName,
+    source,
+    ts.ScriptTarget.Latest,
+    true
+  );
+  const lineOf = (node) =>
+    sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line +
+    1;
+
+  let storybookImport = null;
+  let storyType = null;
+  const lines = { meta: meta.line };
+  sourceFile.statements.forEach((statement) => {
+    if (
+      !storybookImport &&
+      ts.isImportDeclaration(statement) &&
+      ts.isStringLiteral(statement.moduleSpecifier) &&
+      statement.moduleSpecifier.text.startsWith("@storybook/")
+    ) {
+      const bindings =
+        statement.importClause && statement.importClause.namedBindings;
+      const names =
+        bindings && ts.isNamedImports(bindings)
+          ? bindings.elements.map(
+              (element) => (element.propertyName || element.name).text
+            )
+          : [];
+      if (names.includes("Meta") || names.includes("StoryObj")) {
+        storybookImport = statement.moduleSpecifier.text;
+        lines.storybookImport = lineOf(statement);
+      }
+    }
+    if (
+      !storyType &&
+      ts.isTypeAliasDeclaration(statement) &&
+      ts.isTypeReferenceNode(statement.type) &&
+      statement.type.typeName.getText(sourceFile) === "StoryObj"
+    ) {
+      storyType = `${statement.name.text} = ${statement.type
+        .getText(sourceFile)
+        .replace(/\s+/g, " ")}`;
+      lines.storyType = lineOf(statement);
+    }
+  });
+
+  return {
+    titleRoot: meta.title ? meta.title.split("/")[0] : null,
+    tags: meta.tags || [],
+    layout: meta.layout,
+    metaTyping: META_TYPINGS.includes(meta.typing) ? meta.typing : "none",
+    storyType,
+    storybookImport,
+    lines,
+  };
+}
+
+/**
+ * Conventions of a story file on disk, cached by modification time
+ *
+ * @param {string} filePath
+ * @param {object} ts - The TypeScript compiler API
+ * @param {Map} [cache] - Shared between validators of the same run
+ * @returns {object|null} Null when the file cannot be read, is MDX or has
+ *   no meta
+ */
+function readStoryConventions(filePath, ts, cache = new Map()) {
+  const key = path.resolve(filePath);
+  if (path.extname(key) === ".mdx") {
+    return null;
+  }
+  let mtimeMs;
+  try {
+    mtimeMs = fs.statSync(key).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+  const cached = cache.get(key);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.conventions;
+  }
+  let conventions = null;
+  try {
+    conventions = extractConventions(fs.readFileSync(key, "utf8"), key, ts);
+  } catch (error) {
+    // Stories the analyzer cannot read say nothing about the conventions
+  }
+  cache.set(key, { mtimeMs, conventions });
+  return conventions;
+}
+
+/**
+ * Learn a conventions profile from the conventions of reference stories
+ *
+ * @param {object[]} storyConventions - extractConventions results
+ * @param {object} [options]
+ * @param {number} [options.minShare] - Share of the stories that must agree
+ * @returns {{stories: number, conventions: object, shares: object}|null} Null
+ *   when there are too few stories to learn from
+ */
+function deriveConventionsProfile(storyConventions, options = {}) {
+  const minShare =
+    options.minShare === undefined ? MIN_SHARE : options.minShare;
+  const stories = storyConventions.filter(Boolean);
+  if (stories.length < MIN_REFERENCE_STORIES) {
+    return null;
+  }
+  const conventions = {};
+  const shares = {};
+  const share = (count) => Math.round((count / stories.length) * 100) / 100;
+
+  CONVENTION_NAMES.filter((name) => name !== "tags").forEach((name) => {
+    const counts = new Map();
+    stories.forEach((story) =>
+      counts.set(story[name], (counts.get(story[name]) || 0) + 1)
+    );
+    const [value, count] = [...counts.entries()].sort((a, b) => b[1] - a[1])[0];
+    // That most stories lack something is not a convention to enforce
+    if (
+      value !== null &&
+      count >= MIN_REFERENCE_STORIES &&
+      count / stories.length >= minShare
+    ) {
+      conventions[name] = value;
+      shares[name] = share(count);
+    }
+  });
+
+  const tagCounts = new Map();
+  stories.forEach((story) =>
+    new Set(story.tags).forEach((tag) =>
+      tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)
+    )
+  );
+  const tags = [...tagCounts.entries()]
+    .filter(
+      ([, count]) =>
+        count >= MIN_REFERENCE_STORIES && count / stories.length >= minShare
+    )
+    .map(([tag]) => tag)
+    .sort();
+  if (tags.length > 0) {
+    conventions.tags = tags;
+    shares.tags = share(
+      stories.filter((story) => tags.every((tag) => story.tags.includes(tag)))
+        .length
+    );
+  }
+
+  return { stories: stories.length, conventions, shares };
+}
+
+/**
+ * Read and validate a conventions profile file
+ */
+function loadConventionsProfile(profilePath) {
+  let profile;
+  try {
+    profile = JSON.parse(fs.readFileSync(profilePath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Could not load conventions profile ${profilePath}: ${error.message}`
+    );
+  }
+  const fail = (message) => {
+    throw new Error(`Invalid conventions profile ${profilePath}: ${message}`);
+  };
+  if (
+    !profile ||
+    typeof profile.conventions !== "object" ||
+    profile.conventions === null
+  ) {
+    fail('expected an object with a "conventions" object');
+  }
+  Object.entries(profile.conventions).forEach(([name, value]) => {
+    if (!CONVENTION_NAMES.includes(name)) {
+      fail(
+        `unknown convention "${name}" (expected ${CONVENTION_NAMES.join(", ")})`
+      );
+    }
+    if (name === "tags") {
+      if (
+        !Array.isArray(value) ||
+        !value.every((tag) => typeof tag === "string")
+      ) {
+        fail("conventions.tags must be an array of strings");
+      }
+    } else if (typeof value !== "string") {
+      fail(`conventions.${name} must be a string`);
+    }
+    if (name === "metaTyping" && !META_TYPINGS.includes(value)) {
+      fail(`conventions.metaTyping must be one of ${META_TYPINGS.join(", ")}`);
+    }
+  });
+  return {
+    stories: typeof profile.stories === "number" ? profile.stories : null,
+    conventions: profile.conventions,
+    shares: profile.shares || {},
+  };
+}
+
+/**
+ * Describe a convention's value for a message
+ */
+function describeValue(name, value) {
+  if (value === null || value === undefined) {
+    return "none";
+  }
+  switch (name) {
+    case "titleRoot":
+      return `"${value}/…"`;
+    case "storyType":
+      return `\`type ${value}\``;
+    case "metaTyping":
+      return value === "none" ? "untyped" : value;
+    default:
+      return `"${value}"`;
+  }
+}
+
+const CONVENTION_LABELS = {
+  titleRoot: "Title",
+  layout: "parameters.layout",
+  metaTyping: "Meta typing",
+  storyType: "Story type",
+  storybookImport: "Storybook types import",
+};
+
+const CONVENTION_LINES = {
+  titleRoot: "meta",
+  tags: "meta",
+  layout: "meta",
+  metaTyping: "meta",
+  storyType: "storyType",
+  storybookImport: "storybookImport",
+};
+
+/**
+ * Build the conventions check by comparing a story with a profile
+ *
+ * @param {object} storyConventions - extractConventions result
+ * @param {object} profile - deriveConventionsProfile or
+ *   loadConventionsProfile result
+ * @param {string} source - Where the profile came from, for the report
+ */
+function compareConventions(storyConventions, profile, source) {
+  const { lines } = storyConventions;
+  const evidence = (name) =>
+    profile.stories && profile.shares[name] !== undefined
+      ? ` (as in ${Math.round(profile.shares[name] * profile.stories)}/${
+          profile.stories
+        } stories)`
+      : "";
+
+  const conventions = CONVENTION_NAMES.filter(
+    (name) => profile.conventions[name] !== undefined
+  ).map((name) => {
+    const expected = profile.conventions[name];
+    const actual = storyConventions[name];
+    const followed =
+      name === "tags"
+        ? expected.every((tag) => actual.includes(tag))
+        : actual === expected;
+    return { name, expected, actual, followed };
+  });
+
+  const issues = conventions
+    .filter((convention) => !convention.followed)
+    .map(({ name, expected, actual }) => ({
+      level: "warn",
+      message:
+        name === "tags"
+          ? `Meta tags should include ${expected
+              .filter((tag) => !actual.includes(tag))
+              .map((tag) => `"${tag}"`)
+              .join(", ")}${evidence(name)}`
+          : `${CONVENTION_LABELS[name]} should be ${describeValue(
+              name,
+              expected
+            )}${evidence(name)}, found ${describeValue(name, actual)}`,
+      line: lines[CONVENTION_LINES[name]] || lines.meta || null,
+    }));
+
+  const conformance =
+    conventions.length > 0
+      ? Math.round(
+          (conventions.filter((convention) => convention.followed).length /
+            conventions.length) *
+            100
+        )
+      : null;
+
+  let status = "PASS";
+  if (conformance !== null && conformance < MIN_CONFORMANCE) {
+    status = "FAIL";
+  } else if (issues.length > 0) {
+    status = "WARNING";
+  }
+
+  return {
+    status,
+    error: issues.map((issue) => issue.message).join("\n") || null,
+    profile: source,
+    conformance,
+    conventions,
+    issues,
+  };
+}
+
+module.exports = {
+  CONVENTION_NAMES,
+  MIN_REFERENCE_STORIES,
+  compareConventions,
+  deriveConventionsProfile,
+  extractConventions,
+  loadConventionsProfile,
+  readStoryConventions,
+};
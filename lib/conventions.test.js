@@ -0,0 +1,179 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const ts = require("typescript");
+const {
+  compareConventions,
+  deriveConventionsProfile,
+  extractConventions,
+  loadConventionsProfile,
+  readStoryConventions,
+} = require("./conventions");
+const { createFiles } = require("./test_helpers");
+
+/**
+ * A story file in the example project's style, with some parts replaced
+ */
+const story = ({
+  title = "Test/Button",
+  tags = "['autodocs']",
+  layout = "'centered'",
+  from = "@storybook/react-vite",
+} = {}) => `import type { Meta, StoryObj } from '${from}';
+import { Button } from './Button';
+
+const meta: Meta<typeof Button> = {
+  title: '${title}',
+  component: Button,
+  parameters: { layout: ${layout} },
+  tags: ${tags},
+};
+
+export default meta;
+type Story = StoryObj<typeof meta>;
+
+export const Primary: Story = { args: { label: 'Button' } };
+`;
+
+const extract = (source) =>
+  extractConventions(source, "Button.stories.tsx", ts);
+
+test("extracts the conventions a story file follows", () => {
+  assert.deepEqual(extract(story()), {
+    titleRoot: "Test",
+    tags: ["autodocs"],
+    layout: "centered",
+    metaTyping: "annotation",
+    storyType: "Story = StoryObj<typeof meta>",
+    storybookImport: "@storybook/react-vite",
+    lines: { meta: 4, storybookImport: 1, storyType: 12 },
+  });
+
+  const untyped = extract(`export default { component: Button };
+export const Primary = {};`);
+  assert.equal(untyped.titleRoot, null);
+  assert.deepEqual(untyped.tags, []);
+  assert.equal(untyped.metaTyping, "none");
+  assert.equal(untyped.storyType, null);
+  assert.equal(extract("export const Primary = {};"), null);
+});
+
+test("learns the conventions most stories agree on", () => {
+  const profile = deriveConventionsProfile([
+    extract(story()),
+    extract(story({ tags: "['autodocs', 'beta']" })),
+    extract(story({ layout: "'padded'" })),
+    extract(story({ title: "Components/Button", layout: "'fullscreen'" })),
+    null,
+  ]);
+
+  assert.equal(profile.stories, 4);
+  assert.deepEqual(profile.conventions, {
+    titleRoot: "Test",
+    tags: ["autodocs"],
+    metaTyping: "annotation",
+    storyType: "Story = StoryObj<typeof meta>",
+    storybookImport: "@storybook/react-vite",
+  });
+  assert.equal(profile.shares.titleRoot, 0.75);
+  assert.equal(profile.shares.tags, 1);
+  assert.equal(deriveConventionsProfile([extract(story())]), null);
+});
+
+test("reports where a story departs from the profile", () => {
+  const profile = deriveConventionsProfile([
+    extract(story()),
+    extract(story()),
+    extract(story({ title: "Test/Card" })),
+  ]);
+
+  const passing = compareConventions(extract(story()), profile, "learned");
+  assert.equal(passing.status, "PASS");
+  assert.equal(passing.conformance, 100);
+
+  const check = compareConventions(
+    extract(story({ title: "Components/Button", tags: "[]" })),
+    profile,
+    "learned from 3 stories"
+  );
+  assert.equal(check.status, "WARNING");
+  assert.equal(check.conformance, 67);
+  assert.equal(check.profile, "learned from 3 stories");
+  assert.deepEqual(check.issues, [
+    {
+      level: "warn",
+      message:
+        'Title should be "Test/…" (as in 3/3 stories), found "Components/…"',
+      line: 4,
+    },
+    {
+      level: "warn",
+      message: 'Meta tags should include "autodocs" (as in 3/3 stories)',
+      line: 4,
+    },
+  ]);
+
+  const failing = compareConventions(
+    extract(`import type { Meta } from '@storybook/react';
+export default { title: 'Button', component: Button } satisfies Meta;`),
+    profile,
+    "learned"
+  );
+  assert.equal(failing.status, "FAIL");
+  assert.equal(failing.conformance, 0);
+  assert.match(
+    failing.error,
+    /Storybook types import should be "@storybook\/react-vite" \(as in 3\/3 stories\), found "@storybook\/react"/
+  );
+});
+
+test("loads and validates profile files", (t) => {
+  const dir = createFiles(t, {
+    "profile.json": JSON.stringify({
+      conventions: { titleRoot: "Test", tags: ["autodocs"] },
+    }),
+    "unknown.json": JSON.stringify({ conventions: { indent: "2" } }),
+    "typing.json": JSON.stringify({ conventions: { metaTyping: "loose" } }),
+  });
+
+  const profile = loadConventionsProfile(path.join(dir, "profile.json"));
+  assert.deepEqual(profile, {
+    stories: null,
+    conventions: { titleRoot: "Test", tags: ["autodocs"] },
+    shares: {},
+  });
+  assert.equal(
+    compareConventions(extract(story({ title: "Button" })), profile, "file")
+      .issues[0].message,
+    'Title should be "Test/…", found "Button/…"'
+  );
+  assert.throws(
+    () => loadConventionsProfile(path.join(dir, "unknown.json")),
+    /unknown convention "indent"/
+  );
+  assert.throws(
+    () => loadConventionsProfile(path.join(dir, "typing.json")),
+    /metaTyping must be one of annotation, satisfies, assertion, none/
+  );
+  assert.throws(
+    () => loadConventionsProfile(path.join(dir, "missing.json")),
+    /Could not load conventions profile/
+  );
+});
+
+test("caches the conventions of story files until they change", (t) => {
+  const dir = createFiles(t, { "Button.stories.tsx": story() });
+  const file = path.join(dir, "Button.stories.tsx");
+  const cache = new Map();
+
+  assert.equal(readStoryConventions(file, ts, cache).titleRoot, "Test");
+  fs.writeFileSync(file, story({ title: "Components/Button" }));
+  const later = new Date(Date.now() + 5000);
+  fs.utimesSync(file, later, later);
+  assert.equal(readStoryConventions(file, ts, cache).titleRoot, "Components");
+  assert.equal(
+    readStoryConventions(path.join(dir, "Gone.stories.tsx"), ts),
+    null
+  );
+});
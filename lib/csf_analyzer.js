@@ -0,0 +1,703 @@
+/**
+ * Component Story Format (CSF) analyzer
+ *
+ * Parses a story file with the TypeScript compiler API (which also handles
+ * plain .js/.jsx) and describes its default export (meta), its named story
+ * exports and the CSF level they are written in, with line numbers.
+ */
+
+const path = require("path");
+
+const SCRIPT_KINDS = {
+  ".ts": "TS",
+  ".mts": "TS",
+  ".cts": "TS",
+  ".tsx": "TSX",
+  ".js": "JS",
+  ".mjs": "JS",
+  ".cjs": "JS",
+  ".jsx": "JSX",
+};
+
+// Client APIs that only exist in the pre-CSF storiesOf world
+const LEGACY_APIS = new Set(["storiesOf", "addDecorator", "addParameters"]);
+
+// CSF levels that count as compliant
+const COMPLIANT_CSF_VERSIONS = new Set(["CSF3", "Factories"]);
+
+// Objects whose methods interact with the canvas in a play function
+const INTERACTION_APIS = new Set(["userEvent", "fireEvent"]);
+
+/**
+ * Convert an export name into the story name Storybook displays
+ * (mirrors `storyNameFromExport` from @storybook/csf)
+ */
+function storyNameFromExport(exportName) {
+  return exportName
+    .replace(/([a-z\d])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .replace(/([a-zA-Z])(\d)/g, "$1 $2")
+    .replace(/[_\-\s]+/g, " ")
+    .trim()
+    .split(" ")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
+/**
+ * Sanitize a title or export name for use in a story id
+ * (mirrors `sanitize` from @storybook/csf)
+ */
+function sanitize(value) {
+  return value
+    .toLowerCase()
+    .replace(/[ ’–—―′¿'`~!@#$%^&*()_|+\-=?;:'",.<>{}[\]\\/]/gi, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-+/, "")
+    .replace(/-+$/, "");
+}
+
+/**
+ * Build the story id Storybook assigns to an export
+ */
+function toStoryId(title, exportName) {
+  return `${sanitize(title)}--${sanitize(storyNameFromExport(exportName))}`;
+}
+
+/**
+ * Analyze the CSF structure of a story file
+ *
+ * @param {string} source - Story file contents
+ * @param {string} fileName - Story file path, used to pick the parser mode
+ * @param {typeof import("typescript")} ts - TypeScript compiler API
+ */
+function analyzeCSF(source, fileName, ts) {
+  const extension = path.extname(fileName).toLowerCase();
+  const scriptKind = ts.ScriptKind[SCRIPT_KINDS[extension] || "TSX"];
+  const sourceFile = ts.createSourceFile(
+    fileName,
+    source,
+    ts.ScriptTarget.Latest,
+    true,
+    scriptKind
+  );
+
+  const lineOf = (node) =>
+    sourceFile.getLineAndCharacterOfPosition(node.getStart(sourceFile)).line +
+    1;
+  const hasModifier = (node, kind) =>
+    (node.modifiers || []).some((modifier) => modifier.kind === kind);
+  const propertyNameOf = (property) =>
+    property.name &&
+    (ts.isIdentifier(property.name) || ts.isStringLiteral(property.name))
+      ? property.name.text
+      : null;
+  const getProperty = (object, name) =>
+    object
+      ? object.properties.find((property) => propertyNameOf(property) === name)
+      : undefined;
+  const getStringProperty = (object, name) => {
+    const property = getProperty(object, name);
+    return property &&
+      ts.isPropertyAssignment(property) &&
+      ts.isStringLiteralLike(property.initializer)
+      ? property.initializer.text
+      : null;
+  };
+
+  // Strip parentheses, `satisfies` and `as` wrappers, remembering the typing
+  const unwrap = (expression) => {
+    let node = expression;
+    let typing = null;
+    let typeName = null;
+    while (node) {
+      if (ts.isParenthesizedExpression(node)) {
+        node = node.expression;
+      } else if (ts.isSatisfiesExpression(node)) {
+        typing = typing || "satisfies";
+        typeName = typeName || typeNameOf(node.type);
+        node = node.expression;
+      } else if (
+        ts.isAsExpression(node) ||
+        ts.isTypeAssertionExpression(node)
+      ) {
+        if (node.type.getText(sourceFile) !== "const") {
+          typing = typing || "assertion";
+          typeName = typeName || typeNameOf(node.type);
+        }
+        node = node.expression;
+      } else {
+        break;
+      }
+    }
+    return { node, typing, typeName };
+  };
+  // Keys of an object-valued property such as `args`, plus the stories whose
+  // args it spreads (`...Primary.args`) and its whitespace-free source
+  const argsOf = (value) => {
+    const object = value && unwrap(value).node;
+    if (!object || !ts.isObjectLiteralExpression(object)) {
+      return { names: [], spreads: [], source: null };
+    }
+    const names = [];
+    const spreads = [];
+    object.properties.forEach((property) => {
+      if (
+        ts.isSpreadAssignment(property) &&
+        ts.isPropertyAccessExpression(property.expression) &&
+        ts.isIdentifier(property.expression.expression)
+      ) {
+        spreads.push(property.expression.expression.text);
+      } else if (propertyNameOf(property)) {
+        names.push(propertyNameOf(property));
+      }
+    });
+    return {
+      names,
+      spreads,
+      source: object.getText(sourceFile).replace(/\s+/g, ""),
+    };
+  };
+  const objectProperty = (object, name) => {
+    const property = getProperty(object, name);
+    const value =
+      property &&
+      ts.isPropertyAssignment(property) &&
+      unwrap(property.initializer).node;
+    return value && ts.isObjectLiteralExpression(value) ? value : null;
+  };
+  const stringArrayProperty = (object, name) => {
+    const property = getProperty(object, name);
+    const value =
+      property &&
+      ts.isPropertyAssignment(property) &&
+      unwrap(property.initializer).node;
+    return value && ts.isArrayLiteralExpression(value)
+      ? value.elements
+          .filter((element) => ts.isStringLiteralLike(element))
+          .map((element) => element.text)
+      : null;
+  };
+  const argsProperty = (object, name) => {
+    const property = getProperty(object, name);
+    return argsOf(
+      property && ts.isPropertyAssignment(property)
+        ? property.initializer
+        : null
+    );
+  };
+
+  const typeNameOf = (typeNode) =>
+    ts.isTypeReferenceNode(typeNode)
+      ? typeNode.typeName.getText(sourceFile)
+      : typeNode.getText(sourceFile);
+
+  // Count the assertions, interactions and steps of a play function. Helpers
+  // it calls are not followed; a play that cannot be resolved in this file
+  // (e.g. imported) has null counts.
+  const analyzePlay = (value, line) => {
+    let fn = value && unwrap(value).node;
+    if (fn && ts.isIdentifier(fn) && declarations.has(fn.text)) {
+      const declaration = declarations.get(fn.text);
+      fn = ts.isFunctionDeclaration(declaration)
+        ? declaration
+        : declaration.initializer && unwrap(declaration.initializer).node;
+    }
+    const play = {
+      line,
+      assertions: null,
+      vacuousAssertions: [],
+      interactions: null,
+      steps: null,
+    };
+    if (
+      !fn ||
+      !(
+        ts.isArrowFunction(fn) ||
+        ts.isFunctionExpression(fn) ||
+        ts.isFunctionDeclaration(fn) ||
+        ts.isMethodDeclaration(fn)
+      ) ||
+      !fn.body
+    ) {
+      return play;
+    }
+    play.assertions = 0;
+    play.interactions = 0;
+    play.steps = 0;
+
+    // `const user = userEvent.setup()` interacts through `user`
+    const interactors = new Set(INTERACTION_APIS);
+    const isInteractor = (node) =>
+      (ts.isIdentifier(node) && interactors.has(node.text)) ||
+      (ts.isPropertyAccessExpression(node) &&
+        INTERACTION_APIS.has(node.name.text));
+    const findSetups = (node) => {
+      if (
+        ts.isVariableDeclaration(node) &&
+        ts.isIdentifier(node.name) &&
+        node.initializer
+      ) {
+        let init = unwrap(node.initializer).node;
+        if (ts.isAwaitExpression(init)) init = init.expression;
+        if (
+          ts.isCallExpression(init) &&
+          ts.isPropertyAccessExpression(init.expression) &&
+          init.expression.name.text === "setup" &&
+          isInteractor(init.expression.expression)
+        ) {
+          interactors.add(node.name.text);
+        }
+      }
+      ts.forEachChild(node, findSetups);
+    };
+    findSetups(fn.body);
+
+    const isExpect = (callee) =>
+      (ts.isIdentifier(callee) && callee.text === "expect") ||
+      (ts.isPropertyAccessExpression(callee) &&
+        ts.isIdentifier(callee.expression) &&
+        callee.expression.text === "expect" &&
+        callee.name.text === "soft");
+    // `expect(x)` only asserts once a matcher is called on it
+    const hasMatcher = (call) => {
+      let node = call;
+      while (
+        ts.isPropertyAccessExpression(node.parent) &&
+        node.parent.expression === node
+      ) {
+        node = node.parent;
+      }
+      return (
+        node !== call &&
+        ts.isCallExpression(node.parent) &&
+        node.parent.expression === node
+      );
+    };
+    const isConstant = (node) => {
+      const subject = node && unwrap(node).node;
+      return Boolean(
+        subject &&
+          (ts.isLiteralExpression(subject) ||
+            subject.kind === ts.SyntaxKind.TrueKeyword ||
+            subject.kind === ts.SyntaxKind.FalseKeyword ||
+            subject.kind === ts.SyntaxKind.NullKeyword ||
+            (ts.isIdentifier(subject) && subject.text === "undefined"))
+      );
+    };
+
+    const visitPlay = (node) => {
+      if (ts.isCallExpression(node)) {
+        const callee = node.expression;
+        if (isExpect(callee)) {
+          if (!hasMatcher(node)) {
+            play.vacuousAssertions.push({
+              line: lineOf(node),
+              reason: "expect() without a matcher",
+            });
+          } else if (isConstant(node.arguments[0])) {
+            play.vacuousAssertions.push({
+              line: lineOf(node),
+              reason: `expect(${node.arguments[0].getText(
+                sourceFile
+              )}) asserts on a constant`,
+            });
+          } else {
+            play.assertions++;
+          }
+        } else if (
+          ts.isPropertyAccessExpression(callee) &&
+          callee.name.text !== "setup" &&
+          isInteractor(callee.expression)
+        ) {
+          play.interactions++;
+        } else if (ts.isIdentifier(callee) && callee.text === "step") {
+          play.steps++;
+        }
+      }
+      ts.forEachChild(node, visitPlay);
+    };
+    visitPlay(fn.body);
+    return play;
+  };
+  const playProperty = (object) => {
+    const property = getProperty(object, "play");
+    if (!property) {
+      return null;
+    }
+    return analyzePlay(
+      ts.isMethodDeclaration(property)
+        ? property
+        : ts.isPropertyAssignment(property)
+        ? property.initializer
+        : property.name,
+      lineOf(property)
+    );
+  };
+
+  const analysis = {
+    csfVersion: "UNKNOWN",
+    meta: null,
+    stories: [],
+    legacyApis: [],
+    parseErrors: (sourceFile.parseDiagnostics || []).map((diagnostic) => ({
+      line: sourceFile.getLineAndCharacterOfPosition(diagnostic.start).line + 1,
+      message: ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+    })),
+  };
+
+  // Index top-level declarations and exports
+  const declarations = new Map();
+  const namedExports = [];
+  let defaultExport = null;
+
+  for (const statement of sourceFile.statements) {
+    const isExported = hasModifier(statement, ts.SyntaxKind.ExportKeyword);
+
+    if (ts.isVariableStatement(statement)) {
+      for (const declaration of statement.declarationList.declarations) {
+        if (!ts.isIdentifier(declaration.name)) continue;
+        declarations.set(declaration.name.text, declaration);
+        if (isExported) {
+          namedExports.push({
+            exportName: declaration.name.text,
+            localName: declaration.name.text,
+          });
+        }
+      }
+    } else if (ts.isFunctionDeclaration(statement) && statement.name) {
+      declarations.set(statement.name.text, statement);
+      if (isExported && hasModifier(statement, ts.SyntaxKind.DefaultKeyword)) {
+        defaultExport = statement.name;
+      } else if (isExported) {
+        namedExports.push({
+          exportName: statement.name.text,
+          localName: statement.name.text,
+        });
+      }
+    } else if (ts.isExportAssignment(statement) && !statement.isExportEquals) {
+      defaultExport = statement.expression;
+    } else if (
+      ts.isExportDeclaration(statement) &&
+      !statement.moduleSpecifier &&
+      statement.exportClause &&
+      ts.isNamedExports(statement.exportClause)
+    ) {
+      for (const element of statement.exportClause.elements) {
+        const local = element.propertyName || element.name;
+        if (element.name.text === "default") {
+          defaultExport = local;
+        } else {
+          namedExports.push({
+            exportName: element.name.text,
+            localName: local.text,
+          });
+        }
+      }
+    }
+  }
+
+  // Resolve an exported expression through a local variable declaration
+  const resolve = (expression) => {
+    let typing = null;
+    let typeName = null;
+    let node = expression;
+    if (node && ts.isIdentifier(node) && declarations.has(node.text)) {
+      const declaration = declarations.get(node.text);
+      if (ts.isFunctionDeclaration(declaration)) {
+        return { node: declaration, typing, typeName };
+      }
+      if (declaration.type) {
+        typing = "annotation";
+        typeName = typeNameOf(declaration.type);
+      }
+      node = declaration.initializer;
+    }
+    const unwrapped = unwrap(node);
+    return {
+      node: unwrapped.node,
+      typing: typing || unwrapped.typing || "none",
+      typeName: typeName || unwrapped.typeName,
+    };
+  };
+
+  const isCallTo = (node, methodName) =>
+    node &&
+    ts.isCallExpression(node) &&
+    ts.isPropertyAccessExpression(node.expression) &&
+    node.expression.name.text === methodName;
+  const firstObjectArgument = (call) => {
+    const argument = call.arguments[0] && unwrap(call.arguments[0]).node;
+    return argument && ts.isObjectLiteralExpression(argument) ? argument : null;
+  };
+
+  // CSF factories don't need a default export: `const meta = preview.meta()`
+  if (!defaultExport) {
+    for (const declaration of declarations.values()) {
+      if (
+        ts.isVariableDeclaration(declaration) &&
+        isCallTo(unwrap(declaration.initializer).node, "meta")
+      ) {
+        defaultExport = declaration.name;
+        break;
+      }
+    }
+  }
+
+  if (defaultExport) {
+    const { node, typing, typeName } = resolve(defaultExport);
+    const isFactory = isCallTo(node, "meta");
+    const object =
+      node && ts.isObjectLiteralExpression(node)
+        ? node
+        : isFactory
+        ? firstObjectArgument(node)
+        : null;
+    const component = getProperty(object, "component");
+
+    analysis.meta = {
+      line: lineOf(object || defaultExport),
+      title: getStringProperty(object, "title"),
+      component: component
+        ? ts.isShorthandPropertyAssignment(component)
+          ? component.name.text
+          : component.initializer.getText(sourceFile)
+        : null,
+      typing,
+      typeName,
+      isFactory,
+      isObject: Boolean(object),
+      hasArgs: Boolean(getProperty(object, "args")),
+      hasArgTypes: Boolean(getProperty(object, "argTypes")),
+      tags: stringArrayProperty(object, "tags"),
+      layout: getStringProperty(objectProperty(object, "parameters"), "layout"),
+      argNames: argsProperty(object, "args").names,
+      argTypeNames: argsProperty(object, "argTypes").names,
+      hasRender: Boolean(getProperty(object, "render")),
+      hasPlay: Boolean(getProperty(object, "play")),
+      play: playProperty(object),
+    };
+  }
+
+  const storiesByLocalName = new Map();
+  const storyArgSpreads = new Map();
+  for (const { exportName, localName } of namedExports) {
+    if (exportName === "__namedExportsOrder") continue;
+
+    const declaration = declarations.get(localName);
+    const { node, typing, typeName } = resolve(declaration && declaration.name);
+    const story = {
+      exportName,
+      name: storyNameFromExport(exportName),
+      id: null,
+      line: declaration ? lineOf(declaration) : null,
+      kind: "unknown",
+      typing,
+      typeName,
+      hasArgs: false,
+      hasRender: false,
+      hasPlay: false,
+      hasDecorators: false,
+      hasParameters: false,
+      play: null,
+      argNames: [],
+      argsSource: null,
+    };
+    const argSpreads = [];
+
+    let object = null;
+    if (node && ts.isObjectLiteralExpression(node)) {
+      story.kind = "object";
+      object = node;
+    } else if (isCallTo(node, "story")) {
+      story.kind = "factory";
+      object = firstObjectArgument(node);
+    } else if (isCallTo(node, "bind")) {
+      story.kind = "template";
+      story.hasRender = true;
+    } else if (
+      node &&
+      (ts.isArrowFunction(node) ||
+        ts.isFunctionExpression(node) ||
+        ts.isFunctionDeclaration(node))
+    ) {
+      story.kind = "function";
+      story.hasRender = true;
+      story.hasArgs = node.parameters.length > 0;
+    }
+
+    if (object) {
+      const args = argsProperty(object, "args");
+      story.argNames = args.names;
+      story.argsSource = args.source;
+      argSpreads.push(...args.spreads);
+      story.hasArgs = Boolean(getProperty(object, "args"));
+      story.hasRender = Boolean(getProperty(object, "render"));
+      story.hasPlay = Boolean(getProperty(object, "play"));
+      story.hasDecorators = Boolean(getProperty(object, "decorators"));
+      story.hasParameters = Boolean(getProperty(object, "parameters"));
+      story.play = playProperty(object);
+      story.name = getStringProperty(object, "name") || story.name;
+    }
+
+    analysis.stories.push(story);
+    storiesByLocalName.set(localName, story);
+    storyArgSpreads.set(story, argSpreads);
+  }
+
+  // Pick up CSF2-style annotations such as `Primary.args = {...}`
+  for (const statement of sourceFile.statements) {
+    if (
+      !ts.isExpressionStatement(statement) ||
+      !ts.isBinaryExpression(statement.expression) ||
+      statement.expression.operatorToken.kind !== ts.SyntaxKind.EqualsToken
+    ) {
+      continue;
+    }
+    const { left, right } = statement.expression;
+    if (
+      !ts.isPropertyAccessExpression(left) ||
+      !ts.isIdentifier(left.expression) ||
+      !storiesByLocalName.has(left.expression.text)
+    ) {
+      continue;
+    }
+    const story = storiesByLocalName.get(left.expression.text);
+    const property = left.name.text;
+    if (property === "args") {
+      const args = argsOf(right);
+      story.hasArgs = true;
+      story.argNames = args.names;
+      story.argsSource = args.source;
+      storyArgSpreads.set(story, args.spreads);
+    }
+    if (property === "play") {
+      story.hasPlay = true;
+      story.play = analyzePlay(right, lineOf(statement));
+    }
+    if (property === "render") story.hasRender = true;
+    if (property === "decorators") story.hasDecorators = true;
+    if (property === "parameters") story.hasParameters = true;
+    if (
+      (property === "storyName" || property === "name") &&
+      ts.isStringLiteralLike(right)
+    ) {
+      story.name = right.text;
+    }
+  }
+
+  // Args spread from other stories count as the story's own
+  storyArgSpreads.forEach((spreads, story) => {
+    spreads
+      .map((localName) => storiesByLocalName.get(localName))
+      .filter((source) => source && source !== story)
+      .forEach((source) => {
+        story.argNames = [...new Set([...source.argNames, ...story.argNames])];
+      });
+  });
+
+  // Find legacy storiesOf client API usage anywhere in the file
+  const visit = (node) => {
+    if (ts.isCallExpression(node)) {
+      const callee = node.expression;
+      const name = ts.isIdentifier(callee)
+        ? callee.text
+        : ts.isPropertyAccessExpression(callee)
+        ? callee.name.text
+        : null;
+      if (LEGACY_APIS.has(name)) {
+        analysis.legacyApis.push({ api: name, line: lineOf(node) });
+      }
+    }
+    ts.forEachChild(node, visit);
+  };
+  visit(sourceFile);
+
+  if (analysis.meta && analysis.meta.title) {
+    analysis.stories.forEach((story) => {
+      story.id = toStoryId(analysis.meta.title, story.exportName);
+    });
+  }
+
+  analysis.csfVersion = detectCSFVersion(analysis);
+  return analysis;
+}
+
+/**
+ * Determine the CSF level from an analysis
+ */
+function detectCSFVersion(analysis) {
+  const { meta, stories, legacyApis } = analysis;
+
+  if (!meta) {
+    return legacyApis.some((usage) => usage.api === "storiesOf")
+      ? "storiesOf"
+      : "UNKNOWN";
+  }
+  if (meta.isFactory || stories.some((story) => story.kind === "factory")) {
+    return "Factories";
+  }
+
+  const functionStories = stories.filter(
+    (story) => story.kind === "function" || story.kind === "template"
+  );
+  if (functionStories.length > 0) {
+    return functionStories.some(
+      (story) => story.kind === "template" || story.hasArgs
+    )
+      ? "CSF2"
+      : "CSF1";
+  }
+  if (stories.some((story) => story.kind === "object")) {
+    return "CSF3";
+  }
+  return "UNKNOWN";
+}
+
+/**
+ * Whether a CSF level is accepted by the csfCompliance check
+ */
+function isCompliantCSFVersion(csfVersion) {
+  return COMPLIANT_CSF_VERSIONS.has(csfVersion);
+}
+
+/**
+ * Describe why an analysis is not CSF3 compliant, or null if it is
+ */
+function describeCSFIssues(analysis) {
+  const { csfVersion, meta, stories, legacyApis } = analysis;
+
+  if (isCompliantCSFVersion(csfVersion)) {
+    return null;
+  }
+  if (csfVersion === "storiesOf") {
+    const lines = legacyApis.map((usage) => usage.line).join(", ");
+    return `Detected legacy storiesOf API (line ${lines}); use a default export and named story exports`;
+  }
+  if (!meta) {
+    return "No default export (meta) found";
+  }
+  if (stories.length === 0) {
+    return "No named story exports found";
+  }
+
+  const functionStories = stories
+    .filter((story) => story.kind === "function" || story.kind === "template")
+    .map((story) => `${story.exportName} (line ${story.line})`);
+  if (functionStories.length > 0) {
+    return `Detected ${csfVersion} format: ${functionStories.join(
+      ", "
+    )} should be story objects`;
+  }
+  return `Detected ${csfVersion} format`;
+}
+
+module.exports = {
+  analyzeCSF,
+  describeCSFIssues,
+  detectCSFVersion,
+  isCompliantCSFVersion,
+  sanitize,
+  storyNameFromExport,
+  toStoryId,
+};
@@ -0,0 +1,298 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const ts = require("typescript");
+const {
+  analyzeCSF,
+  describeCSFIssues,
+  storyNameFromExport,
+  toStoryId,
+} = require("./csf_analyzer");
+
+test("detects CSF3 with type annotations", () => {
+  const analysis = analyzeCSF(
+    `import type { Meta, StoryObj } from "@storybook/react-vite";
+import { Button } from "./Button";
+
+const meta: Meta<typeof Button> = {
+  title: "Example/Button",
+  component: Button,
+};
+export default meta;
+type Story = StoryObj<typeof meta>;
+
+export const Primary: Story = {
+  args: { label: "Hi" },
+  play: async () => {},
+};`,
+    "Button.stories.tsx",
+    ts
+  );
+
+  assert.equal(analysis.csfVersion, "CSF3");
+  assert.equal(analysis.meta.title, "Example/Button");
+  assert.equal(analysis.meta.component, "Button");
+  assert.equal(analysis.meta.typing, "annotation");
+  assert.equal(analysis.meta.line, 4);
+  assert.deepEqual(
+    analysis.stories.map(({ exportName, id, line, hasArgs, hasPlay }) => ({
+      exportName,
+      id,
+      line,
+      hasArgs,
+      hasPlay,
+    })),
+    [
+      {
+        exportName: "Primary",
+        id: "example-button--primary",
+        line: 11,
+        hasArgs: true,
+        hasPlay: true,
+      },
+    ]
+  );
+  assert.equal(describeCSFIssues(analysis), null);
+});
+
+test("detects untyped CSF3 in plain JavaScript", () => {
+  const analysis = analyzeCSF(
+    `import { Button } from "./Button";
+// storiesOf("Button", module) was the old way
+export default { component: Button };
+export const Primary = { args: { label: "Hi" } };`,
+    "Button.stories.jsx",
+    ts
+  );
+
+  assert.equal(analysis.csfVersion, "CSF3");
+  assert.equal(analysis.meta.typing, "none");
+  assert.deepEqual(analysis.legacyApis, []);
+});
+
+test("recognizes satisfies Meta", () => {
+  const analysis = analyzeCSF(
+    `const meta = { title: "A" } satisfies Meta<typeof A>;
+export default meta;
+export const B = { args: {} } satisfies StoryObj<typeof meta>;`,
+    "A.stories.ts",
+    ts
+  );
+
+  assert.equal(analysis.meta.typing, "satisfies");
+  assert.equal(analysis.meta.typeName, "Meta");
+  assert.equal(analysis.stories[0].typing, "satisfies");
+});
+
+test("detects CSF2 templates and CSF1 functions", () => {
+  const csf2 = analyzeCSF(
+    `export default { title: "A" };
+const Template = (args) => <A {...args} />;
+export const Primary = Template.bind({});
+Primary.args = { label: "Hi" };`,
+    "A.stories.jsx",
+    ts
+  );
+  assert.equal(csf2.csfVersion, "CSF2");
+  assert.equal(csf2.stories[0].hasArgs, true);
+  assert.match(describeCSFIssues(csf2), /Primary \(line 3\)/);
+
+  const csf1 = analyzeCSF(
+    `export default { title: "A" };
+export const Primary = () => <A />;
+Primary.storyName = "First";`,
+    "A.stories.jsx",
+    ts
+  );
+  assert.equal(csf1.csfVersion, "CSF1");
+  assert.equal(csf1.stories[0].name, "First");
+});
+
+test("detects CSF factories", () => {
+  const analysis = analyzeCSF(
+    `import preview from "#.storybook/preview";
+const meta = preview.meta({ component: Button, title: "B" });
+export const Primary = meta.story({ args: { label: "Hi" } });`,
+    "Button.stories.tsx",
+    ts
+  );
+
+  assert.equal(analysis.csfVersion, "Factories");
+  assert.equal(analysis.meta.title, "B");
+  assert.equal(analysis.stories[0].kind, "factory");
+  assert.equal(analysis.stories[0].hasArgs, true);
+
+  const withDefault = analyzeCSF(
+    `import preview from "#.storybook/preview";
+const meta = preview.meta({ component: Button });
+export default meta;
+export const Primary = meta.story({});`,
+    "Button.stories.tsx",
+    ts
+  );
+  assert.equal(withDefault.csfVersion, "Factories");
+});
+
+test("flags storiesOf usage and missing exports", () => {
+  const legacy = analyzeCSF(
+    `storiesOf("Button", module).add("Primary", () => <Button />);`,
+    "Button.stories.jsx",
+    ts
+  );
+  assert.equal(legacy.csfVersion, "storiesOf");
+  assert.deepEqual(legacy.legacyApis, [{ api: "storiesOf", line: 1 }]);
+
+  const empty = analyzeCSF(
+    `export default { title: "A" };`,
+    "A.stories.js",
+    ts
+  );
+  assert.equal(describeCSFIssues(empty), "No named story exports found");
+});
+
+test("mirrors Storybook story naming", () => {
+  assert.equal(storyNameFromExport("WithIcon"), "With Icon");
+  assert.equal(storyNameFromExport("primary_button"), "Primary Button");
+  assert.equal(
+    toStoryId("Test/Perfect", "WithIcon"),
+    "test-perfect--with-icon"
+  );
+});
+
+test("records arg names, including args spread from other stories", () => {
+  const analysis = analyzeCSF(
+    `const meta = {
+  component: Button,
+  args: { size: "md" },
+  argTypes: { onClick: { action: "clicked" } },
+};
+export default meta;
+
+export const Primary = { args: { label: "Hi", primary: true } };
+export const Large = { args: { ...Primary.args, size: "lg" } };
+export const Legacy = Template.bind({});
+Legacy.args = { label:   "Old" };`,
+    "Button.stories.tsx",
+    ts
+  );
+
+  assert.deepEqual(analysis.meta.argNames, ["size"]);
+  assert.deepEqual(analysis.meta.argTypeNames, ["onClick"]);
+  assert.deepEqual(
+    analysis.stories.map(({ exportName, argNames, argsSource }) => ({
+      exportName,
+      argNames,
+      argsSource,
+    })),
+    [
+      {
+        exportName: "Primary",
+        argNames: ["label", "primary"],
+        argsSource: '{label:"Hi",primary:true}',
+      },
+      {
+        exportName: "Large",
+        argNames: ["label", "primary", "size"],
+        argsSource: '{...Primary.args,size:"lg"}',
+      },
+      {
+        exportName: "Legacy",
+        argNames: ["label"],
+        argsSource: '{label:"Old"}',
+      },
+    ]
+  );
+});
+
+test("counts the assertions and interactions of play functions", () => {
+  const analysis = analyzeCSF(
+    `import { expect, userEvent, within } from "storybook/test";
+
+const fill = async ({ canvas }) => {
+  await userEvent.type(canvas.getByRole("textbox"), "Hi");
+  await expect(canvas.getByText("Hi")).toBeVisible();
+};
+
+export default { title: "Form", play: async () => {} };
+
+export const Submit = {
+  play: async ({ canvasElement, step }) => {
+    const canvas = within(canvasElement);
+    const user = userEvent.setup();
+    await step("Submit", async () => {
+      await user.click(canvas.getByRole("button"));
+    });
+    expect(true).toBe(true);
+    expect(canvas.getByRole("status"));
+    await waitFor(() => expect.soft(canvas.getByRole("status")).not.toBeEmptyDOMElement());
+  },
+};
+export const Filled = { play: fill };
+export const Clicked = {
+  async play({ userEvent }) {
+    await userEvent.click(document.body);
+  },
+};
+export const Shared = {};
+Shared.play = sharedPlay;
+export const Plain = {};`,
+    "Form.stories.jsx",
+    ts
+  );
+
+  assert.deepEqual(analysis.meta.play, {
+    line: 8,
+    assertions: 0,
+    vacuousAssertions: [],
+    interactions: 0,
+    steps: 0,
+  });
+  assert.deepEqual(
+    analysis.stories.map(({ exportName, play }) => ({ exportName, play })),
+    [
+      {
+        exportName: "Submit",
+        play: {
+          line: 11,
+          assertions: 1,
+          vacuousAssertions: [
+            { line: 17, reason: "expect(true) asserts on a constant" },
+            { line: 18, reason: "expect() without a matcher" },
+          ],
+          interactions: 1,
+          steps: 1,
+        },
+      },
+      {
+        exportName: "Filled",
+        play: {
+          line: 22,
+          assertions: 1,
+          vacuousAssertions: [],
+          interactions: 1,
+          steps: 0,
+        },
+      },
+      {
+        exportName: "Clicked",
+        play: {
+          line: 24,
+          assertions: 0,
+          vacuousAssertions: [],
+          interactions: 1,
+          steps: 0,
+        },
+      },
+      {
+        exportName: "Shared",
+        play: {
+          line: 29,
+          assertions: null,
+          vacuousAssertions: [],
+          interactions: null,
+          steps: null,
+        },
+      },
+      { exportName: "Plain", play: null },
+    ]
+  );
+});
@@ -0,0 +1,33 @@
+/**
+ * Diagnostic formatting
+ *
+ * Shared by the checks that report compiler or linter problems as
+ * `{file, line, column, severity, message}` diagnostics.
+ */
+
+const path = require("path");
+
+/**
+ * Format a diagnostic as a single line, like ESLint's stylish formatter. The
+ * file is included when `baseDir` is given.
+ */
+function formatDiagnostic(diagnostic, baseDir = null) {
+  const location =
+    diagnostic.line !== null && diagnostic.line !== undefined
+      ? `${diagnostic.line}:${diagnostic.column || 0}`
+      : "0:0";
+  const file =
+    baseDir && diagnostic.file
+      ? `${path.relative(baseDir, diagnostic.file)}:`
+      : "";
+  const rule = diagnostic.ruleId
+    ? diagnostic.ruleId
+    : diagnostic.code
+    ? `TS${diagnostic.code}`
+    : null;
+  return `${file}${location}  ${diagnostic.severity}  ${diagnostic.message}${
+    rule ? `  ${rule}` : ""
+  }`;
+}
+
+module.exports = { formatDiagnostic };
@@ -0,0 +1,83 @@
+/**
+ * ESLint report parsing
+ *
+ * Turns the output of ESLint's JSON formatter into one diagnostic per problem
+ * and derives the linting check from it: errors fail the check, warnings only
+ * produce a warning.
+ */
+
+const { formatDiagnostic } = require("./diagnostics");
+
+/**
+ * Parse the JSON formatter output of `eslint --format json`
+ */
+function parseESLintReport(stdout) {
+  const text = (stdout || "").trim();
+  const start = text.indexOf("[");
+  if (start === -1) {
+    return null;
+  }
+  try {
+    const report = JSON.parse(text.slice(start));
+    return Array.isArray(report) ? report : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Convert an ESLint message into a diagnostic
+ */
+function toDiagnostic(filePath, message) {
+  return {
+    file: filePath,
+    line: message.line || null,
+    column: message.column || null,
+    endLine: message.endLine || null,
+    endColumn: message.endColumn || null,
+    ruleId: message.ruleId || null,
+    severity: message.severity === 2 ? "error" : "warning",
+    message: message.message,
+    fatal: Boolean(message.fatal),
+    fixable: Boolean(message.fix),
+  };
+}
+
+/**
+ * Build the linting check from an ESLint JSON report
+ *
+ * @param {Array<object>} report - Parsed `eslint --format json` output
+ */
+function summarizeESLintReport(report) {
+  const diagnostics = report.flatMap((fileResult) =>
+    (fileResult.messages || []).map((message) =>
+      toDiagnostic(fileResult.filePath, message)
+    )
+  );
+  const sum = (key) =>
+    report.reduce((total, fileResult) => total + (fileResult[key] || 0), 0);
+  const errorCount = sum("errorCount");
+  const warningCount = sum("warningCount");
+
+  const reported = diagnostics.filter((diagnostic) =>
+    errorCount > 0 ? diagnostic.severity === "error" : true
+  );
+
+  return {
+    status: errorCount > 0 ? "FAIL" : warningCount > 0 ? "WARNING" : "PASS",
+    error:
+      reported.length > 0
+        ? reported.map((diagnostic) => formatDiagnostic(diagnostic)).join("\n")
+        : null,
+    errorCount,
+    warningCount,
+    fixableErrorCount: sum("fixableErrorCount"),
+    fixableWarningCount: sum("fixableWarningCount"),
+    diagnostics,
+  };
+}
+
+module.exports = {
+  parseESLintReport,
+  summarizeESLintReport,
+};
@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatDiagnostic } = require("./diagnostics");
+const { parseESLintReport, summarizeESLintReport } = require("./eslint_report");
+
+const fileResult = (messages) => ({
+  filePath: "/project/src/Button.stories.tsx",
+  messages,
+  errorCount: messages.filter((message) => message.severity === 2).length,
+  warningCount: messages.filter((message) => message.severity === 1).length,
+  fixableErrorCount: messages.filter(
+    (message) => message.severity === 2 && message.fix
+  ).length,
+  fixableWarningCount: messages.filter(
+    (message) => message.severity === 1 && message.fix
+  ).length,
+});
+
+test("parses the JSON formatter output, ignoring leading noise", () => {
+  const report = [fileResult([])];
+  assert.deepEqual(
+    parseESLintReport(`npm warn something\n${JSON.stringify(report)}`),
+    report
+  );
+  assert.equal(parseESLintReport("Oops! Something went wrong!"), null);
+  assert.equal(parseESLintReport(""), null);
+});
+
+test("fails on errors and lists one diagnostic per message", () => {
+  const check = summarizeESLintReport([
+    fileResult([
+      {
+        ruleId: "@typescript-eslint/no-unused-vars",
+        severity: 2,
+        message: "'foo' is assigned a value but never used.",
+        line: 5,
+        column: 7,
+        endLine: 5,
+        endColumn: 10,
+      },
+      {
+        ruleId: "prefer-const",
+        severity: 1,
+        message: "'bar' is never reassigned. Use 'const' instead.",
+        line: 8,
+        column: 5,
+        fix: { range: [0, 3], text: "const" },
+      },
+    ]),
+  ]);
+
+  assert.equal(check.status, "FAIL");
+  assert.equal(check.errorCount, 1);
+  assert.equal(check.warningCount, 1);
+  assert.equal(check.fixableErrorCount, 0);
+  assert.equal(check.fixableWarningCount, 1);
+  assert.deepEqual(
+    check.diagnostics.map((diagnostic) => [
+      diagnostic.ruleId,
+      diagnostic.severity,
+      diagnostic.line,
+      diagnostic.column,
+      diagnostic.fixable,
+    ]),
+    [
+      ["@typescript-eslint/no-unused-vars", "error", 5, 7, false],
+      ["prefer-const", "warning", 8, 5, true],
+    ]
+  );
+  // The error text only names the errors
+  assert.equal(
+    check.error,
+    "5:7  error  'foo' is assigned a value but never used.  @typescript-eslint/no-unused-vars"
+  );
+});
+
+test("only warns when there are warnings but no errors", () => {
+  const check = summarizeESLintReport([
+    fileResult([
+      {
+        ruleId: "no-console",
+        severity: 1,
+        message: "Unexpected console statement.",
+        line: 3,
+        column: 1,
+      },
+      {
+        ruleId: "no-debugger",
+        severity: 1,
+        message: "Unexpected 'debugger' statement.",
+        line: 4,
+        column: 1,
+      },
+    ]),
+  ]);
+
+  assert.equal(check.status, "WARNING");
+  assert.equal(
+    check.error,
+    [
+      "3:1  warning  Unexpected console statement.  no-console",
+      "4:1  warning  Unexpected 'debugger' statement.  no-debugger",
+    ].join("\n")
+  );
+});
+
+test("passes a clean file and reports fatal parse errors", () => {
+  assert.equal(summarizeESLintReport([fileResult([])]).status, "PASS");
+
+  const check = summarizeESLintReport([
+    fileResult([
+      {
+        ruleId: null,
+        fatal: true,
+        severity: 2,
+        message: "Parsing error: ';' expected.",
+        line: 2,
+        column: 10,
+      },
+    ]),
+  ]);
+  assert.equal(check.status, "FAIL");
+  assert.equal(check.diagnostics[0].fatal, true);
+  assert.equal(
+    formatDiagnostic(check.diagnostics[0]),
+    "2:10  error  Parsing error: ';' expected."
+  );
+});
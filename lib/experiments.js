@@ -0,0 +1,273 @@
+/**
+ * Experiments
+ *
+ * Compares context variants: a manifest lists which story file was generated
+ * for which component with which variant of the prompt or context, the
+ * validation result of every entry is appended to a JSONL store, and the
+ * stored records are summarized as pass rates per variant and per check.
+ *
+ * @example
+ * // experiment.json
+ * {
+ *   "name": "button-context",
+ *   "entries": [
+ *     { "component": "src/Button.tsx", "variant": "props-only",
+ *       "story": "generated/props-only/Button.stories.tsx" },
+ *     { "component": "src/Button.tsx", "variant": "props-and-docs",
+ *       "story": "generated/props-and-docs/Button.stories.tsx" }
+ *   ]
+ * }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { CHECK_NAMES } = require("./config");
+
+const EVALUATED_STATUSES = ["PASS", "WARNING", "FAIL"];
+
+/**
+ * Read and validate an experiment manifest. Entry paths are resolved
+ * against the manifest's directory.
+ *
+ * @returns {{name: string, entries: Array<{component: string|null,
+ *   variant: string, story: string}>}}
+ */
+function loadManifest(manifestPath) {
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not load ${manifestPath}: ${error.message}`);
+  }
+  if (Array.isArray(manifest)) {
+    manifest = { entries: manifest };
+  }
+
+  const fail = (message) => {
+    throw new Error(`Invalid manifest ${manifestPath}: ${message}`);
+  };
+  if (!manifest || !Array.isArray(manifest.entries)) {
+    fail("expected an entries array");
+  }
+  if (manifest.entries.length === 0) {
+    fail("entries is empty");
+  }
+
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  const entries = manifest.entries.map((entry, index) => {
+    ["variant", "story"].forEach((field) => {
+      if (!entry || typeof entry[field] !== "string" || !entry[field]) {
+        fail(`entries[${index}].${field} must be a non-empty string`);
+      }
+    });
+    return {
+      component: entry.component
+        ? path.resolve(baseDir, entry.component)
+        : null,
+      variant: entry.variant,
+      story: path.resolve(baseDir, entry.story),
+    };
+  });
+
+  return {
+    name:
+      manifest.name || path.basename(manifestPath, path.extname(manifestPath)),
+    entries,
+  };
+}
+
+/**
+ * Turn the validation results of a manifest entry into a stored record
+ */
+function createRecord(run, entry, results) {
+  const baseDir = run.baseDir || process.cwd();
+  const relative = (filePath) =>
+    filePath ? path.relative(baseDir, filePath) : null;
+
+  return {
+    runId: run.runId,
+    experiment: run.experiment,
+    timestamp: results.timestamp || new Date().toISOString(),
+    component: relative(entry.component),
+    variant: entry.variant,
+    storyFile: relative(entry.story),
+    overallStatus: results.summary ? results.summary.overallStatus : "ERROR",
+    score: results.summary ? results.summary.score : null,
+    checks: Object.fromEntries(
+      Object.entries(results.checks || {}).map(([checkName, check]) => [
+        checkName,
+        check.status,
+      ])
+    ),
+    error: results.error || null,
+  };
+}
+
+/**
+ * Append-only JSON Lines store of experiment records
+ */
+class ExperimentStore {
+  /**
+   * @param {string} filePath
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Append records, one JSON object per line
+   */
+  append(records) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(
+      this.filePath,
+      records.map((record) => `${JSON.stringify(record)}\n`).join("")
+    );
+  }
+
+  /**
+   * Read the stored records, optionally only those of one run
+   *
+   * @param {object} [filter]
+   * @param {string} [filter.runId]
+   * @param {string} [filter.experiment]
+   */
+  read(filter = {}) {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+    return fs
+      .readFileSync(this.filePath, "utf8")
+      .split("\n")
+      .map((line, index) => {
+        if (!line.trim()) {
+          return null;
+        }
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw new Error(
+            `${this.filePath}:${index + 1} is not valid JSON: ${error.message}`
+          );
+        }
+      })
+      .filter(Boolean)
+      .filter(
+        (record) =>
+          (!filter.runId || record.runId === filter.runId) &&
+          (!filter.experiment || record.experiment === filter.experiment)
+      );
+  }
+}
+
+/**
+ * Share of `passed` in `total` as a percentage, null when there is nothing
+ * to compare
+ */
+function toRate(passed, total) {
+  return total > 0 ? Math.round((passed / total) * 100) : null;
+}
+
+/**
+ * Pass rates of each variant, overall and per check
+ *
+ * A story passes when its overall status is PASS. A check's pass rate only
+ * counts the stories it evaluated (PASS, WARNING or FAIL).
+ *
+ * @param {object[]} records - Stored experiment records
+ * @returns {{runs: string[], checks: string[], variants: object[]}}
+ */
+function compareVariants(records) {
+  const variants = new Map();
+  records.forEach((record) => {
+    if (!variants.has(record.variant)) {
+      variants.set(record.variant, []);
+    }
+    variants.get(record.variant).push(record);
+  });
+
+  const checkNames = CHECK_NAMES.filter((checkName) =>
+    records.some((record) => record.checks[checkName])
+  );
+
+  return {
+    runs: [...new Set(records.map((record) => record.runId))],
+    checks: checkNames,
+    variants: [...variants.entries()].map(([variant, variantRecords]) => {
+      const scores = variantRecords
+        .map((record) => record.score)
+        .filter((score) => Number.isFinite(score));
+      const passedStories = variantRecords.filter(
+        (record) => record.overallStatus === "PASS"
+      ).length;
+
+      return {
+        variant,
+        stories: variantRecords.length,
+        passedStories,
+        passRate: toRate(passedStories, variantRecords.length),
+        averageScore:
+          scores.length > 0
+            ? Math.round(
+                scores.reduce((sum, score) => sum + score, 0) / scores.length
+              )
+            : null,
+        checks: Object.fromEntries(
+          checkNames.map((checkName) => {
+            const statuses = variantRecords.map(
+              (record) => record.checks[checkName]
+            );
+            const evaluated = statuses.filter((status) =>
+              EVALUATED_STATUSES.includes(status)
+            ).length;
+            const passed = statuses.filter(
+              (status) => status === "PASS"
+            ).length;
+            return [
+              checkName,
+              { passed, evaluated, passRate: toRate(passed, evaluated) },
+            ];
+          })
+        ),
+      };
+    }),
+  };
+}
+
+/**
+ * Render a comparison as a Markdown table, one row per variant
+ */
+function formatComparison(comparison) {
+  const rate = (value) => (value === null ? "n/a" : `${value}%`);
+  const header = [
+    "Variant",
+    "Stories",
+    "Passed",
+    "Avg score",
+    ...comparison.checks,
+  ];
+  const rows = comparison.variants.map((variant) => [
+    variant.variant,
+    String(variant.stories),
+    `${variant.passedStories} (${rate(variant.passRate)})`,
+    rate(variant.averageScore),
+    ...comparison.checks.map((checkName) => {
+      const check = variant.checks[checkName];
+      return `${rate(check.passRate)} (${check.passed}/${check.evaluated})`;
+    }),
+  ]);
+
+  return [
+    `| ${header.join(" | ")} |`,
+    `| ${header.map(() => "---").join(" | ")} |`,
+    ...rows.map((row) => `| ${row.join(" | ")} |`),
+  ].join("\n");
+}
+
+module.exports = {
+  ExperimentStore,
+  compareVariants,
+  createRecord,
+  formatComparison,
+  loadManifest,
+};
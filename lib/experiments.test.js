@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  ExperimentStore,
+  compareVariants,
+  createRecord,
+  formatComparison,
+  loadManifest,
+} = require("./experiments");
+const { createFiles } = require("./test_helpers");
+
+const record = (variant, overallStatus, score, checks) => ({
+  runId: "run-1",
+  experiment: "button",
+  variant,
+  overallStatus,
+  score,
+  checks,
+});
+
+test("loads manifests relative to their directory", (t) => {
+  const dir = createFiles(t, {
+    "button.json": JSON.stringify([
+      {
+        component: "src/Button.tsx",
+        variant: "props-only",
+        story: "out/Button.stories.tsx",
+      },
+    ]),
+    "invalid.json": JSON.stringify({ entries: [{ variant: "props-only" }] }),
+  });
+
+  assert.deepEqual(loadManifest(path.join(dir, "button.json")), {
+    name: "button",
+    entries: [
+      {
+        component: path.join(dir, "src/Button.tsx"),
+        variant: "props-only",
+        story: path.join(dir, "out/Button.stories.tsx"),
+      },
+    ],
+  });
+  assert.throws(
+    () => loadManifest(path.join(dir, "invalid.json")),
+    /entries\[0\]\.story must be a non-empty string/
+  );
+});
+
+test("records the verdict and check statuses of an entry", () => {
+  const baseDir = path.join(os.tmpdir(), "experiment");
+  const entry = {
+    component: path.join(baseDir, "src/Button.tsx"),
+    variant: "props-only",
+    story: path.join(baseDir, "out/Button.stories.tsx"),
+  };
+
+  assert.deepEqual(
+    createRecord({ runId: "run-1", experiment: "button", baseDir }, entry, {
+      timestamp: "2025-01-01T00:00:00.000Z",
+      checks: { linting: { status: "PASS" }, renderTest: { status: "FAIL" } },
+      summary: { overallStatus: "FAIL", score: 50 },
+    }),
+    {
+      runId: "run-1",
+      experiment: "button",
+      timestamp: "2025-01-01T00:00:00.000Z",
+      component: path.join("src", "Button.tsx"),
+      variant: "props-only",
+      storyFile: path.join("out", "Button.stories.tsx"),
+      overallStatus: "FAIL",
+      score: 50,
+      checks: { linting: "PASS", renderTest: "FAIL" },
+      error: null,
+    }
+  );
+});
+
+test("appends records to a JSONL store and filters them by run", (t) => {
+  const dir = createFiles(t, {});
+  const store = new ExperimentStore(path.join(dir, "results", "runs.jsonl"));
+
+  assert.deepEqual(store.read(), []);
+  store.append([{ runId: "run-1", experiment: "button", variant: "a" }]);
+  store.append([
+    { runId: "run-2", experiment: "button", variant: "a" },
+    { runId: "run-2", experiment: "card", variant: "b" },
+  ]);
+
+  assert.equal(store.read().length, 3);
+  assert.deepEqual(store.read({ runId: "run-2", experiment: "button" }), [
+    { runId: "run-2", experiment: "button", variant: "a" },
+  ]);
+  assert.equal(
+    fs.readFileSync(store.filePath, "utf8").trim().split("\n").length,
+    3
+  );
+});
+
+test("compares pass rates per variant and per check", () => {
+  const comparison = compareVariants([
+    record("props-only", "PASS", 100, { linting: "PASS", renderTest: "PASS" }),
+    record("props-only", "FAIL", 50, { linting: "PASS", renderTest: "FAIL" }),
+    record("with-docs", "WARNING", 75, {
+      linting: "WARNING",
+      renderTest: "PASS",
+    }),
+    record("with-docs", "ERROR", null, {
+      linting: "PASS",
+      renderTest: "TIMEOUT",
+    }),
+  ]);
+
+  assert.deepEqual(comparison.runs, ["run-1"]);
+  assert.deepEqual(comparison.checks, ["linting", "renderTest"]);
+  assert.deepEqual(comparison.variants[0], {
+    variant: "props-only",
+    stories: 2,
+    passedStories: 1,
+    passRate: 50,
+    averageScore: 75,
+    checks: {
+      linting: { passed: 2, evaluated: 2, passRate: 100 },
+      renderTest: { passed: 1, evaluated: 2, passRate: 50 },
+    },
+  });
+  assert.deepEqual(comparison.variants[1].checks.renderTest, {
+    passed: 1,
+    evaluated: 1,
+    passRate: 100,
+  });
+  assert.equal(comparison.variants[1].averageScore, 75);
+
+  assert.equal(
+    formatComparison(comparison),
+    [
+      "| Variant | Stories | Passed | Avg score | linting | renderTest |",
+      "| --- | --- | --- | --- | --- | --- |",
+      "| props-only | 2 | 1 (50%) | 75% | 100% (2/2) | 50% (1/2) |",
+      "| with-docs | 2 | 0 (0%) | 75% | 50% (1/2) | 100% (1/1) |",
+    ].join("\n")
+  );
+});
@@ -0,0 +1,248 @@
+/**
+ * Story generators
+ *
+ * Adapters the repair loop asks for story files. Every generator has an async
+ * `generate(prompt, context)` method that returns the model's reply:
+ *
+ *   - CommandGenerator runs a shell command with the prompt on stdin and
+ *     reads the reply from stdout, e.g. `llm -m my-model`
+ *   - ModuleGenerator calls the `generate(prompt, context)` function exported
+ *     by a CommonJS module
+ *   - StubGenerator works offline: it replays fixed replies, or writes a
+ *     minimal CSF3 story for the component
+ *
+ * The context passed along is `{attempt, componentFile, componentName,
+ * storyFile, previousStory, feedback}`.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { runCommand } = require("./run_command");
+
+const MODULE_EXTENSIONS = [".js", ".cjs"];
+
+const DEFAULT_PROMPT_TEMPLATE = `Write a Storybook story file in Component Story Format 3 for the {{componentName}} component.
+
+Component file ({{componentPath}}):
+
+\`\`\`{{language}}
+{{componentSource}}
+\`\`\`
+
+The story file will be saved as {{storyPath}}, so import the component relative to it. Reply with the complete story file only.`;
+
+const REPAIR_PROMPT_TEMPLATE = `Your previous story file:
+
+\`\`\`{{language}}
+{{previousStory}}
+\`\`\`
+
+{{feedback}}`;
+
+/**
+ * Replace the `{{name}}` placeholders of a prompt template
+ */
+function renderPromptTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    values[name] !== undefined && values[name] !== null
+      ? String(values[name])
+      : placeholder
+  );
+}
+
+/**
+ * Build the prompt of an attempt. Repair attempts get the previous story and
+ * its validation feedback, appended when the template has no `{{feedback}}`
+ * placeholder.
+ */
+function buildPrompt(template, values) {
+  const prompt = renderPromptTemplate(template, values);
+  if (!values.feedback || /\{\{\s*feedback\s*\}\}/.test(template)) {
+    return prompt;
+  }
+  return `${prompt}\n\n${renderPromptTemplate(REPAIR_PROMPT_TEMPLATE, values)}`;
+}
+
+/**
+ * Take the story file out of a model reply: the first fenced code block when
+ * there is one, the whole reply otherwise
+ */
+function extractStorySource(reply) {
+  const match = String(reply).match(
+    /```[\w-]*[ \t]*\r?\n([\s\S]*?)\r?\n[ \t]*```/
+  );
+  const source = (match ? match[1] : String(reply)).trim();
+  return `${source}\n`;
+}
+
+/**
+ * Runs a shell command with the prompt on stdin
+ */
+class CommandGenerator {
+  /**
+   * @param {string} command
+   * @param {object} [options]
+   * @param {string} [options.cwd]
+   * @param {number} [options.timeoutMs] - Default: 5 minutes
+   * @param {AbortSignal} [options.signal]
+   */
+  constructor(command, options = {}) {
+    this.command = command;
+    this.options = options;
+  }
+
+  async generate(prompt) {
+    const { stdout } = await runCommand(this.command, {
+      cwd: this.options.cwd,
+      timeout: this.options.timeoutMs || 300000,
+      signal: this.options.signal,
+      input: prompt,
+    });
+    return stdout;
+  }
+}
+
+/**
+ * Calls the `generate` function a CommonJS module exports
+ */
+class ModuleGenerator {
+  /**
+   * @param {string} modulePath
+   */
+  constructor(modulePath) {
+    const exported = require(path.resolve(modulePath));
+    this.generateFn =
+      typeof exported === "function"
+        ? exported
+        : exported.generate ||
+          (exported.default && exported.default.generate) ||
+          null;
+    if (typeof this.generateFn !== "function") {
+      throw new Error(`${modulePath} does not export generate(prompt)`);
+    }
+  }
+
+  async generate(prompt, context) {
+    return this.generateFn(prompt, context);
+  }
+}
+
+/**
+ * Offline generator: replays `replies` in order (repeating the last one), or
+ * writes a minimal story for the component when there are none
+ */
+class StubGenerator {
+  /**
+   * @param {string[]} [replies]
+   */
+  constructor(replies = []) {
+    this.replies = replies;
+    this.prompts = [];
+  }
+
+  async generate(prompt, context) {
+    this.prompts.push(prompt);
+    if (this.replies.length > 0) {
+      return this.replies[
+        Math.min(this.prompts.length, this.replies.length) - 1
+      ];
+    }
+    return createStubStory(context.componentFile, context.storyFile);
+  }
+}
+
+/**
+ * A CSF3 story rendering the component with its default props, typed with
+ * `satisfies` in TypeScript story files and with JSDoc in JavaScript ones
+ */
+function createStubStory(componentFile, storyFile) {
+  const componentName = getComponentName(componentFile);
+  const source = fs.readFileSync(componentFile, "utf8");
+  let importPath = path
+    .relative(path.dirname(storyFile), componentFile)
+    .replace(/\\/g, "/")
+    .replace(/\.[jt]sx?$/, "");
+  if (!importPath.startsWith(".")) {
+    importPath = `./${importPath}`;
+  }
+  const isNamedExport = new RegExp(
+    `export\\s+(?:const|let|function|class)\\s+${componentName}\\b|export\\s*\\{[^}]*\\b${componentName}\\b`
+  ).test(source);
+  const componentImport = isNamedExport
+    ? `import { ${componentName} } from "${importPath}";`
+    : `import ${componentName} from "${importPath}";`;
+
+  if (!/\.tsx?$/.test(storyFile)) {
+    return [
+      componentImport,
+      "",
+      `/** @type {import("@storybook/react-vite").Meta<typeof ${componentName}>} */`,
+      "const meta = {",
+      `  component: ${componentName},`,
+      "};",
+      "",
+      "export default meta;",
+      "",
+      '/** @type {import("@storybook/react-vite").StoryObj<typeof meta>} */',
+      "export const Default = {};",
+      "",
+    ].join("\n");
+  }
+
+  return [
+    'import type { Meta, StoryObj } from "@storybook/react-vite";',
+    componentImport,
+    "",
+    "const meta = {",
+    `  component: ${componentName},`,
+    `} satisfies Meta<typeof ${componentName}>;`,
+    "",
+    "export default meta;",
+    "type Story = StoryObj<typeof meta>;",
+    "",
+    "export const Default: Story = {};",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Component name from its file name, as a PascalCase identifier
+ * (`Button.tsx` → `Button`, `date-picker.tsx` → `DatePicker`)
+ */
+function getComponentName(componentFile) {
+  const baseName = path.basename(componentFile, path.extname(componentFile));
+  const name = (
+    baseName === "index" ? path.basename(path.dirname(componentFile)) : baseName
+  )
+    .split(/[^A-Za-z0-9]+/)
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join("");
+  return /^[A-Za-z]/.test(name) ? name : `Component${name}`;
+}
+
+/**
+ * Create a generator from a `--generator` value: `stub`, a path to a
+ * CommonJS module, or a shell command
+ */
+function createGenerator(spec, options = {}) {
+  if (spec === "stub") {
+    return new StubGenerator();
+  }
+  if (MODULE_EXTENSIONS.includes(path.extname(spec)) && fs.existsSync(spec)) {
+    return new ModuleGenerator(spec);
+  }
+  return new CommandGenerator(spec, options);
+}
+
+module.exports = {
+  CommandGenerator,
+  DEFAULT_PROMPT_TEMPLATE,
+  ModuleGenerator,
+  StubGenerator,
+  buildPrompt,
+  createGenerator,
+  createStubStory,
+  extractStorySource,
+  getComponentName,
+  renderPromptTemplate,
+};
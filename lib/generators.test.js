@@ -0,0 +1,163 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const ts = require("typescript");
+const { analyzeCSF } = require("./csf_analyzer");
+const {
+  CommandGenerator,
+  ModuleGenerator,
+  StubGenerator,
+  buildPrompt,
+  createGenerator,
+  createStubStory,
+  extractStorySource,
+  getComponentName,
+} = require("./generators");
+const { createFiles } = require("./test_helpers");
+
+test("fills in prompt templates and appends repair feedback", () => {
+  const template = "Write a story for {{componentName}} in {{ storyPath }}.";
+  const values = {
+    componentName: "Button",
+    storyPath: "Button.stories.tsx",
+    language: "tsx",
+  };
+
+  assert.equal(
+    buildPrompt(template, values),
+    "Write a story for Button in Button.stories.tsx."
+  );
+
+  const repair = buildPrompt(template, {
+    ...values,
+    previousStory: "export const Broken = 1;",
+    feedback: "## 1. csfCompliance: FAIL (critical)",
+  });
+  assert.match(repair, /^Write a story for Button/);
+  assert.match(repair, /```tsx\nexport const Broken = 1;\n```/);
+  assert.match(repair, /## 1\. csfCompliance: FAIL \(critical\)$/);
+
+  // Templates that place the feedback themselves are left alone
+  assert.equal(
+    buildPrompt("Fix it: {{feedback}}", { ...values, feedback: "boom" }),
+    "Fix it: boom"
+  );
+});
+
+test("extracts the story from fenced or plain replies", () => {
+  assert.equal(
+    extractStorySource(
+      "Here is the story:\n\n```tsx\nexport default {};\n```\n\nEnjoy!"
+    ),
+    "export default {};\n"
+  );
+  assert.equal(
+    extractStorySource("export default {};\n\n"),
+    "export default {};\n"
+  );
+});
+
+test("writes stub stories importing the component", (t) => {
+  const dir = createFiles(t, {
+    "Button.tsx": "export const Button = () => null;",
+    "Card.tsx": "export default function Card() { return null; }",
+  });
+
+  const buttonStory = createStubStory(
+    path.join(dir, "Button.tsx"),
+    path.join(dir, "Button.stories.tsx")
+  );
+  assert.match(buttonStory, /import \{ Button \} from "\.\/Button";/);
+  assert.match(buttonStory, /satisfies Meta<typeof Button>/);
+  assert.match(buttonStory, /export const Default: Story = \{\};/);
+
+  const cardStory = createStubStory(
+    path.join(dir, "Card.tsx"),
+    path.join(dir, "stories", "Card.stories.tsx")
+  );
+  assert.match(cardStory, /import Card from "\.\.\/Card";/);
+});
+
+test("writes JavaScript stub stories for JavaScript components", (t) => {
+  const dir = createFiles(t, {
+    "Badge.jsx": "export function Badge() { return null; }",
+  });
+
+  const story = createStubStory(
+    path.join(dir, "Badge.jsx"),
+    path.join(dir, "Badge.stories.jsx")
+  );
+  assert.doesNotMatch(story, /import type|satisfies|: Story/);
+  assert.match(story, /import \{ Badge \} from "\.\/Badge";/);
+  assert.match(
+    story,
+    /@type \{import\("@storybook\/react-vite"\)\.Meta<typeof Badge>\}/
+  );
+
+  const analysis = analyzeCSF(story, "Badge.stories.jsx", ts);
+  assert.deepEqual(analysis.parseErrors, []);
+  assert.equal(analysis.csfVersion, "CSF3");
+  assert.equal(analysis.meta.component, "Badge");
+  assert.deepEqual(
+    analysis.stories.map((entry) => entry.exportName),
+    ["Default"]
+  );
+});
+
+test("names components after their file as PascalCase identifiers", (t) => {
+  assert.equal(getComponentName("src/Button.tsx"), "Button");
+  assert.equal(getComponentName("src/date-picker.tsx"), "DatePicker");
+  assert.equal(getComponentName("src/my.button.tsx"), "MyButton");
+  assert.equal(getComponentName("src/icon_button/index.tsx"), "IconButton");
+  assert.equal(getComponentName("src/404-page.tsx"), "Component404Page");
+
+  const dir = createFiles(t, {
+    "date-picker.tsx": "export default function DatePicker() { return null; }",
+  });
+  const story = createStubStory(
+    path.join(dir, "date-picker.tsx"),
+    path.join(dir, "date-picker.stories.tsx")
+  );
+  assert.match(story, /import DatePicker from "\.\/date-picker";/);
+  assert.match(story, /component: DatePicker,/);
+  assert.deepEqual(
+    analyzeCSF(story, "date-picker.stories.tsx", ts).parseErrors,
+    []
+  );
+});
+
+test("replays stub replies, repeating the last one", async () => {
+  const generator = new StubGenerator(["first", "second"]);
+
+  assert.equal(await generator.generate("a", {}), "first");
+  assert.equal(await generator.generate("b", {}), "second");
+  assert.equal(await generator.generate("c", {}), "second");
+  assert.deepEqual(generator.prompts, ["a", "b", "c"]);
+});
+
+test("creates generators from commands, modules and stub", async (t) => {
+  const dir = createFiles(t, {
+    "generator.js":
+      "module.exports.generate = async (prompt, context) => `${context.attempt}: ${prompt}`;",
+    "empty.js": "module.exports = {};",
+  });
+
+  assert.ok(createGenerator("stub") instanceof StubGenerator);
+
+  const moduleGenerator = createGenerator(path.join(dir, "generator.js"));
+  assert.ok(moduleGenerator instanceof ModuleGenerator);
+  assert.equal(
+    await moduleGenerator.generate("prompt", { attempt: 2 }),
+    "2: prompt"
+  );
+  assert.throws(
+    () => createGenerator(path.join(dir, "empty.js")),
+    /does not export generate\(prompt\)/
+  );
+
+  const commandGenerator = createGenerator(
+    `"${process.execPath}" -e "process.stdin.on('data', (data) => process.stdout.write(String(data).toUpperCase()))"`
+  );
+  assert.ok(commandGenerator instanceof CommandGenerator);
+  assert.equal(await commandGenerator.generate("a prompt"), "A PROMPT");
+});
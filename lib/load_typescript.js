@@ -0,0 +1,19 @@
+/**
+ * TypeScript compiler loader
+ *
+ * Prefers the project's own TypeScript install so diagnostics match what the
+ * project compiles with, and falls back to the copy bundled with this script.
+ */
+
+/**
+ * Load the TypeScript compiler API for a project
+ */
+function loadTypeScript(projectRoot) {
+  try {
+    return require(require.resolve("typescript", { paths: [projectRoot] }));
+  } catch (error) {
+    return require("typescript");
+  }
+}
+
+module.exports = loadTypeScript;
@@ -0,0 +1,107 @@
+/**
+ * Play function quality
+ *
+ * The interaction test only tells whether a play function threw. A play that
+ * clicks a button and asserts nothing passes just like a thorough one, so the
+ * play functions are also read statically: `expect` calls, interactions
+ * (`userEvent` and `fireEvent` calls) and `step` calls are counted per story.
+ *
+ *   FAIL    - no play function of the file asserts anything
+ *   WARNING - a play function has no assertions, or an assertion that cannot
+ *             fail (`expect()` without a matcher, or on a constant)
+ *   PASS    - otherwise
+ *   SKIP    - the file has no play functions
+ *
+ * Helpers a play function calls are not followed, and play functions
+ * imported from other modules are listed without counts.
+ */
+
+/**
+ * Build the playQuality check from a CSF analysis
+ *
+ * @param {object} analysis - analyzeCSF result
+ */
+function summarizePlayQuality(analysis) {
+  const { meta, stories } = analysis;
+  const metaPlay = meta && meta.play;
+
+  // Stories without their own play function run the meta's
+  const plays = stories
+    .filter((story) => story.play || metaPlay)
+    .map((story) => {
+      const play = story.play || metaPlay;
+      return {
+        id: story.id,
+        name: story.name,
+        line: play.line,
+        inherited: !story.play,
+        assertions: play.assertions,
+        vacuousAssertions: play.vacuousAssertions.length,
+        interactions: play.interactions,
+        steps: play.steps,
+      };
+    });
+  if (plays.length === 0) {
+    return {
+      status: "SKIP",
+      error: "No play functions to assess",
+      plays: [],
+      issues: [],
+    };
+  }
+
+  // A shared meta play is reported once rather than for every story
+  const issues = [];
+  const warn = (message, line) => issues.push({ level: "warn", message, line });
+  const assess = (label, play) => {
+    if (play.assertions === 0) {
+      warn(
+        `${label} has no assertions (${play.interactions} interaction(s))`,
+        play.line
+      );
+    }
+    play.vacuousAssertions.forEach((assertion) =>
+      warn(
+        `${label} has an assertion that cannot fail: ${assertion.reason}`,
+        assertion.line
+      )
+    );
+  };
+  if (plays.some((play) => play.inherited)) {
+    assess("The meta's play function", metaPlay);
+  }
+  stories
+    .filter((story) => story.play)
+    .forEach((story) =>
+      assess(`The play function of story "${story.name}"`, story.play)
+    );
+
+  const analyzed = plays.filter((play) => play.assertions !== null);
+  const total = (key) => analyzed.reduce((sum, play) => sum + play[key], 0);
+  const assertions = total("assertions");
+
+  let status = "PASS";
+  if (analyzed.length > 0 && assertions === 0) {
+    status = "FAIL";
+  } else if (issues.length > 0) {
+    status = "WARNING";
+  }
+
+  return {
+    status,
+    error: issues.map((issue) => issue.message).join("\n") || null,
+    assertions,
+    interactions: total("interactions"),
+    // Depth of the interaction tests, for comparing runs
+    assertionsPerPlay:
+      analyzed.length > 0
+        ? Math.round((assertions / analyzed.length) * 10) / 10
+        : null,
+    plays,
+    issues,
+  };
+}
+
+module.exports = {
+  summarizePlayQuality,
+};
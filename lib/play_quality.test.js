@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ts = require("typescript");
+const { analyzeCSF } = require("./csf_analyzer");
+const { summarizePlayQuality } = require("./play_quality");
+
+const analyze = (source) => analyzeCSF(source, "Form.stories.tsx", ts);
+
+test("passes play functions that assert", () => {
+  const check = summarizePlayQuality(
+    analyze(`export default { title: "Form" };
+export const Submit = {
+  play: async ({ canvas, userEvent }) => {
+    await userEvent.type(canvas.getByRole("textbox"), "Hi");
+    await userEvent.click(canvas.getByRole("button"));
+    await expect(canvas.getByRole("status")).toHaveTextContent("Sent");
+    await expect(canvas.getByRole("textbox")).toHaveValue("");
+  },
+};
+export const Empty = {};`)
+  );
+
+  assert.equal(check.status, "PASS");
+  assert.equal(check.error, null);
+  assert.equal(check.assertions, 2);
+  assert.equal(check.interactions, 2);
+  assert.equal(check.assertionsPerPlay, 2);
+  assert.deepEqual(check.plays, [
+    {
+      id: "form--submit",
+      name: "Submit",
+      line: 3,
+      inherited: false,
+      assertions: 2,
+      vacuousAssertions: 0,
+      interactions: 2,
+      steps: 0,
+    },
+  ]);
+});
+
+test("warns about plays without assertions or with vacuous ones", () => {
+  const check = summarizePlayQuality(
+    analyze(`export default { title: "Form" };
+export const Submit = {
+  play: async ({ canvas }) => {
+    await expect(canvas.getByRole("button")).toBeEnabled();
+    expect(1).toBe(1);
+  },
+};
+export const Click = {
+  play: async ({ canvas }) => {
+    await userEvent.click(canvas.getByRole("button"));
+  },
+};`)
+  );
+
+  assert.equal(check.status, "WARNING");
+  assert.equal(check.assertionsPerPlay, 0.5);
+  assert.deepEqual(check.issues, [
+    {
+      level: "warn",
+      message:
+        'The play function of story "Submit" has an assertion that cannot fail: expect(1) asserts on a constant',
+      line: 5,
+    },
+    {
+      level: "warn",
+      message:
+        'The play function of story "Click" has no assertions (1 interaction(s))',
+      line: 9,
+    },
+  ]);
+});
+
+test("fails when no play function asserts and reports a meta play once", () => {
+  const check = summarizePlayQuality(
+    analyze(`export default {
+  title: "Form",
+  play: async ({ canvas }) => {
+    await userEvent.click(canvas.getByRole("button"));
+  },
+};
+export const First = {};
+export const Second = { args: { label: "Hi" } };`)
+  );
+
+  assert.equal(check.status, "FAIL");
+  assert.deepEqual(
+    check.plays.map((play) => [play.name, play.inherited, play.interactions]),
+    [
+      ["First", true, 1],
+      ["Second", true, 1],
+    ]
+  );
+  assert.equal(
+    check.error,
+    "The meta's play function has no assertions (1 interaction(s))"
+  );
+});
+
+test("skips files without play functions and lists unresolved plays", () => {
+  assert.equal(
+    summarizePlayQuality(
+      analyze(`export default { title: "Form" };
+export const Empty = {};`)
+    ).status,
+    "SKIP"
+  );
+
+  const check = summarizePlayQuality(
+    analyze(`import { sharedPlay } from "./plays";
+export default { title: "Form" };
+export const Shared = { play: sharedPlay };`)
+  );
+  assert.equal(check.status, "PASS");
+  assert.equal(check.plays[0].assertions, null);
+  assert.equal(check.assertionsPerPlay, null);
+});
@@ -0,0 +1,178 @@
+/**
+ * PNG codec
+ *
+ * Just enough PNG to compare screenshots without a native dependency: decodes
+ * 8-bit, non-interlaced greyscale, RGB and RGBA images (what browsers write)
+ * and encodes RGBA images.
+ */
+
+const zlib = require("zlib");
+
+const SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+
+// Channels per pixel by PNG color type
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a PNG chunk's type and data
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Predictor of the Paeth filter
+ */
+function paeth(left, up, upLeft) {
+  const estimate = left + up - upLeft;
+  const distanceLeft = Math.abs(estimate - left);
+  const distanceUp = Math.abs(estimate - up);
+  const distanceUpLeft = Math.abs(estimate - upLeft);
+  if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) {
+    return left;
+  }
+  return distanceUp <= distanceUpLeft ? up : upLeft;
+}
+
+/**
+ * Predictor of a scanline filter type (None, Sub, Up, Average, Paeth)
+ */
+function predict(filter, left, up, upLeft) {
+  switch (filter) {
+    case 1:
+      return left;
+    case 2:
+      return up;
+    case 3:
+      return (left + up) >> 1;
+    case 4:
+      return paeth(left, up, upLeft);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Decode a PNG into RGBA pixels
+ *
+ * @param {Buffer} buffer
+ * @returns {{width: number, height: number, data: Buffer}}
+ */
+function decodePng(buffer) {
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw new Error("Not a PNG image");
+  }
+  let header = null;
+  const compressed = [];
+  for (let offset = 8; offset < buffer.length; ) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "IDAT") {
+      compressed.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += length + 12;
+  }
+  if (!header) {
+    throw new Error("PNG image has no header");
+  }
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS[colorType];
+  if (bitDepth !== 8 || !channels || interlace !== 0) {
+    throw new Error(
+      `Unsupported PNG image (bit depth ${bitDepth}, color type ${colorType}, interlace ${interlace})`
+    );
+  }
+
+  const raw = zlib.inflateSync(Buffer.concat(compressed));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const row = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const offset = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[offset + x - channels] : 0;
+      const up = y > 0 ? pixels[offset + x - stride] : 0;
+      const upLeft =
+        y > 0 && x >= channels ? pixels[offset + x - stride - channels] : 0;
+      pixels[offset + x] = (row[x] + predict(filter, left, up, upLeft)) & 0xff;
+    }
+  }
+
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const pixel = pixels.subarray(i * channels, (i + 1) * channels);
+    const grey = channels < 3;
+    data[i * 4] = pixel[0];
+    data[i * 4 + 1] = grey ? pixel[0] : pixel[1];
+    data[i * 4 + 2] = grey ? pixel[0] : pixel[2];
+    data[i * 4 + 3] =
+      channels === 2 || channels === 4 ? pixel[channels - 1] : 255;
+  }
+  return { width, height, data };
+}
+
+/**
+ * Encode RGBA pixels as a PNG
+ *
+ * @param {{width: number, height: number, data: Buffer}} image
+ * @returns {Buffer}
+ */
+function encodePng({ width, height, data }) {
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    const typeAndBody = Buffer.concat([Buffer.from(type, "ascii"), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndBody));
+    return Buffer.concat([length, typeAndBody, crc]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  // Every row unfiltered (filter type 0)
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    data.copy(raw, y * (stride + 1) + 1, y * stride, (y + 1) * stride);
+  }
+
+  return Buffer.concat([
+    SIGNATURE,
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(raw)),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = {
+  decodePng,
+  encodePng,
+};
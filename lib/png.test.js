@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { decodePng, encodePng } = require("./png");
+
+/**
+ * A PNG with the given header fields and raw (filtered) scanlines
+ */
+function createPng({ width, height, colorType }, scanlines) {
+  const chunk = (type, body) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+    // decodePng does not verify checksums
+    return Buffer.concat([length, Buffer.from(type), body, Buffer.alloc(4)]);
+  };
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = colorType;
+  return Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(Buffer.from(scanlines.flat()))),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+test("decodes RGB images with every scanline filter", () => {
+  const image = decodePng(
+    createPng({ width: 2, height: 4, colorType: 2 }, [
+      [1, 10, 20, 30, 30, 40, 60], // Sub
+      [2, 5, 5, 5, 10, 10, 10], // Up
+      [3, 13, 18, 23, 25, 30, 40], // Average
+      [4, 5, 5, 5, 10, 10, 10], // Paeth
+    ])
+  );
+
+  assert.equal(image.width, 2);
+  assert.equal(image.height, 4);
+  assert.deepEqual(
+    [...image.data],
+    [
+      [10, 20, 30, 255, 40, 60, 90, 255],
+      [15, 25, 35, 255, 50, 70, 100, 255],
+      [20, 30, 40, 255, 60, 80, 110, 255],
+      [25, 35, 45, 255, 70, 90, 120, 255],
+    ].flat()
+  );
+});
+
+test("decodes greyscale images with alpha", () => {
+  const image = decodePng(
+    createPng({ width: 1, height: 1, colorType: 4 }, [[0, 200, 128]])
+  );
+  assert.deepEqual([...image.data], [200, 200, 200, 128]);
+});
+
+test("round-trips RGBA images through the encoder", () => {
+  const data = Buffer.from([255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 255, 0]);
+  const image = decodePng(encodePng({ width: 3, height: 1, data }));
+
+  assert.deepEqual(image, { width: 3, height: 1, data });
+});
+
+test("rejects files that are not supported PNG images", () => {
+  assert.throws(() => decodePng(Buffer.from("GIF89a")), /Not a PNG image/);
+  assert.throws(
+    () => decodePng(createPng({ width: 1, height: 1, colorType: 3 }, [[0, 0]])),
+    /Unsupported PNG image/
+  );
+});
@@ -0,0 +1,173 @@
+/**
+ * Render inspection
+ *
+ * The smoke test only fails when rendering throws. This looks at what each
+ * story actually rendered into the Storybook root, and at what it logged:
+ *
+ *   FAIL    - the story rendered no elements, or none that is visible
+ *   WARNING - the story rendered no text, images or controls, logged console
+ *             errors, or triggered React warnings (missing `key`, invalid DOM
+ *             nesting, unknown DOM props, ...)
+ *
+ * Inspection only makes the renderTest check stricter: a check that passed
+ * can become WARNING or FAIL, never the other way round.
+ */
+
+const { firstLine } = require("./story_results");
+
+// React 18 prefixes its development warnings with "Warning:"; React 19 does
+// not, so its usual messages are matched as well
+const REACT_WARNING_PATTERNS = [
+  /^Warning: /,
+  /unique "key" prop/,
+  /validateDOMNesting/,
+  /cannot (?:be a (?:child|descendant) of|contain a nested)/,
+  /In HTML, <\w+> cannot/,
+  /React does not recognize the `[^`]+` prop/,
+  /Invalid DOM property `[^`]+`/,
+  /Received `(?:true|false)` for a non-boolean attribute/,
+  /is using incorrect casing/,
+  /Function components cannot be given refs/,
+];
+
+// Console messages shown per story, to keep reports readable
+const MAX_CONSOLE_ISSUES = 5;
+
+/**
+ * Whether a console message is a React warning, another console error, or
+ * neither (other warnings are not reported)
+ *
+ * @param {{type: "error"|"warn", text: string}} message
+ * @returns {"react"|"console"|null}
+ */
+function classifyConsoleMessage(message) {
+  if (REACT_WARNING_PATTERNS.some((pattern) => pattern.test(message.text))) {
+    return "react";
+  }
+  return message.type === "error" ? "console" : null;
+}
+
+/**
+ * Issues of one rendered story
+ *
+ * @param {object|null} root - StoryBrowser#measureRoot result
+ * @param {Array<{type: string, text: string}>} messages - Console output
+ * @returns {Array<{level: "fail"|"warn", kind: string, message: string}>}
+ */
+function assessRender(root, messages = []) {
+  const issues = [];
+  if (root) {
+    if (root.elements === 0 && root.textLength === 0) {
+      issues.push({
+        level: "fail",
+        kind: "empty",
+        message: "rendered nothing",
+      });
+    } else if (root.visibleElements === 0 && root.textLength === 0) {
+      issues.push({
+        level: "fail",
+        kind: "empty",
+        message: `rendered ${root.elements} element(s), none of them visible`,
+      });
+    } else if (root.textLength === 0 && root.media === 0) {
+      issues.push({
+        level: "warn",
+        kind: "trivial",
+        message: `rendered no text, images or controls (${root.elements} element(s), ${root.width}×${root.height}px)`,
+      });
+    }
+  }
+
+  // Repeated messages, e.g. a warning per list item, are reported once
+  const consoleKinds = new Map();
+  messages.forEach((message) => {
+    const kind = classifyConsoleMessage(message);
+    if (kind && !consoleKinds.has(message.text)) {
+      consoleKinds.set(message.text, kind);
+    }
+  });
+  [...consoleKinds].slice(0, MAX_CONSOLE_ISSUES).forEach(([text, kind]) =>
+    issues.push({
+      level: "warn",
+      kind,
+      message: `${
+        kind === "react"
+          ? "triggered a React warning"
+          : "logged a console error"
+      }: ${firstLine(text)}`,
+    })
+  );
+  return issues;
+}
+
+/**
+ * Make the renderTest check stricter with what the stories rendered and
+ * logged, recording each story's measurements in `story.render`
+ *
+ * @param {object} renderTest - The check from the test runner's report
+ * @param {object[]} stories - Per-story results
+ * @param {Map<string, {status: string, root: object|null, console: object[]}>}
+ *   inspections - By story id, from rendering the stories in a browser
+ * @returns {object} The renderTest check
+ */
+function applyRenderInspection(renderTest, stories, inspections) {
+  if (!["PASS", "FAIL", "SKIP"].includes(renderTest.status)) {
+    return renderTest;
+  }
+
+  const issues = [];
+  stories.forEach((story) => {
+    const inspection = story.id && inspections.get(story.id);
+    // Stories that threw are reported by the test runner
+    if (!inspection || ["error", "timeout"].includes(inspection.status)) {
+      return;
+    }
+    const storyIssues = assessRender(inspection.root, inspection.console);
+    story.render = {
+      ...inspection.root,
+      console: inspection.console,
+      issues: storyIssues.map(({ level, message }) => ({ level, message })),
+    };
+    storyIssues.forEach((issue) =>
+      issues.push({
+        ...issue,
+        message: `Story "${story.name}" ${issue.message}`,
+        line: story.line,
+      })
+    );
+  });
+  if (issues.length === 0) {
+    return renderTest;
+  }
+
+  let status = issues.some((issue) => issue.level === "fail")
+    ? "FAIL"
+    : "WARNING";
+  if (renderTest.status === "FAIL") {
+    status = "FAIL";
+  }
+  // Keep the test runner's failures in the list, so it is complete
+  const failures = stories
+    .filter((story) => ["FAIL", "ERROR"].includes(story.smokeTest.status))
+    .map((story) => ({
+      level: "fail",
+      kind: "failure",
+      message: `Story "${story.name}" failed to render: ${firstLine(
+        story.smokeTest.error
+      )}`,
+      line: story.line,
+    }));
+
+  return {
+    ...renderTest,
+    status,
+    error: [...failures, ...issues].map((issue) => issue.message).join("\n"),
+    issues: [...failures, ...issues],
+  };
+}
+
+module.exports = {
+  applyRenderInspection,
+  assessRender,
+  classifyConsoleMessage,
+};
@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  applyRenderInspection,
+  assessRender,
+  classifyConsoleMessage,
+} = require("./render_inspection");
+
+const ROOT = {
+  elements: 3,
+  visibleElements: 3,
+  textLength: 12,
+  media: 1,
+  width: 120,
+  height: 40,
+};
+
+/**
+ * A per-story result as the test report produces it
+ */
+function createStory(id, name, status = "PASS", error = null) {
+  return {
+    id,
+    exportName: name,
+    name,
+    line: 10,
+    testType: "smoke-test",
+    smokeTest: { status, error, location: null },
+    playTest: { status: "SKIP", error: null, location: null },
+  };
+}
+
+test("classifies React warnings and console errors", () => {
+  assert.equal(
+    classifyConsoleMessage({
+      type: "error",
+      text: 'Warning: Each child in a list should have a unique "key" prop.',
+    }),
+    "react"
+  );
+  assert.equal(
+    classifyConsoleMessage({
+      type: "error",
+      text: "In HTML, <div> cannot be a descendant of <p>.",
+    }),
+    "react"
+  );
+  assert.equal(
+    classifyConsoleMessage({ type: "error", text: "Failed to fetch" }),
+    "console"
+  );
+  assert.equal(
+    classifyConsoleMessage({ type: "warn", text: "Deprecated option" }),
+    null
+  );
+});
+
+test("fails empty and invisible renders and warns about trivial ones", () => {
+  assert.deepEqual(assessRender(ROOT), []);
+  assert.deepEqual(
+    assessRender({ ...ROOT, elements: 0, visibleElements: 0, textLength: 0 }),
+    [{ level: "fail", kind: "empty", message: "rendered nothing" }]
+  );
+  assert.equal(
+    assessRender({ ...ROOT, visibleElements: 0, textLength: 0 })[0].message,
+    "rendered 3 element(s), none of them visible"
+  );
+  assert.deepEqual(assessRender({ ...ROOT, textLength: 0, media: 0 }), [
+    {
+      level: "warn",
+      kind: "trivial",
+      message: "rendered no text, images or controls (3 element(s), 120×40px)",
+    },
+  ]);
+});
+
+test("reports each console message once", () => {
+  const warning = {
+    type: "error",
+    text: 'Warning: Each child in a list should have a unique "key" prop.\n    at li',
+  };
+  const issues = assessRender(ROOT, [
+    warning,
+    warning,
+    { type: "error", text: "Failed to fetch" },
+    { type: "warn", text: "Deprecated option" },
+  ]);
+
+  assert.deepEqual(
+    issues.map((issue) => [issue.kind, issue.message]),
+    [
+      [
+        "react",
+        'triggered a React warning: Warning: Each child in a list should have a unique "key" prop.',
+      ],
+      ["console", "logged a console error: Failed to fetch"],
+    ]
+  );
+});
+
+test("makes a passing render test stricter", () => {
+  const stories = [createStory("a", "Primary"), createStory("b", "Empty")];
+  const inspections = new Map([
+    ["a", { status: "success", root: ROOT, console: [] }],
+    [
+      "b",
+      {
+        status: "success",
+        root: { ...ROOT, elements: 0, visibleElements: 0, textLength: 0 },
+        console: [],
+      },
+    ],
+  ]);
+  const check = applyRenderInspection(
+    { status: "PASS", error: null },
+    stories,
+    inspections
+  );
+
+  assert.equal(check.status, "FAIL");
+  assert.equal(check.error, 'Story "Empty" rendered nothing');
+  assert.deepEqual(check.issues, [
+    {
+      level: "fail",
+      kind: "empty",
+      message: 'Story "Empty" rendered nothing',
+      line: 10,
+    },
+  ]);
+  assert.equal(stories[0].render.textLength, 12);
+  assert.deepEqual(stories[0].render.issues, []);
+});
+
+test("keeps the test runner's result when nothing is found", () => {
+  const renderTest = { status: "PASS", error: null };
+  const inspections = new Map([
+    ["a", { status: "success", root: ROOT, console: [] }],
+  ]);
+
+  assert.equal(
+    applyRenderInspection(
+      renderTest,
+      [createStory("a", "Primary")],
+      inspections
+    ),
+    renderTest
+  );
+  const errored = { status: "ERROR", error: "No report" };
+  assert.equal(
+    applyRenderInspection(errored, [createStory("a", "Primary")], inspections),
+    errored
+  );
+});
+
+test("lists runner failures with warnings of other stories", () => {
+  const stories = [
+    createStory("a", "Broken", "FAIL", "TypeError: boom\n    at render"),
+    createStory("b", "Listed"),
+  ];
+  const inspections = new Map([
+    ["a", { status: "error", root: null, console: [] }],
+    [
+      "b",
+      {
+        status: "success",
+        root: ROOT,
+        console: [{ type: "error", text: "Failed to fetch" }],
+      },
+    ],
+  ]);
+  const check = applyRenderInspection(
+    { status: "FAIL", error: "Render failed for Broken" },
+    stories,
+    inspections
+  );
+
+  assert.equal(check.status, "FAIL");
+  assert.deepEqual(
+    check.issues.map((issue) => issue.kind),
+    ["failure", "console"]
+  );
+  assert.equal(
+    check.issues[0].message,
+    'Story "Broken" failed to render: TypeError: boom'
+  );
+  assert.equal(stories[0].render, undefined);
+});
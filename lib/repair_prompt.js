@@ -0,0 +1,320 @@
+/**
+ * Repair prompt
+ *
+ * Renders validation results as a Markdown feedback message for the LLM that
+ * generated the story: every failing check, most severe first, with its
+ * diagnostics and the offending lines of the story file. The message is kept
+ * within a token budget so it can be pasted into the next generation turn.
+ */
+
+const path = require("path");
+const { getDefaultConfig } = require("./config");
+const { stripAnsi } = require("./story_results");
+
+const DEFAULT_MAX_TOKENS = 2000;
+
+const CONTEXT_LINES = 2;
+
+const MAX_LINE_LENGTH = 160;
+
+const MAX_MESSAGE_LINES = 6;
+
+const SEVERITY_ORDER = ["critical", "major", "minor"];
+
+const STATUS_ORDER = ["FAIL", "WARNING"];
+
+const CODE_FENCE_LANGUAGES = {
+  ".js": "js",
+  ".jsx": "jsx",
+  ".mdx": "mdx",
+  ".mjs": "js",
+  ".ts": "ts",
+  ".tsx": "tsx",
+};
+
+/**
+ * Rough token count of a text (about four characters per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil(text.length / 4);
+}
+
+/**
+ * Shorten a multi-line message to its first lines
+ */
+function shortenMessage(message) {
+  const lines = stripAnsi(String(message || ""))
+    .split("\n")
+    .map((line) => line.trimEnd())
+    .filter((line) => line.trim());
+  const kept = lines.slice(0, MAX_MESSAGE_LINES);
+  if (lines.length > kept.length) {
+    kept.push("…");
+  }
+  return kept.join("\n");
+}
+
+/**
+ * Excerpt the lines around `line` (1-based) with line numbers, marking it
+ */
+function excerptSource(sourceLines, line) {
+  if (!line || line < 1 || line > sourceLines.length) {
+    return null;
+  }
+  const first = Math.max(1, line - CONTEXT_LINES);
+  const last = Math.min(sourceLines.length, line + CONTEXT_LINES);
+  const width = String(last).length;
+  const excerpt = [];
+  for (let current = first; current <= last; current++) {
+    let text = sourceLines[current - 1];
+    if (text.length > MAX_LINE_LENGTH) {
+      text = `${text.slice(0, MAX_LINE_LENGTH)}…`;
+    }
+    excerpt.push(
+      `${current === line ? ">" : " "} ${String(current).padStart(
+        width
+      )} | ${text}`
+    );
+  }
+  return excerpt.join("\n");
+}
+
+/**
+ * Whether a location reported by a test runner points into the story file
+ */
+function isInStoryFile(location, storyFile) {
+  return Boolean(
+    location &&
+      location.file &&
+      path.basename(location.file) === path.basename(storyFile)
+  );
+}
+
+/**
+ * Issues of a check as `{message, line}`, where `line` is a line of the
+ * story file or null
+ */
+function collectIssues(checkName, check, results) {
+  const stories = results.stories || [];
+
+  if (checkName === "linting" || checkName === "typeScript") {
+    const rule = (diagnostic) =>
+      diagnostic.ruleId || (diagnostic.code ? `TS${diagnostic.code}` : null);
+    const issues = (check.diagnostics || []).map((diagnostic) => ({
+      message: `${diagnostic.severity}: ${diagnostic.message}${
+        rule(diagnostic) ? ` (${rule(diagnostic)})` : ""
+      }`,
+      line: diagnostic.line,
+    }));
+    (check.dependencyDiagnostics || []).forEach((diagnostic) => {
+      issues.push({
+        message: `${diagnostic.severity} in imported file ${path.basename(
+          diagnostic.file || ""
+        )}:${diagnostic.line}: ${diagnostic.message}${
+          rule(diagnostic) ? ` (${rule(diagnostic)})` : ""
+        }`,
+        line: null,
+      });
+    });
+    if (issues.length > 0) {
+      return issues;
+    }
+  }
+
+  if (checkName === "renderTest" || checkName === "interactionTest") {
+    const key = checkName === "renderTest" ? "smokeTest" : "playTest";
+    const verb = checkName === "renderTest" ? "render" : "pass its play test";
+    const issues = stories
+      .filter((story) => ["FAIL", "ERROR"].includes(story[key].status))
+      .map((story) => ({
+        message: `Story "${story.name}" (export \`${
+          story.exportName
+        }\`) failed to ${verb}:\n${shortenMessage(story[key].error)}`,
+        line: isInStoryFile(story[key].location, results.storyFile)
+          ? story[key].location.line
+          : story.line,
+      }));
+    // What the render inspection found in stories that did render
+    if (checkName === "renderTest" && check.issues) {
+      check.issues
+        .filter((issue) => issue.kind !== "failure")
+        .forEach((issue) =>
+          issues.push({ message: issue.message, line: issue.line })
+        );
+    }
+    if (issues.length > 0) {
+      return issues;
+    }
+  }
+
+  if (checkName === "csfCompliance" && check.parseErrors) {
+    const issues = check.parseErrors.map((parseError) => ({
+      message: `Syntax error: ${parseError.message}`,
+      line: parseError.line,
+    }));
+    if (issues.length > 0) {
+      return issues;
+    }
+  }
+
+  if (
+    ["storyQuality", "conventions", "playQuality", "visual"].includes(
+      checkName
+    ) &&
+    check.issues
+  ) {
+    const issues = check.issues.map((issue) => ({
+      message: issue.message,
+      line: issue.line,
+    }));
+    if (issues.length > 0) {
+      return issues;
+    }
+  }
+
+  if (checkName === "accessibility" && check.violations) {
+    const level = check.status === "FAIL" ? "fail" : "warn";
+    const issues = check.violations
+      .filter((violation) => violation.level === level)
+      .map((violation) => {
+        const story = stories.find((entry) => entry.id === violation.storyId);
+        return {
+          message: `Story "${violation.storyName}": ${violation.help} (${
+            violation.ruleId
+          }, ${violation.impact || "unknown"} impact) on ${violation.targets
+            .slice(0, 3)
+            .join(", ")}`,
+          line: story ? story.line : null,
+        };
+      });
+    if (issues.length > 0) {
+      return issues;
+    }
+  }
+
+  return [{ message: shortenMessage(check.error) || check.status, line: null }];
+}
+
+/**
+ * Render validation results as a repair prompt
+ *
+ * @param {object} results - StoryValidator results
+ * @param {object} [options]
+ * @param {string} [options.source] - Contents of the story file, for excerpts
+ * @param {object} [options.config] - Resolved config, for check severities
+ * @param {number} [options.maxTokens] - Token budget of the message
+ * @returns {string} Markdown
+ */
+function formatRepairPrompt(results, options = {}) {
+  const config = options.config || getDefaultConfig();
+  const maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+  const sourceLines =
+    options.source !== undefined && options.source !== null
+      ? options.source.split(/\r?\n/)
+      : [];
+  const language = CODE_FENCE_LANGUAGES[path.extname(results.storyFile)] || "";
+  const severityOf = (checkName) =>
+    (config.checks[checkName] && config.checks[checkName].severity) || "major";
+
+  const { summary } = results;
+  const header = [`# Story validation feedback: \`${results.storyFile}\``, ""];
+  if (results.error) {
+    header.push(`Validation could not run: ${shortenMessage(results.error)}`);
+    return header.join("\n");
+  }
+
+  const failingChecks = Object.entries(results.checks)
+    .filter(([, check]) => STATUS_ORDER.includes(check.status))
+    .sort(
+      ([nameA, checkA], [nameB, checkB]) =>
+        SEVERITY_ORDER.indexOf(severityOf(nameA)) -
+          SEVERITY_ORDER.indexOf(severityOf(nameB)) ||
+        STATUS_ORDER.indexOf(checkA.status) -
+          STATUS_ORDER.indexOf(checkB.status)
+    );
+  const uncheckedChecks = Object.entries(results.checks).filter(([, check]) =>
+    ["ERROR", "TIMEOUT"].includes(check.status)
+  );
+
+  header.push(
+    summary
+      ? `Result: ${summary.overallStatus}${
+          summary.score === null ? "" : ` (score ${summary.score}%)`
+        }`
+      : "Result: unknown"
+  );
+  if (failingChecks.length === 0) {
+    header.push("", "No problems were found by the checks that ran.");
+  } else {
+    header.push(
+      "",
+      "Fix the problems below, most severe first, and return the complete corrected story file."
+    );
+  }
+  if (uncheckedChecks.length > 0) {
+    header.push(
+      "",
+      `Not checked because of a tooling problem: ${uncheckedChecks
+        .map(
+          ([checkName, check]) =>
+            `${checkName} (${
+              check.status === "TIMEOUT" ? "timed out" : "errored"
+            })`
+        )
+        .join(", ")}.`
+    );
+  }
+
+  const blocks = [header.join("\n")];
+  let usedTokens = estimateTokens(blocks[0]);
+  // Keep room for the note about omitted issues
+  const budget = maxTokens - 30;
+  let omitted = 0;
+
+  failingChecks.forEach(([checkName, check], index) => {
+    const heading = `\n## ${index + 1}. ${checkName}: ${
+      check.status
+    } (${severityOf(checkName)})`;
+    const issues = collectIssues(checkName, check, results);
+    let headingAdded = false;
+    let previousLine = null;
+
+    issues.forEach((issue) => {
+      const parts = [`- ${issue.message.replace(/\n/g, "\n  ")}`];
+      const excerpt =
+        issue.line !== previousLine
+          ? excerptSource(sourceLines, issue.line)
+          : null;
+      if (excerpt) {
+        parts.push(
+          `\n  \`\`\`${language}\n${excerpt.replace(/^/gm, "  ")}\n  \`\`\``
+        );
+      }
+      const block = (headingAdded ? "" : `${heading}\n\n`) + parts.join("");
+      const tokens = estimateTokens(block);
+      if (omitted > 0 || usedTokens + tokens > budget) {
+        omitted++;
+        return;
+      }
+      blocks.push(block);
+      usedTokens += tokens;
+      headingAdded = true;
+      previousLine = issue.line;
+    });
+  });
+
+  if (omitted > 0) {
+    blocks.push(
+      `\n_${omitted} more issue(s) omitted to stay within the token budget._`
+    );
+  }
+  return blocks.join("\n");
+}
+
+module.exports = {
+  DEFAULT_MAX_TOKENS,
+  collectIssues,
+  estimateTokens,
+  excerptSource,
+  formatRepairPrompt,
+};
@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getDefaultConfig } = require("./config");
+const { estimateTokens, formatRepairPrompt } = require("./repair_prompt");
+
+const source = [
+  'import type { Meta, StoryObj } from "@storybook/react-vite";',
+  'import { Button } from "./Button";',
+  "",
+  "const meta = { component: Button } satisfies Meta<typeof Button>;",
+  "export default meta;",
+  "",
+  "export const Primary: StoryObj<typeof meta> = {",
+  "  args: { label: 42 },",
+  "};",
+].join("\n");
+
+const results = {
+  storyFile: "src/Button.stories.tsx",
+  checks: {
+    linting: {
+      status: "WARNING",
+      error: null,
+      diagnostics: [
+        {
+          line: 2,
+          column: 1,
+          severity: "warning",
+          message: "Unexpected console statement.",
+          ruleId: "no-console",
+        },
+      ],
+    },
+    typeScript: {
+      status: "FAIL",
+      error: "1 type error",
+      diagnostics: [
+        {
+          line: 8,
+          column: 11,
+          severity: "error",
+          message: "Type 'number' is not assignable to type 'string'.",
+          code: 2322,
+        },
+      ],
+      dependencyDiagnostics: [],
+    },
+    renderTest: {
+      status: "FAIL",
+      error: "Render test failed for Primary: boom",
+    },
+    interactionTest: { status: "TIMEOUT", error: "timed out" },
+    accessibility: { status: "SKIP", error: "No @storybook/addon-a11y found" },
+  },
+  stories: [
+    {
+      id: "button--primary",
+      exportName: "Primary",
+      name: "Primary",
+      line: 7,
+      testType: "smoke-test",
+      smokeTest: {
+        status: "FAIL",
+        error: "Cannot read properties of undefined (reading 'length')",
+        location: { file: "src/Button.tsx", line: 3, column: 9 },
+      },
+      playTest: { status: "SKIP", error: null, location: null },
+    },
+  ],
+  summary: { score: 40, overallStatus: "FAIL" },
+};
+
+test("lists failing checks by severity with source excerpts", () => {
+  const prompt = formatRepairPrompt(results, { source });
+
+  assert.match(
+    prompt,
+    /^# Story validation feedback: `src\/Button\.stories\.tsx`/
+  );
+  assert.match(prompt, /Result: FAIL \(score 40%\)/);
+  assert.match(
+    prompt,
+    /Not checked because of a tooling problem: interactionTest \(timed out\)/
+  );
+
+  const headings = prompt.match(/^## .*$/gm);
+  assert.deepEqual(headings, [
+    "## 1. renderTest: FAIL (critical)",
+    "## 2. typeScript: FAIL (major)",
+    "## 3. linting: WARNING (major)",
+  ]);
+
+  // Errors outside the story file point at the story's definition
+  assert.match(
+    prompt,
+    /Story "Primary" \(export `Primary`\) failed to render:\n  Cannot read properties/
+  );
+  assert.match(prompt, /> 7 \| export const Primary/);
+  assert.match(
+    prompt,
+    /error: Type 'number' is not assignable to type 'string'\. \(TS2322\)/
+  );
+  assert.match(prompt, /> 8 \|   args: \{ label: 42 \},/);
+  assert.doesNotMatch(prompt, /accessibility/);
+});
+
+test("orders checks by the configured severities", () => {
+  const config = getDefaultConfig();
+  config.checks.renderTest.severity = "minor";
+
+  const headings = formatRepairPrompt(results, { source, config }).match(
+    /^## .*$/gm
+  );
+
+  assert.equal(headings[2], "## 3. renderTest: FAIL (minor)");
+});
+
+test("stays within the token budget", () => {
+  const diagnostics = Array.from({ length: 50 }, (_, index) => ({
+    line: (index % 9) + 1,
+    column: 1,
+    severity: "error",
+    message: `Problem number ${index}`,
+    ruleId: "some-rule",
+  }));
+  const prompt = formatRepairPrompt(
+    {
+      storyFile: "src/Button.stories.tsx",
+      checks: { linting: { status: "FAIL", error: null, diagnostics } },
+      summary: { score: 0, overallStatus: "FAIL" },
+    },
+    { source, maxTokens: 300 }
+  );
+
+  assert.ok(estimateTokens(prompt) <= 300);
+  assert.match(prompt, /Problem number 0/);
+  assert.match(
+    prompt,
+    /_\d+ more issue\(s\) omitted to stay within the token budget\._$/
+  );
+});
+
+test("reports validations that could not run", () => {
+  const prompt = formatRepairPrompt({
+    storyFile: "src/Missing.stories.tsx",
+    checks: {},
+    error: "ENOENT: no such file",
+  });
+
+  assert.match(prompt, /Validation could not run: ENOENT: no such file/);
+});
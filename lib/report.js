@@ -0,0 +1,408 @@
+/**
+ * Reports
+ *
+ * Renders validation results for sharing: a Markdown summary for PR comments
+ * and a self-contained HTML page. Both list every story file with its
+ * per-check statuses, the issues of the checks that did not pass (with
+ * excerpts of the story file) and aggregate scores.
+ *
+ * Results can be read from any JSON the script writes: a single story
+ * (`--json`), a batch or experiment run (`files`), or a repair loop
+ * (`attempts`, of which the outcome attempt is reported).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { CHECK_NAMES } = require("./config");
+const { collectIssues, excerptSource } = require("./repair_prompt");
+
+const STATUS_ICONS = {
+  PASS: "✅",
+  WARNING: "⚠️",
+  FAIL: "❌",
+  ERROR: "💥",
+  TIMEOUT: "⏱️",
+  SKIP: "⏭️",
+  NOT_EVALUATED: "➖",
+};
+
+const MAX_MARKDOWN_ISSUES = 10;
+
+/**
+ * Story results contained in a results JSON document
+ */
+function extractStoryResults(document) {
+  if (!document || typeof document !== "object") {
+    return [];
+  }
+  if (Array.isArray(document.files)) {
+    return document.files;
+  }
+  if (Array.isArray(document.attempts)) {
+    const outcome = document.outcome || {};
+    const attempt =
+      document.attempts.find((entry) => entry.attempt === outcome.attempt) ||
+      document.attempts[document.attempts.length - 1];
+    return attempt && attempt.results ? [attempt.results] : [];
+  }
+  if (document.storyFile && document.checks) {
+    return [document];
+  }
+  return [];
+}
+
+/**
+ * Read results JSON files
+ *
+ * @param {string[]} filePaths
+ * @returns {Array<{file: string, results: object}>} One entry per story, with
+ *   the JSON file it came from
+ */
+function loadResultFiles(filePaths) {
+  return filePaths.flatMap((filePath) => {
+    let document;
+    try {
+      document = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not load ${filePath}: ${error.message}`);
+    }
+    const stories = extractStoryResults(document);
+    if (stories.length === 0) {
+      throw new Error(`${filePath} does not contain validation results`);
+    }
+    return stories.map((results) => ({ file: filePath, results }));
+  });
+}
+
+/**
+ * Aggregate scores and statuses of several story results
+ */
+function summarizeReport(storyResults) {
+  const statuses = {};
+  const checks = {};
+  const scores = [];
+
+  storyResults.forEach((results) => {
+    const overallStatus = results.summary
+      ? results.summary.overallStatus
+      : "ERROR";
+    statuses[overallStatus] = (statuses[overallStatus] || 0) + 1;
+    if (results.summary && Number.isFinite(results.summary.score)) {
+      scores.push(results.summary.score);
+    }
+    Object.entries(results.checks || {}).forEach(([checkName, check]) => {
+      const counts = (checks[checkName] = checks[checkName] || {});
+      counts[check.status] = (counts[check.status] || 0) + 1;
+    });
+  });
+
+  return {
+    stories: storyResults.length,
+    statuses,
+    averageScore:
+      scores.length > 0
+        ? Math.round(
+            scores.reduce((sum, score) => sum + score, 0) / scores.length
+          )
+        : null,
+    checks,
+    checkNames: CHECK_NAMES.filter((checkName) => checks[checkName]),
+  };
+}
+
+/**
+ * Issues of the checks that did not pass, with source excerpts
+ */
+function describeChecks(results, source) {
+  const sourceLines = source ? source.split(/\r?\n/) : [];
+  return Object.entries(results.checks || {})
+    .filter(([, check]) => !["PASS", "SKIP"].includes(check.status))
+    .map(([checkName, check]) => ({
+      checkName,
+      status: check.status,
+      issues: collectIssues(checkName, check, results).map((issue) => ({
+        message: issue.message,
+        line: issue.line,
+        excerpt: excerptSource(sourceLines, issue.line),
+      })),
+    }));
+}
+
+/**
+ * Score and status of a story for tables
+ */
+function formatVerdict(results) {
+  if (!results.summary) {
+    return { status: "ERROR", score: "n/a" };
+  }
+  const { overallStatus, score } = results.summary;
+  return { status: overallStatus, score: score === null ? "n/a" : `${score}%` };
+}
+
+/**
+ * Render a Markdown report, compact enough for a PR comment
+ *
+ * @param {object[]} storyResults - StoryValidator results
+ * @param {object} [options]
+ * @param {(results: object) => string|null} [options.getSource] - Contents
+ *   of a story file, for excerpts
+ * @param {string} [options.title]
+ */
+function formatMarkdownReport(storyResults, options = {}) {
+  const getSource = options.getSource || (() => null);
+  const summary = summarizeReport(storyResults);
+  const icon = (status) => STATUS_ICONS[status] || "❔";
+  const lines = [`## ${options.title || "Storybook validation report"}`, ""];
+
+  lines.push(
+    `**${summary.stories} story file(s)**, average score ${
+      summary.averageScore === null ? "n/a" : `${summary.averageScore}%`
+    }: ${Object.entries(summary.statuses)
+      .map(([status, count]) => `${icon(status)} ${count} ${status}`)
+      .join(", ")}`,
+    ""
+  );
+
+  lines.push(
+    `| Story | Status | Score | ${summary.checkNames.join(" | ")} |`,
+    `| --- | --- | --- | ${summary.checkNames.map(() => ":---:").join(" | ")} |`
+  );
+  storyResults.forEach((results) => {
+    const verdict = formatVerdict(results);
+    const checkCells = summary.checkNames.map((checkName) =>
+      results.checks && results.checks[checkName]
+        ? icon(results.checks[checkName].status)
+        : ""
+    );
+    lines.push(
+      `| \`${results.storyFile}\` | ${icon(verdict.status)} ${
+        verdict.status
+      } | ${verdict.score} | ${checkCells.join(" | ")} |`
+    );
+  });
+
+  storyResults.forEach((results) => {
+    const checks = describeChecks(results, getSource(results));
+    if (checks.length === 0 && !results.error) {
+      return;
+    }
+    const language = path.extname(results.storyFile).slice(1);
+    lines.push(
+      "",
+      `<details><summary><code>${escapeHtml(results.storyFile)}</code>: ${
+        formatVerdict(results).status
+      }</summary>`,
+      ""
+    );
+    if (results.error) {
+      lines.push(`Validation failed: ${escapeHtml(results.error)}`, "");
+    }
+    checks.forEach((check) => {
+      lines.push(
+        `**${icon(check.status)} ${check.checkName}: ${check.status}**`,
+        ""
+      );
+      check.issues.slice(0, MAX_MARKDOWN_ISSUES).forEach((issue) => {
+        // Messages quote markup such as React's `<div> cannot be a
+        // descendant of <p>`, which would otherwise render as HTML
+        lines.push(`- ${escapeHtml(issue.message).replace(/\n/g, "\n  ")}`);
+        if (issue.excerpt) {
+          lines.push(
+            `  \`\`\`${language}`,
+            issue.excerpt.replace(/^/gm, "  "),
+            "  ```"
+          );
+        }
+      });
+      if (check.issues.length > MAX_MARKDOWN_ISSUES) {
+        lines.push(`- …and ${check.issues.length - MAX_MARKDOWN_ISSUES} more`);
+      }
+      lines.push("");
+    });
+    lines.push("</details>");
+  });
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const HTML_STYLE = `
+  body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #1f2328; }
+  h1 { font-size: 1.5rem; }
+  .cards { display: flex; gap: 1rem; flex-wrap: wrap; margin-bottom: 1.5rem; }
+  .card { border: 1px solid #d0d7de; border-radius: 6px; padding: .75rem 1rem; min-width: 8rem; }
+  .card strong { display: block; font-size: 1.5rem; }
+  table { border-collapse: collapse; margin-bottom: 1.5rem; }
+  th, td { border: 1px solid #d0d7de; padding: .35rem .6rem; text-align: left; }
+  td.status { text-align: center; }
+  .PASS { color: #1a7f37; } .WARNING { color: #9a6700; }
+  .FAIL, .ERROR, .TIMEOUT { color: #cf222e; } .SKIP, .NOT_EVALUATED { color: #656d76; }
+  details { margin: .5rem 0; }
+  details details { margin-left: 1.25rem; }
+  summary { cursor: pointer; }
+  pre { background: #f6f8fa; padding: .5rem; overflow-x: auto; }
+  pre .hit { background: #ffebe9; display: block; }
+  .issue { margin: .5rem 0 .5rem 1.25rem; white-space: pre-wrap; }
+`;
+
+/**
+ * Render an excerpt, highlighting the marked line
+ */
+function formatHtmlExcerpt(excerpt) {
+  const lines = excerpt
+    .split("\n")
+    .map((line) =>
+      line.startsWith(">")
+        ? `<span class="hit">${escapeHtml(line)}</span>`
+        : `${escapeHtml(line)}\n`
+    );
+  return `<pre>${lines.join("")}</pre>`;
+}
+
+/**
+ * Render a self-contained HTML report (inline styles, no scripts)
+ *
+ * @param {object[]} storyResults - StoryValidator results
+ * @param {object} [options] - Same as formatMarkdownReport
+ */
+function formatHtmlReport(storyResults, options = {}) {
+  const getSource = options.getSource || (() => null);
+  const title = options.title || "Storybook validation report";
+  const summary = summarizeReport(storyResults);
+  const status = (value) =>
+    `<span class="${escapeHtml(value)}">${
+      STATUS_ICONS[value] || ""
+    } ${escapeHtml(value)}</span>`;
+
+  const cards = [
+    ["Story files", summary.stories],
+    [
+      "Average score",
+      summary.averageScore === null ? "n/a" : `${summary.averageScore}%`,
+    ],
+    ...Object.entries(summary.statuses),
+  ]
+    .map(
+      ([label, value]) =>
+        `<div class="card">${escapeHtml(label)}<strong>${escapeHtml(
+          value
+        )}</strong></div>`
+    )
+    .join("\n");
+
+  const checkTotals = summary.checkNames
+    .map((checkName) => {
+      const counts = summary.checks[checkName];
+      return `<tr><td>${escapeHtml(checkName)}</td>${[
+        "PASS",
+        "WARNING",
+        "FAIL",
+        "ERROR",
+        "TIMEOUT",
+        "SKIP",
+      ]
+        .map((key) => `<td class="status">${counts[key] || 0}</td>`)
+        .join("")}</tr>`;
+    })
+    .join("\n");
+
+  const rows = storyResults
+    .map((results) => {
+      const verdict = formatVerdict(results);
+      return `<tr><td><code>${escapeHtml(
+        results.storyFile
+      )}</code></td><td>${status(verdict.status)}</td><td>${escapeHtml(
+        verdict.score
+      )}</td>${summary.checkNames
+        .map((checkName) => {
+          const check = results.checks && results.checks[checkName];
+          return `<td class="status">${check ? status(check.status) : ""}</td>`;
+        })
+        .join("")}</tr>`;
+    })
+    .join("\n");
+
+  const details = storyResults
+    .map((results) => {
+      const checks = describeChecks(results, getSource(results))
+        .map(
+          (check) =>
+            `<details><summary>${status(check.status)} ${escapeHtml(
+              check.checkName
+            )} (${check.issues.length} issue(s))</summary>\n${check.issues
+              .map(
+                (issue) =>
+                  `<div class="issue">${escapeHtml(issue.message)}${
+                    issue.excerpt ? formatHtmlExcerpt(issue.excerpt) : ""
+                  }</div>`
+              )
+              .join("\n")}\n</details>`
+        )
+        .join("\n");
+      const error = results.error
+        ? `<div class="issue">Validation failed: ${escapeHtml(
+            results.error
+          )}</div>`
+        : "";
+      return `<details><summary><code>${escapeHtml(
+        results.storyFile
+      )}</code> ${status(formatVerdict(results).status)}</summary>\n${error}${
+        checks || "<p>All checks passed or were skipped.</p>"
+      }\n</details>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p>Generated ${escapeHtml(new Date().toISOString())}</p>
+<div class="cards">
+${cards}
+</div>
+<h2>Stories</h2>
+<table>
+<thead><tr><th>Story</th><th>Status</th><th>Score</th>${summary.checkNames
+    .map((checkName) => `<th>${escapeHtml(checkName)}</th>`)
+    .join("")}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<h2>Checks</h2>
+<table>
+<thead><tr><th>Check</th><th>Pass</th><th>Warning</th><th>Fail</th><th>Error</th><th>Timeout</th><th>Skip</th></tr></thead>
+<tbody>
+${checkTotals}
+</tbody>
+</table>
+<h2>Details</h2>
+${details}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  escapeHtml,
+  extractStoryResults,
+  formatHtmlReport,
+  formatMarkdownReport,
+  loadResultFiles,
+  summarizeReport,
+};
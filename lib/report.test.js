@@ -0,0 +1,168 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  escapeHtml,
+  extractStoryResults,
+  formatHtmlReport,
+  formatMarkdownReport,
+  loadResultFiles,
+  summarizeReport,
+} = require("./report");
+const { createFiles } = require("./test_helpers");
+
+const source = [
+  'import { Button } from "./Button";',
+  "",
+  "export default { component: Button };",
+  "",
+  "export const Primary = { args: { label: 1 } };",
+].join("\n");
+
+const failing = {
+  storyFile: "src/Button.stories.tsx",
+  checks: {
+    csfCompliance: { status: "PASS" },
+    typeScript: {
+      status: "FAIL",
+      diagnostics: [
+        {
+          severity: "error",
+          message: "Type 'number' is not assignable to type 'string'.",
+          code: 2322,
+          line: 5,
+        },
+      ],
+    },
+    accessibility: { status: "SKIP" },
+  },
+  summary: { overallStatus: "FAIL", score: 50 },
+};
+
+const passing = {
+  storyFile: "src/Card.stories.tsx",
+  checks: {
+    csfCompliance: { status: "PASS" },
+    typeScript: { status: "PASS" },
+  },
+  summary: { overallStatus: "PASS", score: 100 },
+};
+
+test("extracts story results from every results JSON shape", () => {
+  assert.deepEqual(extractStoryResults(failing), [failing]);
+  assert.deepEqual(extractStoryResults({ files: [failing, passing] }), [
+    failing,
+    passing,
+  ]);
+  assert.deepEqual(
+    extractStoryResults({
+      attempts: [
+        { attempt: 1, results: failing },
+        { attempt: 2, results: passing },
+      ],
+      outcome: { attempt: 1 },
+    }),
+    [failing]
+  );
+  assert.deepEqual(extractStoryResults({ runs: [] }), []);
+});
+
+test("loads result files and rejects other JSON", (t) => {
+  const dir = createFiles(t);
+  const batchFile = path.join(dir, "batch.json");
+  const otherFile = path.join(dir, "package.json");
+  fs.writeFileSync(batchFile, JSON.stringify({ files: [failing, passing] }));
+  fs.writeFileSync(otherFile, JSON.stringify({ name: "example" }));
+
+  assert.deepEqual(
+    loadResultFiles([batchFile]).map((entry) => entry.file),
+    [batchFile, batchFile]
+  );
+  assert.throws(
+    () => loadResultFiles([otherFile]),
+    /does not contain validation results/
+  );
+});
+
+test("summarizes statuses, scores and checks", () => {
+  const summary = summarizeReport([failing, passing, { storyFile: "x" }]);
+
+  assert.equal(summary.stories, 3);
+  assert.deepEqual(summary.statuses, { FAIL: 1, PASS: 1, ERROR: 1 });
+  assert.equal(summary.averageScore, 75);
+  assert.deepEqual(summary.checks.typeScript, { FAIL: 1, PASS: 1 });
+  assert.deepEqual(summary.checkNames, [
+    "typeScript",
+    "csfCompliance",
+    "accessibility",
+  ]);
+});
+
+test("formats a Markdown report with issues and excerpts", () => {
+  const report = formatMarkdownReport([failing, passing], {
+    getSource: (results) => (results === failing ? source : null),
+  });
+
+  assert.match(report, /\*\*2 story file\(s\)\*\*, average score 75%/);
+  assert.match(
+    report,
+    /\| `src\/Button\.stories\.tsx` \| ❌ FAIL \| 50% \| ❌ \| ✅ \| ⏭️ \|/
+  );
+  assert.match(report, /\*\*❌ typeScript: FAIL\*\*/);
+  assert.match(report, /not assignable to type 'string'\. \(TS2322\)/);
+  assert.match(report, /> 5 \| export const Primary/);
+  // Passing stories get no details
+  assert.doesNotMatch(report, /<code>src\/Card\.stories\.tsx<\/code>/);
+});
+
+test("escapes file names and messages in the Markdown details", () => {
+  const report = formatMarkdownReport([
+    {
+      storyFile: "src/<Button>.stories.tsx",
+      error: "Storybook failed: <title>Error</title>",
+      checks: {
+        renderTest: {
+          status: "FAIL",
+          error: "In HTML, <div> cannot be a descendant of <p>.",
+        },
+      },
+      summary: { overallStatus: "FAIL", score: 0 },
+    },
+  ]);
+
+  assert.match(
+    report,
+    /<details><summary><code>src\/&lt;Button&gt;\.stories\.tsx<\/code>: FAIL<\/summary>/
+  );
+  assert.match(
+    report,
+    /Validation failed: Storybook failed: &lt;title&gt;Error&lt;\/title&gt;/
+  );
+  assert.match(
+    report,
+    /- In HTML, &lt;div&gt; cannot be a descendant of &lt;p&gt;\./
+  );
+  assert.doesNotMatch(report, /<(div|p|title)>/);
+});
+
+test("formats a self-contained HTML report", () => {
+  const report = formatHtmlReport([failing, passing], {
+    getSource: () => source,
+    title: "Run <1>",
+  });
+
+  assert.match(report, /^<!DOCTYPE html>/);
+  assert.match(report, /<title>Run &lt;1&gt;<\/title>/);
+  assert.match(report, /<details><summary><code>src\/Button\.stories\.tsx/);
+  assert.match(report, /<span class="hit">&gt; 5 \| export const Primary/);
+  assert.match(report, /All checks passed or were skipped\./);
+  assert.doesNotMatch(report, /<script|<link/);
+});
+
+test("escapes HTML", () => {
+  assert.equal(
+    escapeHtml(`<a href="x">&</a>`),
+    "&lt;a href=&quot;x&quot;&gt;&amp;&lt;/a&gt;"
+  );
+});
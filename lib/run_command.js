@@ -0,0 +1,127 @@
+/**
+ * Shell command runner
+ *
+ * Runs the tools the checks depend on (ESLint, the test-runner, Vitest) and
+ * generator commands asynchronously in their own process group, so that a timeout or an
+ * AbortSignal stops `npx` and everything it started, not only the shell.
+ */
+
+const { execSync, spawn } = require("child_process");
+
+const KILL_GRACE_MS = 5000;
+
+/**
+ * Stop a process and all of its children
+ */
+function killProcessTree(child, signal = "SIGTERM") {
+  try {
+    if (process.platform === "win32") {
+      execSync(`taskkill /pid ${child.pid} /T /F`, { stdio: "pipe" });
+    } else {
+      process.kill(-child.pid, signal);
+    }
+  } catch (error) {
+    // Process might already be dead
+  }
+}
+
+/**
+ * Run a shell command and collect its output
+ *
+ * Resolves with `{ stdout, stderr }` when the command exits with 0. Otherwise
+ * rejects with an Error carrying `stdout`, `stderr` and the exit `code`, like
+ * `child_process.exec`; `killed` and `timedOut` are set when it hit the
+ * timeout, and an aborted signal rejects with the signal's reason.
+ *
+ * @param {string} command
+ * @param {object} [options]
+ * @param {string} [options.cwd]
+ * @param {number} [options.timeout] - Milliseconds before the command is
+ *   stopped (default: no timeout)
+ * @param {AbortSignal} [options.signal]
+ * @param {string} [options.input] - Written to the command's stdin
+ */
+function runCommand(command, options = {}) {
+  const { cwd, timeout, signal, input } = options;
+
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const child = spawn(command, {
+      cwd,
+      shell: true,
+      detached: process.platform !== "win32",
+      stdio: [input === undefined ? "ignore" : "pipe", "pipe", "pipe"],
+    });
+    if (input !== undefined) {
+      // Commands may exit without reading all of their input
+      child.stdin.on("error", () => {});
+      child.stdin.end(input);
+    }
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    let forceKillTimer = null;
+
+    child.stdout.on("data", (chunk) => (stdout += chunk));
+    child.stderr.on("data", (chunk) => (stderr += chunk));
+
+    const stop = () => {
+      killProcessTree(child);
+      forceKillTimer = setTimeout(
+        () => killProcessTree(child, "SIGKILL"),
+        KILL_GRACE_MS
+      );
+    };
+    const onAbort = () => stop();
+    const timer = timeout
+      ? setTimeout(() => {
+          timedOut = true;
+          stop();
+        }, timeout)
+      : null;
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    const finish = (error) => {
+      clearTimeout(timer);
+      clearTimeout(forceKillTimer);
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+      } else if (error) {
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      } else {
+        resolve({ stdout, stderr });
+      }
+    };
+
+    child.once("error", (error) => finish(error));
+    child.once("close", (code, exitSignal) => {
+      if (code === 0 && !timedOut) {
+        finish(null);
+        return;
+      }
+      const error = new Error(
+        timedOut
+          ? `Command timed out after ${timeout}ms: ${command}`
+          : `Command failed: ${command}\n${stderr}`
+      );
+      error.code = code;
+      error.signal = exitSignal;
+      error.killed = timedOut;
+      error.timedOut = timedOut;
+      finish(error);
+    });
+  });
+}
+
+module.exports = { killProcessTree, runCommand };
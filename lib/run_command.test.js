@@ -0,0 +1,70 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runCommand } = require("./run_command");
+
+const node = (script) => `"${process.execPath}" -e ${JSON.stringify(script)}`;
+
+test("resolves with the output of a successful command", async () => {
+  const { stdout, stderr } = await runCommand(
+    node('console.log("out"); console.error("err")')
+  );
+  assert.equal(stdout.trim(), "out");
+  assert.equal(stderr.trim(), "err");
+});
+
+test("rejects with the output and exit code of a failing command", async () => {
+  await assert.rejects(
+    runCommand(node('console.log("report"); process.exit(3)')),
+    (error) => {
+      assert.equal(error.code, 3);
+      assert.equal(error.stdout.trim(), "report");
+      assert.equal(error.killed, false);
+      assert.equal(error.timedOut, false);
+      return true;
+    }
+  );
+});
+
+test("stops commands that exceed the timeout", async () => {
+  const startedAt = Date.now();
+  await assert.rejects(
+    runCommand(node("setTimeout(() => {}, 30000)"), { timeout: 200 }),
+    (error) => {
+      assert.equal(error.killed, true);
+      assert.equal(error.timedOut, true);
+      assert.match(error.message, /timed out after 200ms/);
+      return true;
+    }
+  );
+  assert.ok(Date.now() - startedAt < 10000);
+});
+
+test("rejects with the abort reason and stops the command", async () => {
+  const controller = new AbortController();
+  const startedAt = Date.now();
+  setTimeout(() => controller.abort(), 200);
+
+  await assert.rejects(
+    runCommand(node("setTimeout(() => {}, 30000)"), {
+      signal: controller.signal,
+    }),
+    { name: "AbortError" }
+  );
+  assert.ok(Date.now() - startedAt < 10000);
+
+  await assert.rejects(
+    runCommand("echo never", { signal: controller.signal }),
+    {
+      name: "AbortError",
+    }
+  );
+});
+
+test("writes the input to the command's stdin", async () => {
+  const { stdout } = await runCommand(
+    node("process.stdin.pipe(process.stdout)"),
+    { input: "a prompt\n" }
+  );
+
+  assert.equal(stdout, "a prompt\n");
+});
@@ -0,0 +1,190 @@
+/**
+ * Scoring
+ *
+ * Turns the check results of a story into its summary: status counts, a
+ * weighted score and the overall verdict.
+ *
+ * Check statuses:
+ *   PASS, WARNING, FAIL  - the check ran and evaluated the story
+ *   ERROR, TIMEOUT       - the check could not run to completion, so the
+ *                          story was not evaluated by it
+ *   SKIP                 - the check does not apply to the story
+ *
+ * Overall statuses, in the order they are decided:
+ *   NOT_EVALUATED - no check evaluated the story (score: null)
+ *   FAIL          - a critical check failed, or the score is below the
+ *                   warning threshold
+ *   ERROR         - a critical or major check errored or timed out, so the
+ *                   story cannot be vouched for
+ *   WARNING       - a major check failed, or the score is below the pass
+ *                   threshold
+ *   PASS          - otherwise
+ *
+ * Failing minor checks only lower the score.
+ */
+
+const { getDefaultConfig } = require("./config");
+
+/**
+ * Share of a check's weight earned by each evaluated status
+ */
+const STATUS_CREDIT = {
+  PASS: 1,
+  WARNING: 0.5, // e.g. minor a11y violations or lint warnings
+  FAIL: 0,
+};
+
+const NOT_EVALUATED_STATUSES = ["ERROR", "TIMEOUT"];
+
+/**
+ * Exit code of the CLI for each overall status
+ */
+const EXIT_CODES = {
+  PASS: 0,
+  WARNING: 0,
+  FAIL: 1,
+  ERROR: 2,
+  NOT_EVALUATED: 2,
+};
+
+/**
+ * Summarize check results
+ *
+ * @param {object} checks - Check results by name
+ * @param {object} [config] - Resolved config with check weights, severities
+ *   and thresholds
+ */
+function summarizeChecks(checks, config = getDefaultConfig()) {
+  const entries = Object.entries(checks).map(([checkName, check]) => ({
+    checkName,
+    status: check.status,
+    ...(config.checks[checkName] || { weight: 1, severity: "major" }),
+  }));
+  const countStatus = (...statuses) =>
+    entries.filter((entry) => statuses.includes(entry.status)).length;
+  const namesOf = (predicate) =>
+    entries.filter(predicate).map((entry) => entry.checkName);
+
+  const evaluated = entries.filter((entry) => entry.status in STATUS_CREDIT);
+  const totalWeight = evaluated.reduce((sum, entry) => sum + entry.weight, 0);
+  const earnedWeight = evaluated.reduce(
+    (sum, entry) => sum + entry.weight * STATUS_CREDIT[entry.status],
+    0
+  );
+  let score = null;
+  if (evaluated.length > 0) {
+    // Checks weighted 0 only decide the verdict through their severity
+    score =
+      totalWeight > 0 ? Math.round((earnedWeight / totalWeight) * 100) : 100;
+  }
+
+  const criticalFailures = namesOf(
+    (entry) => entry.severity === "critical" && entry.status === "FAIL"
+  );
+  const majorFailures = namesOf(
+    (entry) => entry.severity === "major" && entry.status === "FAIL"
+  );
+  const notEvaluatedChecks = namesOf(
+    (entry) =>
+      entry.severity !== "minor" &&
+      NOT_EVALUATED_STATUSES.includes(entry.status)
+  );
+
+  let overallStatus;
+  if (score === null) {
+    overallStatus = "NOT_EVALUATED";
+  } else if (criticalFailures.length > 0 || score < config.thresholds.warning) {
+    overallStatus = "FAIL";
+  } else if (notEvaluatedChecks.length > 0) {
+    overallStatus = "ERROR";
+  } else if (majorFailures.length > 0 || score < config.thresholds.pass) {
+    overallStatus = "WARNING";
+  } else {
+    overallStatus = "PASS";
+  }
+
+  return {
+    totalChecks: entries.length,
+    evaluatedChecks: evaluated.length,
+    passedChecks: countStatus("PASS"),
+    warningChecks: countStatus("WARNING"),
+    failedChecks: countStatus("FAIL"),
+    erroredChecks: countStatus(...NOT_EVALUATED_STATUSES),
+    skippedChecks: countStatus("SKIP"),
+    score,
+    overallStatus,
+    criticalFailures,
+    notEvaluatedChecks,
+  };
+}
+
+/**
+ * Aggregate the results of several story files into run totals
+ *
+ * @param {object[]} files - Per-file results, each with its check results
+ *   and summary, or an `error` when its validation failed
+ * @returns {object} File counts by status, the average score, status counts
+ *   per check and the overall status of the run
+ */
+function summarizeFiles(files) {
+  const totals = {
+    files: files.length,
+    passedFiles: 0,
+    warningFiles: 0,
+    failedFiles: 0,
+    erroredFiles: 0,
+    averageScore: null,
+    checks: {},
+  };
+  let scoreSum = 0;
+  let scoredFiles = 0;
+
+  files.forEach((fileResults) => {
+    const summary = fileResults.summary;
+    if (fileResults.error || !summary) {
+      totals.erroredFiles++;
+    } else if (summary.overallStatus === "PASS") {
+      totals.passedFiles++;
+    } else if (summary.overallStatus === "WARNING") {
+      totals.warningFiles++;
+    } else if (summary.overallStatus === "FAIL") {
+      totals.failedFiles++;
+    } else {
+      totals.erroredFiles++; // ERROR or NOT_EVALUATED
+    }
+
+    if (summary && Number.isFinite(summary.score)) {
+      scoreSum += summary.score;
+      scoredFiles++;
+    }
+
+    Object.entries(fileResults.checks).forEach(([checkName, check]) => {
+      const counts = (totals.checks[checkName] =
+        totals.checks[checkName] || {});
+      counts[check.status] = (counts[check.status] || 0) + 1;
+    });
+  });
+
+  totals.averageScore =
+    scoredFiles > 0 ? Math.round(scoreSum / scoredFiles) : null;
+  totals.overallStatus =
+    totals.failedFiles > 0
+      ? "FAIL"
+      : totals.erroredFiles > 0
+      ? "ERROR"
+      : totals.warningFiles > 0
+      ? "WARNING"
+      : "PASS";
+
+  return totals;
+}
+
+/**
+ * Exit code for an overall status; a missing summary means the validation
+ * itself failed
+ */
+function getExitCode(overallStatus) {
+  return overallStatus in EXIT_CODES ? EXIT_CODES[overallStatus] : 2;
+}
+
+module.exports = { EXIT_CODES, getExitCode, summarizeChecks, summarizeFiles };
@@ -0,0 +1,166 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { getDefaultConfig } = require("./config");
+const { getExitCode, summarizeChecks, summarizeFiles } = require("./scoring");
+
+const checks = (statuses) =>
+  Object.fromEntries(
+    Object.entries(statuses).map(([check, status]) => [
+      check,
+      { status, error: null },
+    ])
+  );
+
+test("scores the evaluated checks with equal weights by default", () => {
+  const summary = summarizeChecks(
+    checks({
+      linting: "PASS",
+      typeScript: "WARNING",
+      csfCompliance: "PASS",
+      renderTest: "PASS",
+      accessibility: "SKIP",
+    })
+  );
+
+  assert.deepEqual(summary, {
+    totalChecks: 5,
+    evaluatedChecks: 4,
+    passedChecks: 3,
+    warningChecks: 1,
+    failedChecks: 0,
+    erroredChecks: 0,
+    skippedChecks: 1,
+    score: 88,
+    overallStatus: "PASS",
+    criticalFailures: [],
+    notEvaluatedChecks: [],
+  });
+});
+
+test("fails when a critical check fails, whatever the score", () => {
+  const summary = summarizeChecks(
+    checks({
+      linting: "PASS",
+      typeScript: "PASS",
+      csfCompliance: "PASS",
+      renderTest: "FAIL",
+      accessibility: "PASS",
+    })
+  );
+
+  assert.equal(summary.score, 80);
+  assert.equal(summary.overallStatus, "FAIL");
+  assert.deepEqual(summary.criticalFailures, ["renderTest"]);
+});
+
+test("does not pass when a major check fails", () => {
+  const config = getDefaultConfig();
+  config.checks.linting.weight = 0;
+
+  const summary = summarizeChecks(
+    checks({ linting: "FAIL", typeScript: "PASS", renderTest: "PASS" }),
+    config
+  );
+
+  assert.equal(summary.score, 100);
+  assert.equal(summary.overallStatus, "WARNING");
+});
+
+test("only lowers the score when a minor check fails", () => {
+  const config = getDefaultConfig();
+  config.checks.renderTest.severity = "minor";
+  config.checks.linting.weight = 3;
+  config.thresholds = { pass: 70, warning: 50 };
+
+  const summary = summarizeChecks(
+    checks({ linting: "PASS", renderTest: "FAIL" }),
+    config
+  );
+
+  assert.equal(summary.score, 75);
+  assert.equal(summary.overallStatus, "PASS");
+});
+
+test("reports errors and timeouts as not evaluated", () => {
+  const summary = summarizeChecks(
+    checks({
+      linting: "PASS",
+      typeScript: "PASS",
+      csfCompliance: "ERROR",
+      renderTest: "TIMEOUT",
+      interactionTest: "TIMEOUT",
+    })
+  );
+
+  assert.equal(summary.score, 100);
+  assert.equal(summary.erroredChecks, 3);
+  assert.equal(summary.overallStatus, "ERROR");
+  assert.deepEqual(summary.notEvaluatedChecks, [
+    "csfCompliance",
+    "renderTest",
+    "interactionTest",
+  ]);
+
+  const failed = summarizeChecks(
+    checks({ linting: "FAIL", typeScript: "FAIL", renderTest: "TIMEOUT" })
+  );
+  assert.equal(failed.overallStatus, "FAIL");
+});
+
+test("is not evaluated when no check evaluated the story", () => {
+  const summary = summarizeChecks(
+    checks({ linting: "SKIP", typeScript: "ERROR" })
+  );
+
+  assert.equal(summary.score, null);
+  assert.equal(summary.overallStatus, "NOT_EVALUATED");
+});
+
+test("maps overall statuses to exit codes", () => {
+  assert.equal(getExitCode("PASS"), 0);
+  assert.equal(getExitCode("WARNING"), 0);
+  assert.equal(getExitCode("FAIL"), 1);
+  assert.equal(getExitCode("ERROR"), 2);
+  assert.equal(getExitCode("NOT_EVALUATED"), 2);
+  assert.equal(getExitCode(undefined), 2);
+});
+
+test("totals the results of several story files", () => {
+  const file = (overallStatus, score, statuses) => ({
+    checks: checks(statuses),
+    summary: { overallStatus, score },
+  });
+  const totals = summarizeFiles([
+    file("PASS", 100, { linting: "PASS", renderTest: "PASS" }),
+    file("WARNING", 75, { linting: "FAIL", renderTest: "PASS" }),
+    file("NOT_EVALUATED", null, { linting: "ERROR" }),
+    { checks: {}, summary: null, error: "Story file not found" },
+  ]);
+
+  assert.deepEqual(totals, {
+    files: 4,
+    passedFiles: 1,
+    warningFiles: 1,
+    failedFiles: 0,
+    erroredFiles: 2,
+    averageScore: 88,
+    checks: {
+      linting: { PASS: 1, FAIL: 1, ERROR: 1 },
+      renderTest: { PASS: 2 },
+    },
+    overallStatus: "ERROR",
+  });
+});
+
+test("fails the run when any story file fails", () => {
+  const totals = summarizeFiles([
+    { checks: {}, summary: { overallStatus: "FAIL", score: 40 } },
+    { checks: {}, summary: null, error: "Storybook did not start" },
+    { checks: {}, summary: { overallStatus: "PASS", score: 90 } },
+  ]);
+
+  assert.equal(totals.overallStatus, "FAIL");
+  assert.equal(totals.averageScore, 65);
+  assert.equal(summarizeFiles([]).overallStatus, "PASS");
+  assert.equal(summarizeFiles([]).averageScore, null);
+});
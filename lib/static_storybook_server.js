@@ -0,0 +1,163 @@
+/**
+ * Static Storybook server
+ *
+ * Serves a `storybook build` output directory (storybook-static) over HTTP on
+ * a free port, so a static build can stand in for the Storybook dev server.
+ */
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { findFreePort } = require("./storybook_server");
+
+const CONTENT_TYPES = {
+  ".css": "text/css",
+  ".html": "text/html",
+  ".ico": "image/x-icon",
+  ".jpg": "image/jpeg",
+  ".js": "text/javascript",
+  ".json": "application/json",
+  ".map": "application/json",
+  ".mjs": "text/javascript",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".txt": "text/plain",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+};
+
+class StaticStorybookServer {
+  /**
+   * @param {string} staticDir - Directory produced by `storybook build`
+   * @param {object} [options]
+   * @param {number} [options.port] - Preferred port (default: 6006)
+   */
+  constructor(staticDir, options = {}) {
+    this.staticDir = path.resolve(staticDir);
+    this.preferredPort = options.port || 6006;
+    this.port = null;
+    this.server = null;
+  }
+
+  /**
+   * URL the test-runner should target
+   */
+  get url() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  /**
+   * Whether the static server is listening
+   */
+  isRunning() {
+    return this.server !== null;
+  }
+
+  /**
+   * Resolve a request path to a file inside the static directory
+   */
+  resolveFile(requestUrl) {
+    const { pathname } = new URL(requestUrl, "http://localhost");
+    const filePath = path.join(this.staticDir, decodeURIComponent(pathname));
+    if (
+      filePath !== this.staticDir &&
+      !filePath.startsWith(this.staticDir + path.sep)
+    ) {
+      return null;
+    }
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+      return path.join(filePath, "index.html");
+    }
+    return filePath;
+  }
+
+  /**
+   * Answer a request with the matching file
+   */
+  handleRequest(request, response) {
+    const reply = (status, message) => {
+      response.writeHead(status, { "Content-Type": "text/plain" });
+      response.end(message);
+    };
+
+    let filePath;
+    try {
+      filePath = this.resolveFile(request.url);
+    } catch (error) {
+      // URIError: a malformed escape such as `%E0%A4%A`
+      if (error instanceof URIError) {
+        reply(400, "Bad request");
+      } else {
+        reply(500, "Could not read file");
+      }
+      return;
+    }
+    if (!filePath || !fs.existsSync(filePath)) {
+      reply(404, "Not found");
+      return;
+    }
+
+    // The file may still go away or be unreadable by the time it is read
+    const stream = fs.createReadStream(filePath);
+    stream.on("open", () => {
+      response.writeHead(200, {
+        "Content-Type":
+          CONTENT_TYPES[path.extname(filePath)] || "application/octet-stream",
+      });
+      stream.pipe(response);
+    });
+    stream.on("error", (error) => {
+      if (response.headersSent) {
+        response.destroy(error);
+      } else if (error.code === "ENOENT") {
+        reply(404, "Not found");
+      } else {
+        reply(500, "Could not read file");
+      }
+    });
+  }
+
+  /**
+   * Serve the static build
+   */
+  async start(silent = false) {
+    if (this.server) {
+      return; // Already running
+    }
+
+    if (!fs.existsSync(path.join(this.staticDir, "index.json"))) {
+      throw new Error(
+        `${this.staticDir} is not a Storybook build (no index.json found)`
+      );
+    }
+
+    this.port = await findFreePort(this.preferredPort);
+    const server = http.createServer((request, response) =>
+      this.handleRequest(request, response)
+    );
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen({ port: this.port }, resolve);
+    });
+    this.server = server;
+
+    if (!silent) {
+      console.log(`📦 Serving ${this.staticDir} at ${this.url}`);
+    }
+  }
+
+  /**
+   * Stop serving the static build
+   */
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = null;
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+module.exports = StaticStorybookServer;
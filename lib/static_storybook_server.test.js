@@ -0,0 +1,111 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const { Readable } = require("stream");
+const StaticStorybookServer = require("./static_storybook_server");
+const { isStorybookReady } = require("./storybook_server");
+const { createFiles } = require("./test_helpers");
+
+/**
+ * GET a path on its own connection, so that a connection kept alive to an
+ * earlier server on the same port is not reused
+ */
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http
+      .get(url, { agent: false }, (response) => {
+        let body = "";
+        response.on("data", (chunk) => (body += chunk));
+        response.on("end", () =>
+          resolve({ status: response.statusCode, body })
+        );
+      })
+      .on("error", reject);
+  });
+}
+
+test("serves a static build that passes the readiness check", async (t) => {
+  const dir = createFiles(t, {
+    "index.json": JSON.stringify({ v: 5, entries: {} }),
+    "iframe.html": "<html></html>",
+    "assets/preview.js": "export {};",
+  });
+  const server = new StaticStorybookServer(dir, { port: 0 });
+  t.after(() => server.stop());
+
+  await server.start(true);
+  assert.equal(server.isRunning(), true);
+  assert.equal(await isStorybookReady(server.url), true);
+
+  const script = await fetch(`${server.url}/assets/preview.js?v=1`);
+  assert.equal(script.status, 200);
+  assert.equal(script.headers.get("content-type"), "text/javascript");
+  assert.equal(await script.text(), "export {};");
+
+  const missing = await fetch(`${server.url}/missing.js`);
+  assert.equal(missing.status, 404);
+  await missing.text();
+});
+
+test("does not serve files outside the build directory", async (t) => {
+  const dir = createFiles(t, { "index.json": "{}" });
+  const server = new StaticStorybookServer(dir);
+
+  assert.equal(
+    server.resolveFile("/../secret.txt"),
+    path.join(dir, "secret.txt")
+  );
+  assert.equal(server.resolveFile("/..%2fsecret.txt"), null);
+  assert.equal(server.resolveFile("/"), path.join(dir, "index.html"));
+});
+
+test("answers malformed and unreadable requests without crashing", async (t) => {
+  const dir = createFiles(t, {
+    "index.json": "{}",
+    "deleted.js": "export {};",
+    "locked.js": "export {};",
+  });
+  const server = new StaticStorybookServer(dir, { port: 0 });
+  t.after(() => server.stop());
+  await server.start(true);
+
+  assert.deepEqual(await get(`${server.url}/%E0%A4%A`), {
+    status: 400,
+    body: "Bad request",
+  });
+
+  // Files that go away or cannot be read once they were found
+  const createReadStream = fs.createReadStream;
+  const readStream = t.mock.method(fs, "createReadStream", (filePath) => {
+    if (filePath.endsWith("deleted.js")) {
+      fs.rmSync(filePath);
+      return createReadStream(filePath);
+    }
+    const stream = new Readable({ read() {} });
+    process.nextTick(() =>
+      stream.destroy(
+        Object.assign(new Error("EACCES: permission denied"), {
+          code: "EACCES",
+        })
+      )
+    );
+    return stream;
+  });
+
+  assert.equal((await get(`${server.url}/deleted.js`)).status, 404);
+  assert.equal((await get(`${server.url}/locked.js`)).status, 500);
+
+  readStream.mock.restore();
+  assert.equal(server.isRunning(), true);
+  assert.equal((await get(`${server.url}/index.json`)).status, 200);
+});
+
+test("refuses directories that are not a Storybook build", async (t) => {
+  const dir = createFiles(t, { "index.html": "<html></html>" });
+
+  const server = new StaticStorybookServer(dir);
+  await assert.rejects(server.start(true), /not a Storybook build/);
+  assert.equal(server.isRunning(), false);
+});
@@ -0,0 +1,232 @@
+/**
+ * Browser probe for rendered stories
+ *
+ * Opens stories from a running Storybook in Playwright (resolved from the
+ * project, like the test-runner does) and collects what the preview reports
+ * once each story has finished rendering, such as addon-a11y's axe results,
+ * the console errors and warnings it logged, what it rendered, and
+ * screenshots of it.
+ */
+
+const path = require("path");
+
+/**
+ * Record console errors, console warnings and uncaught errors in
+ * `window.__STORY_VALIDATE_CONSOLE__` (runs in the page before its scripts)
+ */
+function captureConsole() {
+  const messages = [];
+  window.__STORY_VALIDATE_CONSOLE__ = messages;
+  // Apply printf-style substitutions, as React formats its warnings with them
+  const format = (args) => {
+    const [first, ...rest] = args.map((arg) =>
+      arg instanceof Error ? arg.message : arg
+    );
+    const text =
+      typeof first === "string"
+        ? first.replace(/%[sdifoOc]/g, (token) => {
+            const value = rest.shift();
+            // %c only styles the output
+            return token === "%c" ? "" : String(value);
+          })
+        : String(first);
+    return [text, ...rest.map(String)].join(" ");
+  };
+  ["error", "warn"].forEach((type) => {
+    const original = console[type];
+    console[type] = (...args) => {
+      messages.push({ type, text: format(args) });
+      return original.apply(console, args);
+    };
+  });
+  window.addEventListener("error", (event) =>
+    messages.push({ type: "error", text: event.message })
+  );
+  window.addEventListener("unhandledrejection", (event) =>
+    messages.push({
+      type: "error",
+      text: `Unhandled rejection: ${
+        event.reason && event.reason.message
+          ? event.reason.message
+          : String(event.reason)
+      }`,
+    })
+  );
+}
+
+/**
+ * Measure what the current story rendered into the Storybook root (runs in
+ * the page)
+ */
+function measureRoot() {
+  const root =
+    document.getElementById("storybook-root") ||
+    document.getElementById("root");
+  if (!root) {
+    return null;
+  }
+  const elements = Array.from(root.querySelectorAll("*"));
+  const visible = elements.filter((element) => {
+    const rect = element.getBoundingClientRect();
+    const style = window.getComputedStyle(element);
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      style.visibility !== "hidden" &&
+      Number(style.opacity) > 0
+    );
+  });
+  const rects = visible.map((element) => element.getBoundingClientRect());
+  const width = rects.length
+    ? Math.max(...rects.map((rect) => rect.right)) -
+      Math.min(...rects.map((rect) => rect.left))
+    : 0;
+  const height = rects.length
+    ? Math.max(...rects.map((rect) => rect.bottom)) -
+      Math.min(...rects.map((rect) => rect.top))
+    : 0;
+  return {
+    elements: elements.length,
+    visibleElements: visible.length,
+    textLength: root.innerText.trim().length,
+    media: root.querySelectorAll(
+      "img, svg, canvas, video, picture, iframe, input, select, textarea, button"
+    ).length,
+    width: Math.round(width),
+    height: Math.round(height),
+  };
+}
+
+/**
+ * Load Playwright from the project under validation
+ */
+function loadPlaywright(projectRoot) {
+  for (const name of ["playwright", "playwright-core"]) {
+    try {
+      return require(require.resolve(name, { paths: [projectRoot] }));
+    } catch (error) {
+      // Try the next package
+    }
+  }
+  throw new Error("Playwright is not installed in the project");
+}
+
+class StoryBrowser {
+  constructor(projectRoot, storybookUrl) {
+    this.projectRoot = projectRoot;
+    this.storybookUrl = storybookUrl.replace(/\/$/, "");
+    this.browser = null;
+    this.page = null;
+  }
+
+  /**
+   * Get the ids and names of the stories Storybook indexed for a file
+   */
+  async getStoriesForFile(storyFilePath) {
+    const response = await fetch(`${this.storybookUrl}/index.json`);
+    if (!response.ok) {
+      throw new Error(`Could not load index.json (HTTP ${response.status})`);
+    }
+    const index = await response.json();
+    const importPath = `./${path
+      .relative(this.projectRoot, storyFilePath)
+      .split(path.sep)
+      .join("/")}`;
+
+    return Object.values(index.entries || index.stories || {})
+      .filter(
+        (entry) => entry.type !== "docs" && entry.importPath === importPath
+      )
+      .map((entry) => ({ id: entry.id, name: entry.name }));
+  }
+
+  /**
+   * Launch the browser and load the Storybook preview iframe
+   */
+  async open() {
+    if (this.page) {
+      return;
+    }
+    const { chromium } = loadPlaywright(this.projectRoot);
+    this.browser = await chromium.launch();
+    this.page = await this.browser.newPage();
+    await this.page.addInitScript(captureConsole);
+    await this.page.goto(`${this.storybookUrl}/iframe.html`, {
+      waitUntil: "load",
+    });
+    await this.page.waitForFunction(
+      () => window.__STORYBOOK_PREVIEW__ && window.__STORYBOOK_ADDONS_CHANNEL__
+    );
+  }
+
+  /**
+   * Render a story in the preview and wait for Storybook's `storyFinished`
+   * event, returning its status, reports and the console errors and warnings
+   * logged meanwhile
+   */
+  async renderStory(storyId, timeoutMs = 15000) {
+    await this.open();
+    return this.page.evaluate(
+      ({ storyId, timeoutMs }) =>
+        new Promise((resolve) => {
+          const channel = window.__STORYBOOK_ADDONS_CHANNEL__;
+          const messages = window.__STORY_VALIDATE_CONSOLE__ || [];
+          messages.length = 0;
+          const finish = (result) => {
+            clearTimeout(timer);
+            channel.off("storyFinished", onFinished);
+            resolve({ ...result, console: messages.slice() });
+          };
+          const onFinished = (event) => {
+            if (event.storyId === storyId) {
+              finish({
+                storyId,
+                status: event.status,
+                reporters: event.reporters || [],
+              });
+            }
+          };
+          const timer = setTimeout(
+            () => finish({ storyId, status: "timeout", reporters: [] }),
+            timeoutMs
+          );
+          channel.on("storyFinished", onFinished);
+          channel.emit("setCurrentStory", { storyId, viewMode: "story" });
+        }),
+      { storyId, timeoutMs }
+    );
+  }
+
+  /**
+   * Measure the elements, visible text and bounding box the rendered story
+   * left in the Storybook root (null when there is no root)
+   */
+  async measureRoot() {
+    await this.open();
+    return this.page.evaluate(measureRoot);
+  }
+
+  /**
+   * Screenshot the rendered story (the viewport, as PNG) with animations
+   * stopped and the caret hidden so repeated captures match
+   */
+  async screenshot() {
+    await this.open();
+    return this.page.screenshot({ animations: "disabled", caret: "hide" });
+  }
+
+  /**
+   * Close the browser
+   */
+  async close() {
+    if (this.browser) {
+      await this.browser.close();
+    }
+    this.browser = null;
+    this.page = null;
+  }
+}
+
+module.exports = StoryBrowser;
+module.exports.captureConsole = captureConsole;
+module.exports.measureRoot = measureRoot;
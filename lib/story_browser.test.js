@@ -0,0 +1,194 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const StoryBrowser = require("./story_browser");
+const { captureConsole, measureRoot } = StoryBrowser;
+
+/**
+ * Stand in for the page's globals while a page-side function runs in Node
+ */
+function stubGlobals(t, globals) {
+  Object.entries(globals).forEach(([name, value]) => {
+    const descriptor = Object.getOwnPropertyDescriptor(globalThis, name);
+    globalThis[name] = value;
+    t.after(() => {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    });
+  });
+}
+
+/**
+ * A StoryBrowser whose page runs evaluated functions in Node, against a
+ * stubbed Storybook channel
+ */
+function createBrowser(t) {
+  const channel = new EventEmitter();
+  channel.on("setCurrentStory", ({ storyId }) => {
+    const story = channel.stories[storyId];
+    if (story) {
+      setTimeout(() => {
+        window.__STORY_VALIDATE_CONSOLE__.push(...(story.console || []));
+        channel.emit("storyFinished", { storyId, ...story.event });
+      }, 1);
+    }
+  });
+  channel.stories = {};
+  stubGlobals(t, {
+    window: {
+      __STORYBOOK_ADDONS_CHANNEL__: channel,
+      __STORY_VALIDATE_CONSOLE__: [{ type: "warn", text: "Earlier story" }],
+    },
+  });
+
+  const browser = new StoryBrowser("/project", "http://localhost:6006/");
+  browser.page = { evaluate: async (fn, arg) => fn(arg) };
+  return { browser, channel };
+}
+
+/**
+ * A stubbed element with its layout and computed style
+ */
+function createElement(rect, style = {}) {
+  const [left, top, width, height] = rect;
+  return {
+    getBoundingClientRect: () => ({
+      left,
+      top,
+      width,
+      height,
+      right: left + width,
+      bottom: top + height,
+    }),
+    style: { visibility: "visible", opacity: "1", ...style },
+  };
+}
+
+test("records console errors and warnings with substitutions applied", (t) => {
+  const logged = [];
+  const listeners = {};
+  stubGlobals(t, {
+    window: {
+      addEventListener: (type, listener) => (listeners[type] = listener),
+    },
+  });
+  ["error", "warn", "log"].forEach((type) =>
+    t.mock.method(console, type, (...args) => logged.push([type, ...args]))
+  );
+
+  captureConsole();
+  console.error(
+    "Warning: Each child in a list should have a unique %s prop.%s",
+    '"key"',
+    "\n    at li"
+  );
+  console.warn("%cDeprecated%c option %s", "color: red", "", "size", {
+    size: 1,
+  });
+  console.error(new Error("Failed to fetch"), 404);
+  console.error({ code: 1 });
+  console.log("Not recorded");
+  listeners.error({ message: "Uncaught TypeError: boom" });
+  listeners.unhandledrejection({ reason: new Error("Network down") });
+  listeners.unhandledrejection({ reason: "timeout" });
+
+  assert.deepEqual(window.__STORY_VALIDATE_CONSOLE__, [
+    {
+      type: "error",
+      text: 'Warning: Each child in a list should have a unique "key" prop.\n    at li',
+    },
+    { type: "warn", text: "Deprecated option size [object Object]" },
+    { type: "error", text: "Failed to fetch 404" },
+    { type: "error", text: "[object Object]" },
+    { type: "error", text: "Uncaught TypeError: boom" },
+    { type: "error", text: "Unhandled rejection: Network down" },
+    { type: "error", text: "Unhandled rejection: timeout" },
+  ]);
+  // The page's own console still gets every message
+  assert.equal(logged.length, 5);
+  assert.equal(logged[1][1], "%cDeprecated%c option %s");
+});
+
+test("measures the visible elements and text in the Storybook root", (t) => {
+  const elements = [
+    createElement([10, 10, 100, 40]),
+    createElement([20, 60, 50, 20]),
+    createElement([0, 0, 300, 300], { visibility: "hidden" }),
+    createElement([0, 0, 300, 300], { opacity: "0" }),
+    createElement([0, 0, 0, 0]),
+  ];
+  const root = {
+    innerText: "  Click me \n",
+    querySelectorAll: (selector) =>
+      selector === "*" ? elements : elements.slice(0, 1),
+  };
+  const ids = { "storybook-root": root };
+  stubGlobals(t, {
+    document: { getElementById: (id) => ids[id] || null },
+    window: { getComputedStyle: (element) => element.style },
+  });
+
+  assert.deepEqual(measureRoot(), {
+    elements: 5,
+    visibleElements: 2,
+    textLength: 8,
+    media: 1,
+    width: 100,
+    height: 70,
+  });
+
+  // Older Storybooks render into #root
+  delete ids["storybook-root"];
+  ids.root = { innerText: "", querySelectorAll: () => [] };
+  assert.deepEqual(measureRoot(), {
+    elements: 0,
+    visibleElements: 0,
+    textLength: 0,
+    media: 0,
+    width: 0,
+    height: 0,
+  });
+
+  delete ids.root;
+  assert.equal(measureRoot(), null);
+});
+
+test("resolves with the story's status and the console it logged", async (t) => {
+  const { browser, channel } = createBrowser(t);
+  channel.stories["example-button--primary"] = {
+    event: { status: "success", reporters: [{ type: "a11y" }] },
+    console: [{ type: "error", text: "Failed to fetch" }],
+  };
+
+  assert.deepEqual(await browser.renderStory("example-button--primary"), {
+    storyId: "example-button--primary",
+    status: "success",
+    reporters: [{ type: "a11y" }],
+    console: [{ type: "error", text: "Failed to fetch" }],
+  });
+  assert.equal(channel.listenerCount("storyFinished"), 0);
+});
+
+test("times out when the story never finishes rendering", async (t) => {
+  const { browser, channel } = createBrowser(t);
+  // Another story finishing does not resolve the render
+  channel.on("setCurrentStory", () =>
+    setTimeout(() =>
+      channel.emit("storyFinished", {
+        storyId: "example-button--secondary",
+        status: "success",
+      })
+    )
+  );
+
+  assert.deepEqual(await browser.renderStory("example-button--primary", 20), {
+    storyId: "example-button--primary",
+    status: "timeout",
+    reporters: [],
+    console: [],
+  });
+  assert.equal(channel.listenerCount("storyFinished"), 0);
+});
@@ -0,0 +1,178 @@
+/**
+ * Story file discovery
+ *
+ * Expands the CLI inputs (files, directories and glob patterns) into the
+ * list of story files to validate.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const STORY_FILE_PATTERN = /\.stories\.(js|jsx|mjs|cjs|ts|tsx)$/;
+const IGNORED_DIRECTORIES = new Set(["node_modules", "storybook-static"]);
+
+/**
+ * Check if an input contains glob syntax
+ */
+function isGlob(input) {
+  return /[*?[\]{}]/.test(input);
+}
+
+/**
+ * Convert a glob pattern into a regular expression matching whole paths.
+ * Supports `**`, `*`, `?`, `[...]` and `{a,b}`.
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  let inGroup = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === "*") {
+      if (pattern[i + 1] === "*") {
+        // `**/` matches zero or more directories, a trailing `**` anything
+        if (pattern[i + 2] === "/") {
+          source += "(?:.*/)?";
+          i += 2;
+        } else {
+          source += ".*";
+          i += 1;
+        }
+      } else {
+        source += "[^/]*";
+      }
+    } else if (char === "?") {
+      source += "[^/]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        // `[!abc]` is the glob spelling of a negated class, which like `?`
+        // never matches a path separator
+        source += `[${pattern.slice(i + 1, end).replace(/^!/, "^/")}]`;
+        i = end;
+      }
+    } else if (char === "{") {
+      inGroup = true;
+      source += "(?:";
+    } else if (char === "}" && inGroup) {
+      inGroup = false;
+      source += ")";
+    } else if (char === "," && inGroup) {
+      source += "|";
+    } else {
+      source += char.replace(/[.+^$()|\\]/g, "\\$&");
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Get the directory a glob pattern is anchored to (the segments before the
+ * first one containing glob syntax)
+ */
+function getGlobBase(pattern) {
+  const segments = pattern.split("/");
+  const staticSegments = [];
+  for (const segment of segments) {
+    if (isGlob(segment)) break;
+    staticSegments.push(segment);
+  }
+  const base = staticSegments.join("/");
+  return base === "" ? (pattern.startsWith("/") ? "/" : ".") : base;
+}
+
+/**
+ * Recursively list files below a directory, skipping dependencies, build
+ * output and hidden directories
+ */
+function walkFiles(dir) {
+  const files = [];
+  let entries;
+  try {
+    entries = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (error) {
+    return files;
+  }
+
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name.startsWith(".") || IGNORED_DIRECTORIES.has(entry.name)) {
+        continue;
+      }
+      files.push(...walkFiles(entryPath));
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Normalize a path to forward slashes for glob matching
+ */
+function toPosix(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+/**
+ * Expand files, directories and globs into a de-duplicated list of story
+ * files. Inputs that match nothing are returned in `unmatched`.
+ */
+function expandStoryPaths(inputs, cwd = process.cwd()) {
+  const files = [];
+  const unmatched = [];
+  const seen = new Set();
+
+  const add = (filePath) => {
+    const key = path.resolve(cwd, filePath);
+    if (!seen.has(key)) {
+      seen.add(key);
+      files.push(filePath);
+    }
+  };
+
+  for (const input of inputs) {
+    const inputPath = path.resolve(cwd, input);
+    // Report discovered files relative to cwd unless given an absolute path
+    const display = (filePath) =>
+      path.isAbsolute(input) ? filePath : path.relative(cwd, filePath);
+    let matches = [];
+
+    if (fs.existsSync(inputPath)) {
+      if (fs.statSync(inputPath).isDirectory()) {
+        matches = walkFiles(inputPath)
+          .map(display)
+          .filter((file) => STORY_FILE_PATTERN.test(file));
+      } else {
+        matches = [input];
+      }
+    } else if (isGlob(input)) {
+      const pattern = toPosix(input).replace(/^\.\//, "");
+      const matcher = globToRegExp(pattern);
+      matches = walkFiles(path.resolve(cwd, getGlobBase(pattern)))
+        .map(display)
+        .filter((file) => matcher.test(toPosix(file)));
+    }
+
+    if (matches.length === 0) {
+      unmatched.push(input);
+    }
+    matches.forEach(add);
+  }
+
+  return { files, unmatched };
+}
+
+module.exports = {
+  STORY_FILE_PATTERN,
+  expandStoryPaths,
+  getGlobBase,
+  globToRegExp,
+  isGlob,
+};
@@ -0,0 +1,134 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  expandStoryPaths,
+  getGlobBase,
+  globToRegExp,
+  isGlob,
+} = require("./story_files");
+const { createFiles } = require("./test_helpers");
+
+const FILES = Object.fromEntries(
+  [
+    "src/Button.stories.tsx",
+    "src/Card.stories.jsx",
+    "src/Button.tsx",
+    "src/forms/Input.stories.tsx",
+    "src/forms/fields/Select.stories.ts",
+    "node_modules/ui/Badge.stories.tsx",
+    ".storybook/Preview.stories.tsx",
+  ].map((file) => [file, ""])
+);
+
+test("recognizes glob syntax", () => {
+  assert.ok(isGlob("src/**/*.stories.tsx"));
+  assert.ok(isGlob("src/Button.stories.{ts,tsx}"));
+  assert.ok(isGlob("src/[AB]*.stories.tsx"));
+  assert.ok(!isGlob("src/Button.stories.tsx"));
+});
+
+test("translates globs to regular expressions matching whole paths", () => {
+  const matches = (pattern, file) => globToRegExp(pattern).test(file);
+
+  assert.ok(matches("src/**/*.stories.tsx", "src/Button.stories.tsx"));
+  assert.ok(matches("src/**/*.stories.tsx", "src/forms/Input.stories.tsx"));
+  assert.ok(matches("src/**", "src/forms/fields/Select.stories.ts"));
+  assert.ok(!matches("src/*.stories.tsx", "src/forms/Input.stories.tsx"));
+  assert.ok(!matches("src/*.stories.tsx", "lib/src/Button.stories.tsx"));
+
+  assert.ok(matches("src/?utton.stories.tsx", "src/Button.stories.tsx"));
+  assert.ok(!matches("src/?Button.stories.tsx", "src//Button.stories.tsx"));
+
+  assert.ok(matches("src/Button.stories.{ts,tsx}", "src/Button.stories.ts"));
+  assert.ok(matches("src/Button.stories.{ts,tsx}", "src/Button.stories.tsx"));
+  assert.ok(!matches("src/Button.stories.{ts,tsx}", "src/Button.stories.js"));
+
+  // Dots and other regular expression syntax are literal
+  assert.ok(!matches("src/Button.stories.tsx", "src/ButtonXstoriesXtsx"));
+  assert.ok(matches("src/(legacy)/*.tsx", "src/(legacy)/Card.tsx"));
+});
+
+test("translates character classes, including negated ones", () => {
+  const matches = (pattern, file) => globToRegExp(pattern).test(file);
+
+  assert.ok(matches("[BC]*.stories.tsx", "Button.stories.tsx"));
+  assert.ok(matches("[A-C]*.stories.tsx", "Card.stories.tsx"));
+  assert.ok(!matches("[BC]*.stories.tsx", "Input.stories.tsx"));
+
+  assert.ok(matches("[!BC]*.stories.tsx", "Input.stories.tsx"));
+  assert.ok(!matches("[!BC]*.stories.tsx", "Button.stories.tsx"));
+  assert.ok(!matches("src[!BC]Input.stories.tsx", "src/Input.stories.tsx"));
+
+  // An unclosed bracket is a literal one
+  assert.ok(matches("[draft.stories.tsx", "[draft.stories.tsx"));
+});
+
+test("anchors globs to their leading static directories", () => {
+  assert.equal(
+    getGlobBase("src/components/**/*.stories.tsx"),
+    "src/components"
+  );
+  assert.equal(getGlobBase("src/*/Button.stories.tsx"), "src");
+  assert.equal(getGlobBase("**/*.stories.tsx"), ".");
+  assert.equal(getGlobBase("/project/src/*.stories.tsx"), "/project/src");
+  assert.equal(getGlobBase("/*.stories.tsx"), "/");
+});
+
+test("expands globs relative to the working directory", (t) => {
+  const dir = createFiles(t, FILES);
+
+  assert.deepEqual(expandStoryPaths(["src/**/*.stories.tsx"], dir), {
+    files: ["src/Button.stories.tsx", "src/forms/Input.stories.tsx"],
+    unmatched: [],
+  });
+  assert.deepEqual(expandStoryPaths(["./src/*.stories.{jsx,tsx}"], dir).files, [
+    "src/Button.stories.tsx",
+    "src/Card.stories.jsx",
+  ]);
+  assert.deepEqual(
+    expandStoryPaths([path.join(dir, "src/forms/**/*.ts")], dir).files,
+    [path.join(dir, "src/forms/fields/Select.stories.ts")]
+  );
+});
+
+test("lists the story files below directories, skipping dependencies", (t) => {
+  const dir = createFiles(t, FILES);
+
+  assert.deepEqual(expandStoryPaths(["."], dir).files, [
+    "src/Button.stories.tsx",
+    "src/Card.stories.jsx",
+    "src/forms/fields/Select.stories.ts",
+    "src/forms/Input.stories.tsx",
+  ]);
+  assert.deepEqual(expandStoryPaths(["**/*.stories.tsx"], dir).files, [
+    "src/Button.stories.tsx",
+    "src/forms/Input.stories.tsx",
+  ]);
+});
+
+test("de-duplicates files and reports inputs that match nothing", (t) => {
+  const dir = createFiles(t, FILES);
+
+  assert.deepEqual(
+    expandStoryPaths(
+      [
+        "src/Button.stories.tsx",
+        "src/forms",
+        "./src/Button.stories.tsx",
+        "src/**/Input.stories.tsx",
+        "src/Missing.stories.tsx",
+        "lib/**/*.stories.tsx",
+      ],
+      dir
+    ),
+    {
+      files: [
+        "src/Button.stories.tsx",
+        "src/forms/fields/Select.stories.ts",
+        "src/forms/Input.stories.tsx",
+      ],
+      unmatched: ["src/Missing.stories.tsx", "lib/**/*.stories.tsx"],
+    }
+  );
+});
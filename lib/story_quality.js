@@ -0,0 +1,221 @@
+/**
+ * Story quality
+ *
+ * Heuristics for whether a story file exercises its component rather than
+ * only compiling: the component's props (read from its TypeScript types) are
+ * compared with the `args` and `argTypes` of the meta and the stories.
+ *
+ *   FAIL    - a story never supplies a prop the component requires
+ *   WARNING - fewer than half of the props are covered, stories repeat each
+ *             other's args, or the meta has no title or component
+ *   PASS    - otherwise
+ *
+ * Only props declared in the project count, not those inherited from React
+ * or DOM attribute types in node_modules.
+ */
+
+const path = require("path");
+
+const MIN_PROPS_COVERAGE = 50;
+
+// Stories that build their own args or rendering cannot be compared by args
+const ARGS_STORY_KINDS = ["object", "factory"];
+
+/**
+ * Whether a source file belongs to the project rather than a library
+ */
+function isProjectFile(program, sourceFile) {
+  return (
+    !program.isSourceFileDefaultLibrary(sourceFile) &&
+    !sourceFile.fileName.split(/[\\/]/).includes("node_modules")
+  );
+}
+
+/**
+ * Props of the meta's component, from the type of its first parameter (or
+ * of `props` for class components)
+ *
+ * @param {object} ts - The TypeScript compiler API
+ * @param {object} program - Program containing the story file
+ * @param {string} storyFilePath
+ * @param {string|null} componentName - The meta's `component` expression
+ * @returns {Array<{name: string, required: boolean}>|null} Null when the
+ *   component cannot be resolved
+ */
+function getComponentProps(ts, program, storyFilePath, componentName) {
+  if (!componentName || !/^[A-Za-z_$][\w$]*$/.test(componentName)) {
+    return null;
+  }
+  const sourceFile = program.getSourceFile(path.resolve(storyFilePath));
+  if (!sourceFile) {
+    return null;
+  }
+  const checker = program.getTypeChecker();
+  let symbol = checker
+    .getSymbolsInScope(sourceFile, ts.SymbolFlags.Value | ts.SymbolFlags.Alias)
+    .find((candidate) => candidate.name === componentName);
+  if (symbol && symbol.flags & ts.SymbolFlags.Alias) {
+    symbol = checker.getAliasedSymbol(symbol);
+  }
+  if (!symbol || symbol.flags & ts.SymbolFlags.Alias) {
+    return null;
+  }
+
+  const componentType = checker.getTypeOfSymbolAtLocation(symbol, sourceFile);
+  const [callSignature] = componentType.getCallSignatures();
+  const [constructSignature] = componentType.getConstructSignatures();
+  let propsSymbol = null;
+  if (callSignature) {
+    propsSymbol = callSignature.parameters[0] || null;
+  } else if (constructSignature) {
+    propsSymbol = constructSignature.getReturnType().getProperty("props");
+  } else {
+    return null;
+  }
+  if (!propsSymbol) {
+    return [];
+  }
+
+  const propsType = checker.getApparentType(
+    checker.getTypeOfSymbolAtLocation(propsSymbol, sourceFile)
+  );
+  return checker
+    .getPropertiesOfType(propsType)
+    .filter((property) =>
+      (property.declarations || []).some((declaration) =>
+        isProjectFile(program, declaration.getSourceFile())
+      )
+    )
+    .map((property) => ({
+      name: property.name,
+      required: !(property.flags & ts.SymbolFlags.Optional),
+    }));
+}
+
+/**
+ * Build the storyQuality check from a CSF analysis and the component's props
+ *
+ * @param {object} analysis - analyzeCSF result with a meta
+ * @param {Array<{name: string, required: boolean}>|null} props - From
+ *   getComponentProps; null when they are unknown
+ */
+function summarizeStoryQuality(analysis, props) {
+  const { meta, stories } = analysis;
+  const issues = [];
+  const fail = (message, line) => issues.push({ level: "fail", message, line });
+  const warn = (message, line) => issues.push({ level: "warn", message, line });
+
+  if (!meta.title) {
+    warn("Meta has no title", meta.line);
+  }
+  if (!meta.component) {
+    warn(
+      "Meta has no component, so its props cannot be documented or checked",
+      meta.line
+    );
+  }
+
+  // Props covered by the meta's or any story's args, or by argTypes
+  const metaArgs = new Set(meta.argNames);
+  const isCovered = (prop) =>
+    metaArgs.has(prop.name) ||
+    meta.argTypeNames.includes(prop.name) ||
+    stories.some((story) => story.argNames.includes(prop.name));
+  const propResults = props
+    ? props.map((prop) => ({ ...prop, covered: isCovered(prop) }))
+    : null;
+  const coveredProps = propResults
+    ? propResults.filter((prop) => prop.covered)
+    : [];
+  const coverage =
+    propResults && propResults.length > 0
+      ? Math.round((coveredProps.length / propResults.length) * 100)
+      : null;
+
+  const argsStories = stories.filter(
+    (story) => ARGS_STORY_KINDS.includes(story.kind) && !story.hasRender
+  );
+
+  if (propResults) {
+    const requiredProps = propResults.filter(
+      (prop) => prop.required && !metaArgs.has(prop.name)
+    );
+    argsStories
+      // Args that are not an object literal cannot be inspected
+      .filter((story) => !story.hasArgs || story.argsSource !== null)
+      .forEach((story) => {
+        const missing = requiredProps
+          .filter((prop) => !story.argNames.includes(prop.name))
+          .map((prop) => prop.name);
+        if (missing.length > 0) {
+          fail(
+            `Story "${
+              story.name
+            }" does not supply the required prop(s) ${missing.join(", ")}`,
+            story.line
+          );
+        }
+      });
+  }
+
+  if (coverage !== null && coverage < MIN_PROPS_COVERAGE) {
+    warn(
+      `Stories cover ${coverage}% of the props (${coveredProps.length}/${
+        propResults.length
+      }); not covered: ${propResults
+        .filter((prop) => !prop.covered)
+        .map((prop) => prop.name)
+        .join(", ")}`,
+      meta.line
+    );
+  }
+
+  // Stories that only differ by name show the same thing twice. Only stories
+  // whose args are all they define can be told apart by their args.
+  const storiesByArgs = new Map();
+  argsStories
+    .filter(
+      (story) =>
+        story.hasArgs &&
+        story.argsSource !== null &&
+        !story.hasPlay &&
+        !story.hasDecorators &&
+        !story.hasParameters
+    )
+    .forEach((story) => {
+      const key = story.argsSource;
+      storiesByArgs.set(key, [...(storiesByArgs.get(key) || []), story]);
+    });
+  storiesByArgs.forEach((duplicates) => {
+    if (duplicates.length > 1) {
+      warn(
+        `Stories ${duplicates
+          .map((story) => `"${story.name}"`)
+          .join(", ")} have identical args`,
+        duplicates[1].line
+      );
+    }
+  });
+
+  let status = "PASS";
+  if (issues.some((issue) => issue.level === "fail")) {
+    status = "FAIL";
+  } else if (issues.length > 0) {
+    status = "WARNING";
+  }
+
+  return {
+    status,
+    error: issues.map((issue) => issue.message).join("\n") || null,
+    component: meta.component,
+    coverage,
+    props: propResults,
+    issues,
+  };
+}
+
+module.exports = {
+  MIN_PROPS_COVERAGE,
+  getComponentProps,
+  summarizeStoryQuality,
+};
@@ -0,0 +1,153 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const ts = require("typescript");
+const { analyzeCSF } = require("./csf_analyzer");
+const { getComponentProps, summarizeStoryQuality } = require("./story_quality");
+const { createFiles } = require("./test_helpers");
+
+const analyze = (source) => analyzeCSF(source, "Badge.stories.tsx", ts);
+
+const props = [
+  { name: "label", required: true },
+  { name: "count", required: true },
+  { name: "tone", required: false },
+];
+
+test("passes stories that cover the props with distinct args", () => {
+  const check = summarizeStoryQuality(
+    analyze(`export default {
+  title: "Badge",
+  component: Badge,
+  args: { count: 1 },
+  argTypes: { tone: { control: "select" } },
+};
+export const Info = { args: { label: "New" } };
+export const Danger = { args: { label: "Alert", tone: "danger" } };`),
+    props
+  );
+
+  assert.equal(check.status, "PASS");
+  assert.equal(check.error, null);
+  assert.equal(check.coverage, 100);
+  assert.deepEqual(check.props[2], {
+    name: "tone",
+    required: false,
+    covered: true,
+  });
+});
+
+test("fails stories that do not supply required props", () => {
+  const check = summarizeStoryQuality(
+    analyze(`export default { title: "Badge", component: Badge };
+export const Info = { args: { label: "New", tone: "info" } };
+export const Custom = { render: () => <Badge label="x" count={1} /> };`),
+    props
+  );
+
+  assert.equal(check.status, "FAIL");
+  // Stories with their own render function are left alone
+  assert.deepEqual(check.issues, [
+    {
+      level: "fail",
+      message: 'Story "Info" does not supply the required prop(s) count',
+      line: 2,
+    },
+  ]);
+  assert.equal(check.coverage, 67);
+});
+
+test("warns about missing meta fields, low coverage and duplicate stories", () => {
+  const check = summarizeStoryQuality(
+    analyze(`export default {};
+export const First = { args: { label: "A", count: 1 } };
+export const Second = {
+  args: { label: "A", count: 1 },
+};`),
+    [
+      ...props,
+      { name: "icon", required: false },
+      { name: "size", required: false },
+    ]
+  );
+
+  assert.equal(check.status, "WARNING");
+  assert.deepEqual(
+    check.issues.map((issue) => issue.message),
+    [
+      "Meta has no title",
+      "Meta has no component, so its props cannot be documented or checked",
+      "Stories cover 40% of the props (2/5); not covered: tone, icon, size",
+      'Stories "First", "Second" have identical args',
+    ]
+  );
+});
+
+test("only compares stories that differ in nothing but their args", () => {
+  const check = summarizeStoryQuality(
+    analyze(`export default { title: "Badge", component: Badge };
+export const Default = {};
+export const Dark = { parameters: { backgrounds: { default: "dark" } } };
+export const Framed = { decorators: [(Story) => <div><Story /></div>] };
+export const Custom = { render: () => <Badge label="x" count={1} /> };
+export const Themed = {
+  args: { label: "A", count: 1 },
+  parameters: { theme: "dark" },
+};
+export const Plain = { args: { label: "A", count: 1 } };`),
+    null
+  );
+
+  assert.equal(check.status, "PASS");
+  assert.deepEqual(check.issues, []);
+});
+
+test("skips the props heuristics when the props are unknown", () => {
+  const check = summarizeStoryQuality(
+    analyze(`export default { title: "Badge", component: Badge };
+export const Info = {};`),
+    null
+  );
+
+  assert.equal(check.status, "PASS");
+  assert.equal(check.coverage, null);
+  assert.equal(check.props, null);
+});
+
+test("reads the component's own props from its types", (t) => {
+  const dir = createFiles(t, {
+    "node_modules/ui-types/index.d.ts":
+      "export interface BaseProps { id?: string; hidden: boolean; }\n",
+    "Badge.tsx": [
+      'import type { BaseProps } from "ui-types";',
+      "export interface BadgeProps extends BaseProps {",
+      "  label: string;",
+      '  tone?: "info" | "danger";',
+      "}",
+      "export function Badge(props: BadgeProps) { return null; }",
+      "export class Legacy { props!: { title: string }; }",
+      "",
+    ].join("\n"),
+    "Badge.stories.tsx": [
+      'import { Badge, Legacy } from "./Badge";',
+      "export default { component: Badge };",
+      "export const Other = Legacy;",
+      "",
+    ].join("\n"),
+  });
+  const storyFile = path.join(dir, "Badge.stories.tsx");
+  const program = ts.createProgram({
+    rootNames: [storyFile],
+    options: { strict: true, noEmit: true, jsx: ts.JsxEmit.Preserve },
+  });
+
+  assert.deepEqual(getComponentProps(ts, program, storyFile, "Badge"), [
+    { name: "label", required: true },
+    { name: "tone", required: false },
+  ]);
+  assert.deepEqual(getComponentProps(ts, program, storyFile, "Legacy"), [
+    { name: "title", required: true },
+  ]);
+  assert.equal(getComponentProps(ts, program, storyFile, "Missing"), null);
+  assert.equal(getComponentProps(ts, program, storyFile, "UI.Badge"), null);
+});
@@ -0,0 +1,166 @@
+/**
+ * Per-story test results
+ *
+ * Tracks the render (smoke-test) and interaction (play-test) outcome of each
+ * story export and derives the file-level renderTest/interactionTest checks
+ * from them.
+ */
+
+const path = require("path");
+
+/**
+ * Remove ANSI color codes from test output
+ */
+function stripAnsi(text) {
+  return text.replace(/\u001b\[[0-9;]*m/g, "");
+}
+
+/**
+ * Create the result entry for a story from its CSF analysis. Stories with a
+ * play function are exercised by a play-test, all others by a smoke-test.
+ */
+function createStoryResult(story, metaHasPlay = false) {
+  const testType = story.hasPlay || metaHasPlay ? "play-test" : "smoke-test";
+  const notRun = (reason) => ({
+    status: "SKIP",
+    error: reason,
+    location: null,
+  });
+
+  return {
+    id: story.id,
+    exportName: story.exportName,
+    name: story.name,
+    line: story.line,
+    testType,
+    smokeTest:
+      testType === "smoke-test"
+        ? notRun("Story not found in test output")
+        : notRun("Rendering is covered by the play-test"),
+    playTest:
+      testType === "play-test"
+        ? notRun("Story not found in test output")
+        : notRun("Story has no play function"),
+  };
+}
+
+/**
+ * Record the outcome of a story's test
+ */
+function setStoryTestResult(
+  storyResult,
+  status,
+  error = null,
+  location = null
+) {
+  const key = storyResult.testType === "play-test" ? "playTest" : "smokeTest";
+  storyResult[key] = { status, error, location };
+}
+
+/**
+ * Extract the readable error message from a test failure, dropping the
+ * test-runner preamble and the stack trace
+ */
+function extractFailureMessage(failureMessage) {
+  const text = stripAnsi(failureMessage || "");
+  const messageMatch = text.match(/Message:\s*\n?([\s\S]*?)(?=\n\s*at\s|$)/);
+  const message = (messageMatch ? messageMatch[1] : text.split(/\n\s*at\s/)[0])
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .join("\n");
+  return message || "Test failed";
+}
+
+/**
+ * Find the source location an error points at, preferring stack frames in
+ * the story file itself
+ */
+function parseErrorLocation(message, storyFilePath) {
+  const framePattern =
+    /(?:\(|\s|^)((?:[a-z]+:\/\/[^/\s]+)?[^\s()]+?):(\d+):(\d+)\)?\s*$/;
+  const storyFileName = storyFilePath ? path.basename(storyFilePath) : null;
+  const frames = stripAnsi(message)
+    .split("\n")
+    .filter((line) => /^\s*at\s/.test(line))
+    .map((line) => line.match(framePattern))
+    .filter(Boolean)
+    .map((match) => ({
+      // Drop the dev server origin and query string from browser stack frames
+      file: match[1].replace(/^[a-z]+:\/\/[^/]+\//, "").replace(/\?.*$/, ""),
+      line: Number(match[2]),
+      column: Number(match[3]),
+    }));
+
+  return (
+    frames.find(
+      (frame) => storyFileName && path.basename(frame.file) === storyFileName
+    ) ||
+    frames[0] ||
+    null
+  );
+}
+
+/**
+ * Derive a file-level check from the per-story results
+ */
+function summarizeStoryCheck(stories, key, label) {
+  const tested = stories.filter((story) => story[key].status !== "SKIP");
+
+  if (tested.length === 0) {
+    return {
+      status: "SKIP",
+      error: `No ${label} tests found for this story`,
+      failedStories: [],
+    };
+  }
+
+  const failed = tested.filter((story) => story[key].status !== "PASS");
+  if (failed.length === 0) {
+    return { status: "PASS", error: null, failedStories: [] };
+  }
+
+  const title = label === "smoke" ? "Render test" : "Interaction test";
+  return {
+    status: "FAIL",
+    error: failed
+      .map(
+        (story) =>
+          `${title} failed for ${story.name}: ${firstLine(story[key].error)}`
+      )
+      .join("\n"),
+    failedStories: failed.map((story) => story.id || story.exportName),
+  };
+}
+
+/**
+ * Get the first non-empty line of an error message
+ */
+function firstLine(message) {
+  return (
+    (message || "")
+      .split("\n")
+      .map((line) => line.trim())
+      .find(Boolean) || "Unknown error"
+  );
+}
+
+/**
+ * Derive the renderTest and interactionTest checks from per-story results
+ */
+function summarizeStoryResults(stories) {
+  return {
+    renderTest: summarizeStoryCheck(stories, "smokeTest", "smoke"),
+    interactionTest: summarizeStoryCheck(stories, "playTest", "play"),
+  };
+}
+
+module.exports = {
+  createStoryResult,
+  extractFailureMessage,
+  firstLine,
+  parseErrorLocation,
+  setStoryTestResult,
+  stripAnsi,
+  summarizeStoryResults,
+};
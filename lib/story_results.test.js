@@ -0,0 +1,70 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const {
+  createStoryResult,
+  parseErrorLocation,
+  setStoryTestResult,
+  summarizeStoryResults,
+} = require("./story_results");
+
+const story = (exportName, hasPlay = false) => ({
+  exportName,
+  name: exportName,
+  id: `test-button--${exportName.toLowerCase()}`,
+  line: 1,
+  hasPlay,
+});
+
+test("picks the test type from the play function", () => {
+  assert.equal(createStoryResult(story("Primary")).testType, "smoke-test");
+  assert.equal(createStoryResult(story("Primary", true)).testType, "play-test");
+  assert.equal(createStoryResult(story("Primary"), true).testType, "play-test");
+});
+
+test("prefers stack frames from the story file", () => {
+  const location = parseErrorLocation(
+    [
+      "Message: boom",
+      "    at getElementError (http://127.0.0.1:6006/node_modules/.cache/dom.js?v=1:10:20)",
+      "    at play (http://127.0.0.1:6006/src/Button.stories.tsx?t=17:32:37)",
+    ].join("\n"),
+    "/project/src/Button.stories.tsx"
+  );
+
+  assert.deepEqual(location, {
+    file: "src/Button.stories.tsx",
+    line: 32,
+    column: 37,
+  });
+  assert.equal(parseErrorLocation("no stack here", "Button.stories.tsx"), null);
+});
+
+test("derives file-level checks from story results", () => {
+  const primary = createStoryResult(story("Primary"));
+  const secondary = createStoryResult(story("Secondary", true));
+  const tertiary = createStoryResult(story("Tertiary", true));
+  setStoryTestResult(primary, "PASS");
+  setStoryTestResult(secondary, "FAIL", "Unable to find element\nmore detail");
+  setStoryTestResult(tertiary, "PASS");
+
+  const { renderTest, interactionTest } = summarizeStoryResults([
+    primary,
+    secondary,
+    tertiary,
+  ]);
+
+  assert.equal(renderTest.status, "PASS");
+  assert.equal(interactionTest.status, "FAIL");
+  assert.equal(
+    interactionTest.error,
+    "Interaction test failed for Secondary: Unable to find element"
+  );
+  assert.deepEqual(interactionTest.failedStories, ["test-button--secondary"]);
+});
+
+test("skips checks without any matching tests", () => {
+  const { interactionTest } = summarizeStoryResults([
+    createStoryResult(story("Primary")),
+  ]);
+  assert.equal(interactionTest.status, "SKIP");
+});
@@ -0,0 +1,299 @@
+/**
+ * Storybook dev server lifecycle
+ *
+ * Starts `npm run storybook` for a project on a free port and stops it again.
+ * A single server can be shared by several StoryValidator instances so that
+ * batch runs only pay the Storybook startup cost once per project.
+ * ExternalStorybook offers the same interface for a Storybook that is already
+ * running elsewhere and is never started or stopped by the validator.
+ */
+
+const { spawn } = require("child_process");
+const net = require("net");
+const { promisify } = require("util");
+const { killProcessTree } = require("./run_command");
+const sleep = promisify(setTimeout);
+
+const DEFAULT_PORT = 6006;
+const DEFAULT_STARTUP_TIMEOUT_MS = 120000;
+const MAX_LOG_LINES = 200;
+
+/**
+ * Check whether a port can be bound on this machine
+ */
+function isPortFree(port) {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.unref();
+    server.once("error", () => resolve(false));
+    server.listen({ port }, () => server.close(() => resolve(true)));
+  });
+}
+
+/**
+ * Find a free port, preferring the given one
+ */
+async function findFreePort(preferredPort = DEFAULT_PORT) {
+  if (await isPortFree(preferredPort)) {
+    return preferredPort;
+  }
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.once("error", reject);
+    server.listen({ port: 0 }, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Check whether Storybook answers on a URL with its index and preview iframe
+ */
+async function isStorybookReady(url) {
+  try {
+    for (const file of ["index.json", "iframe.html"]) {
+      const response = await fetch(`${url}/${file}`, {
+        signal: AbortSignal.timeout(5000),
+      });
+      if (!response.ok) {
+        return false;
+      }
+    }
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+class StorybookServer {
+  /**
+   * @param {string} projectRoot - Project containing the Storybook setup
+   * @param {object} [options]
+   * @param {number} [options.port] - Preferred port; another free port is
+   *   used when it is taken (default: 6006)
+   * @param {number} [options.timeoutMs] - How long to wait for Storybook to
+   *   serve index.json and iframe.html (default: 120000)
+   */
+  constructor(projectRoot, options = {}) {
+    this.projectRoot = projectRoot;
+    this.preferredPort = options.port || DEFAULT_PORT;
+    this.timeoutMs = options.timeoutMs || DEFAULT_STARTUP_TIMEOUT_MS;
+    this.port = null;
+    this.process = null;
+    this.log = [];
+  }
+
+  /**
+   * URL the test-runner should target
+   */
+  get url() {
+    return `http://127.0.0.1:${this.port}`;
+  }
+
+  /**
+   * Whether this server has a spawned Storybook process
+   */
+  isRunning() {
+    return this.process !== null;
+  }
+
+  /**
+   * Keep the tail of Storybook's output to explain startup failures
+   */
+  recordOutput(chunk) {
+    this.log.push(...chunk.toString().split("\n"));
+    if (this.log.length > MAX_LOG_LINES) {
+      this.log.splice(0, this.log.length - MAX_LOG_LINES);
+    }
+  }
+
+  /**
+   * Storybook's output so far
+   */
+  getLog() {
+    return this.log.join("\n").trim();
+  }
+
+  /**
+   * Start Storybook in the background on a free port and wait until it
+   * serves its index and preview iframe
+   *
+   * @param {boolean} [silent]
+   * @param {AbortSignal} [signal] - Stops waiting and Storybook when aborted
+   */
+  async start(silent = false, signal = null) {
+    if (this.process) {
+      return; // Already running
+    }
+
+    try {
+      this.port = await findFreePort(this.preferredPort);
+      this.log = [];
+
+      if (!silent) {
+        console.log(`🚀 Starting Storybook on port ${this.port}...`);
+      }
+
+      // Start Storybook in the background in its own process group
+      this.process = spawn(
+        "npm",
+        [
+          "run",
+          "storybook",
+          "--",
+          "--port",
+          String(this.port),
+          "--exact-port",
+          "--ci",
+        ],
+        {
+          cwd: this.projectRoot,
+          stdio: "pipe",
+          detached: true,
+        }
+      );
+      this.process.stdout.on("data", (chunk) => this.recordOutput(chunk));
+      this.process.stderr.on("data", (chunk) => this.recordOutput(chunk));
+
+      let exitCode = null;
+      this.process.once("exit", (code, signal) => {
+        exitCode = code === null ? signal : code;
+      });
+      this.process.once("error", (error) => {
+        exitCode = error.message;
+      });
+
+      // Wait for Storybook to be ready
+      const startedAt = Date.now();
+      let lastProgress = 0;
+      while (!(await isStorybookReady(this.url))) {
+        if (signal && signal.aborted) {
+          throw signal.reason;
+        }
+        if (exitCode !== null) {
+          throw new Error(`Storybook exited (${exitCode}) before it was ready`);
+        }
+        const elapsed = Date.now() - startedAt;
+        if (elapsed >= this.timeoutMs) {
+          const error = new Error(
+            `Storybook failed to start within ${Math.round(
+              this.timeoutMs / 1000
+            )} seconds`
+          );
+          error.timedOut = true;
+          throw error;
+        }
+        if (!silent && elapsed - lastProgress >= 5000) {
+          lastProgress = elapsed;
+          console.log(
+            `⏳ Waiting for Storybook... (${Math.round(elapsed / 1000)}s)`
+          );
+        }
+        await sleep(500);
+      }
+
+      if (!silent) {
+        console.log(`✅ Storybook is ready at ${this.url}`);
+      }
+    } catch (error) {
+      const log = this.getLog();
+      await this.stop(true);
+      if (signal && signal.aborted) {
+        throw signal.reason;
+      }
+      const startError = new Error(
+        log ? `${error.message}\nStorybook output:\n${log}` : error.message
+      );
+      startError.storybookLog = log;
+      if (!silent) {
+        console.error("❌ Failed to start Storybook:", startError.message);
+      }
+      throw startError;
+    }
+  }
+
+  /**
+   * Stop Storybook process
+   */
+  async stop(silent = false) {
+    if (!this.process) {
+      return;
+    }
+
+    try {
+      if (!silent) {
+        console.log("🛑 Stopping Storybook...");
+      }
+
+      const child = this.process;
+      this.process = null;
+
+      // Kill npm, Storybook and every process they started
+      if (child.pid && child.exitCode === null) {
+        const exited = new Promise((resolve) => child.once("exit", resolve));
+        killProcessTree(child);
+        await Promise.race([exited, sleep(5000)]);
+      }
+
+      if (!silent) {
+        console.log("✅ Storybook stopped");
+      }
+    } catch (error) {
+      if (!silent) {
+        console.error(
+          "⚠️  Warning: Failed to stop Storybook cleanly:",
+          error.message
+        );
+      }
+    }
+  }
+}
+
+class ExternalStorybook {
+  /**
+   * @param {string} url - URL of a running Storybook
+   */
+  constructor(url) {
+    this.baseUrl = url.replace(/\/$/, "");
+  }
+
+  /**
+   * URL the test-runner should target
+   */
+  get url() {
+    return this.baseUrl;
+  }
+
+  /**
+   * External servers are never owned by the validator
+   */
+  isRunning() {
+    return false;
+  }
+
+  /**
+   * Check that the Storybook is reachable
+   */
+  async start(silent = false) {
+    if (!(await isStorybookReady(this.baseUrl))) {
+      throw new Error(
+        `No Storybook is serving index.json and iframe.html at ${this.baseUrl}`
+      );
+    }
+    if (!silent) {
+      console.log(`🔗 Using Storybook at ${this.baseUrl}`);
+    }
+  }
+
+  /**
+   * Leave the external Storybook running
+   */
+  async stop() {}
+}
+
+module.exports = StorybookServer;
+module.exports.ExternalStorybook = ExternalStorybook;
+module.exports.findFreePort = findFreePort;
+module.exports.isStorybookReady = isStorybookReady;
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const net = require("net");
+const {
+  ExternalStorybook,
+  findFreePort,
+  isStorybookReady,
+} = require("./storybook_server");
+
+/**
+ * Listen on a random port and resolve with the server
+ */
+function listen(server) {
+  return new Promise((resolve) =>
+    server.listen({ port: 0, host: "127.0.0.1" }, () => resolve(server))
+  );
+}
+
+test("keeps the preferred port when it is free", async () => {
+  const probe = await listen(net.createServer());
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+
+  assert.equal(await findFreePort(port), port);
+});
+
+test("picks another port when the preferred one is taken", async (t) => {
+  const blocker = await listen(net.createServer());
+  t.after(() => blocker.close());
+  const { port } = blocker.address();
+
+  const freePort = await findFreePort(port);
+  assert.notEqual(freePort, port);
+  assert.ok(freePort > 0);
+});
+
+test("is only ready once index.json and iframe.html are served", async (t) => {
+  const served = new Set(["/index.json"]);
+  const server = await listen(
+    http.createServer((request, response) => {
+      response.statusCode = served.has(request.url) ? 200 : 404;
+      response.end("{}");
+    })
+  );
+  t.after(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  assert.equal(await isStorybookReady(url), false);
+  served.add("/iframe.html");
+  assert.equal(await isStorybookReady(url), true);
+});
+
+test("is not ready when nothing listens", async () => {
+  const probe = await listen(net.createServer());
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+
+  assert.equal(await isStorybookReady(`http://127.0.0.1:${port}`), false);
+});
+
+test("an external Storybook must be reachable and is never stopped", async () => {
+  const probe = await listen(net.createServer());
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+
+  const storybook = new ExternalStorybook(`http://127.0.0.1:${port}/`);
+  assert.equal(storybook.url, `http://127.0.0.1:${port}`);
+  assert.equal(storybook.isRunning(), false);
+  await assert.rejects(storybook.start(true), /No Storybook is serving/);
+  await storybook.stop();
+});
@@ -0,0 +1,122 @@
+/**
+ * Test backend detection
+ *
+ * Decides from a project's package.json and Vitest config which backend
+ * runs the render and interaction tests:
+ *
+ *   vitest      - `@storybook/addon-vitest` and `vitest` are installed and a
+ *                 Vite/Vitest config registers the addon's `storybookTest`
+ *                 plugin, which defines the `storybook` project
+ *   test-runner - `@storybook/test-runner` is installed
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const VITEST_CONFIG_FILES = ["vitest.workspace", "vitest.config", "vite.config"]
+  .flatMap((name) =>
+    [".ts", ".mts", ".cts", ".js", ".mjs", ".cjs"].map(
+      (extension) => `${name}${extension}`
+    )
+  )
+  .concat("vitest.workspace.json");
+
+/**
+ * Read a project's package.json (null when it is missing or invalid)
+ */
+function readPackageJson(projectRoot) {
+  try {
+    return JSON.parse(
+      fs.readFileSync(path.join(projectRoot, "package.json"), "utf8")
+    );
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Whether a package is one of the project's dependencies or devDependencies
+ */
+function hasDependency(projectRoot, name) {
+  const packageJson = readPackageJson(projectRoot);
+  return Boolean(
+    packageJson &&
+      ((packageJson.dependencies && packageJson.dependencies[name]) ||
+        (packageJson.devDependencies && packageJson.devDependencies[name]))
+  );
+}
+
+/**
+ * Check if the Storybook test-runner is available
+ */
+function hasTestRunner(projectRoot) {
+  return (
+    hasDependency(projectRoot, "@storybook/test-runner") ||
+    hasDependency(projectRoot, "@storybook/testing-library")
+  );
+}
+
+/**
+ * Find the Vite/Vitest config that registers the Vitest addon's plugin
+ *
+ * @returns {string|null} Its path
+ */
+function findVitestAddonConfig(projectRoot) {
+  return (
+    VITEST_CONFIG_FILES.map((name) => path.join(projectRoot, name)).find(
+      (configPath) => {
+        try {
+          return fs.readFileSync(configPath, "utf8").includes("storybookTest");
+        } catch (error) {
+          return false;
+        }
+      }
+    ) || null
+  );
+}
+
+/**
+ * Check if the Vitest addon is installed and set up
+ */
+function hasVitestAddon(projectRoot) {
+  return (
+    hasDependency(projectRoot, "@storybook/addon-vitest") &&
+    hasDependency(projectRoot, "vitest") &&
+    findVitestAddonConfig(projectRoot) !== null
+  );
+}
+
+/**
+ * Pick the render/interaction test backend. The Vitest addon runs stories
+ * without a dev server, so it wins when both are available, unless a running
+ * Storybook or static build to test against is given.
+ *
+ * @param {string} projectRoot
+ * @param {object} [options]
+ * @param {"vitest"|"test-runner"} [options.testBackend] - Explicit choice
+ * @param {string} [options.storybookUrl]
+ * @param {string} [options.staticDir]
+ * @returns {"vitest"|"test-runner"|null}
+ */
+function getTestBackend(projectRoot, options = {}) {
+  if (options.testBackend) {
+    return options.testBackend;
+  }
+  // An explicit Storybook to test against is only used by the test-runner
+  const hasTarget = options.storybookUrl || options.staticDir;
+  if (hasTarget && hasTestRunner(projectRoot)) {
+    return "test-runner";
+  }
+  if (hasVitestAddon(projectRoot)) {
+    return "vitest";
+  }
+  return hasTestRunner(projectRoot) ? "test-runner" : null;
+}
+
+module.exports = {
+  findVitestAddonConfig,
+  getTestBackend,
+  hasDependency,
+  hasTestRunner,
+  hasVitestAddon,
+};
@@ -0,0 +1,110 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const path = require("path");
+const {
+  findVitestAddonConfig,
+  getTestBackend,
+  hasTestRunner,
+  hasVitestAddon,
+} = require("./test_backend");
+const { createFiles } = require("./test_helpers");
+
+const VITE_CONFIG = `import { defineConfig } from "vite";
+import { storybookTest } from "@storybook/addon-vitest/vitest-plugin";
+
+export default defineConfig({
+  test: {
+    projects: [
+      { extends: true, plugins: [storybookTest()], test: { name: "storybook" } },
+    ],
+  },
+});
+`;
+
+/**
+ * Create a throwaway project with a package.json and the given files
+ */
+function createProject(t, devDependencies, files = {}) {
+  return createFiles(t, {
+    "package.json": JSON.stringify({ name: "project", devDependencies }),
+    ...files,
+  });
+}
+
+const VITEST_ADDON = {
+  "@storybook/addon-vitest": "^9.0.0",
+  vitest: "^3.2.0",
+};
+const TEST_RUNNER = { "@storybook/test-runner": "^0.23.0" };
+
+test("detects the Vitest addon from package.json and its config", (t) => {
+  const project = createProject(t, VITEST_ADDON, {
+    "vite.config.ts": VITE_CONFIG,
+  });
+
+  assert.equal(hasVitestAddon(project), true);
+  assert.equal(
+    findVitestAddonConfig(project),
+    path.join(project, "vite.config.ts")
+  );
+  assert.equal(getTestBackend(project), "vitest");
+  assert.equal(hasTestRunner(project), false);
+});
+
+test("finds the addon's plugin in a Vitest workspace file", (t) => {
+  const project = createProject(t, VITEST_ADDON, {
+    "vite.config.ts": "export default { plugins: [react()] };\n",
+    "vitest.workspace.ts": VITE_CONFIG,
+  });
+
+  assert.equal(
+    findVitestAddonConfig(project),
+    path.join(project, "vitest.workspace.ts")
+  );
+});
+
+test("needs both packages and a config registering the plugin", (t) => {
+  const withoutConfig = createProject(t, VITEST_ADDON, {
+    "vite.config.ts": "export default { plugins: [react()] };\n",
+  });
+  assert.equal(hasVitestAddon(withoutConfig), false);
+
+  const withoutVitest = createProject(
+    t,
+    { "@storybook/addon-vitest": "^9.0.0" },
+    { "vitest.config.mjs": VITE_CONFIG }
+  );
+  assert.equal(hasVitestAddon(withoutVitest), false);
+  assert.equal(getTestBackend(withoutVitest), null);
+});
+
+test("picks the test-runner when the Vitest addon is not set up", (t) => {
+  const project = createProject(t, TEST_RUNNER);
+
+  assert.equal(getTestBackend(project), "test-runner");
+  assert.equal(getTestBackend(project, { testBackend: "vitest" }), "vitest");
+});
+
+test("prefers Vitest unless a Storybook to test against is given", (t) => {
+  const project = createProject(
+    t,
+    { ...VITEST_ADDON, ...TEST_RUNNER },
+    { "vite.config.ts": VITE_CONFIG }
+  );
+
+  assert.equal(getTestBackend(project), "vitest");
+  assert.equal(
+    getTestBackend(project, { storybookUrl: "http://localhost:6006" }),
+    "test-runner"
+  );
+  assert.equal(
+    getTestBackend(project, { staticDir: "storybook-static" }),
+    "test-runner"
+  );
+});
+
+test("finds no backend without a readable package.json", (t) => {
+  const dir = createFiles(t);
+
+  assert.equal(getTestBackend(dir), null);
+});
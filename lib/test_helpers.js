@@ -0,0 +1,30 @@
+/**
+ * Test helpers
+ *
+ * Shared by the `lib/*.test.js` files.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * Create a throwaway directory with the given files, removed once the test
+ * is done
+ *
+ * @param {import("node:test").TestContext} t
+ * @param {Object<string, string>} [files] - Contents by path relative to the
+ *   directory; missing parent directories are created
+ * @returns {string} The directory
+ */
+function createFiles(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "storybook-validate-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  for (const [name, content] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, name)), { recursive: true });
+    fs.writeFileSync(path.join(dir, name), content);
+  }
+  return dir;
+}
+
+module.exports = { createFiles };
@@ -0,0 +1,199 @@
+/**
+ * Test reports
+ *
+ * Reads the Jest-compatible JSON reports the render/interaction test
+ * backends write (`test-storybook --json` or Vitest's json reporter) into
+ * per-story results, and explains a missing report from the runner's log.
+ */
+
+const path = require("path");
+const { sanitize, storyNameFromExport } = require("./csf_analyzer");
+const {
+  extractFailureMessage,
+  parseErrorLocation,
+  setStoryTestResult,
+  stripAnsi,
+  summarizeStoryResults,
+} = require("./story_results");
+
+/**
+ * Find the runner's own error in its log, skipping stack frames and
+ * printed error properties
+ */
+function findRunnerError(testLog) {
+  const errorLines = stripAnsi(testLog || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(
+      (line) =>
+        /error/i.test(line) &&
+        /:\s*\S/.test(line) &&
+        !/^at\s/.test(line) &&
+        !/^\w+:\s*['"]/.test(line)
+    );
+  return errorLines[errorLines.length - 1] || null;
+}
+
+/**
+ * Parse a Jest-compatible JSON report, on its own or as the last JSON line
+ * of the runner's output
+ *
+ * @returns {object|null} The report, or null when there is none
+ */
+function parseTestReport(output) {
+  const candidates = [output, ...output.split("\n").reverse()];
+  for (const candidate of candidates) {
+    const text = candidate.trim();
+    if (!text.startsWith("{")) continue;
+    try {
+      const report = JSON.parse(text);
+      if (Array.isArray(report.testResults)) {
+        return report;
+      }
+    } catch (error) {
+      // Not the report, keep looking
+    }
+  }
+  return null;
+}
+
+/**
+ * The renderTest and interactionTest result when the runner produced no
+ * report: TIMEOUT when it was stopped, ERROR with its own error otherwise
+ *
+ * @param {string} runnerName - e.g. "test-storybook" or "vitest"
+ * @param {string} testLog - The runner's output
+ * @param {Error|null} [runnerFailure] - How the runner exited, if it failed
+ * @returns {{status: string, error: string}}
+ */
+function describeMissingReport(runnerName, testLog, runnerFailure = null) {
+  if (runnerFailure && runnerFailure.timedOut) {
+    return {
+      status: "TIMEOUT",
+      error: `${runnerName} ${runnerFailure.message.replace(/^Command /, "")}`,
+    };
+  }
+  const runnerError = findRunnerError(testLog);
+  return {
+    status: "ERROR",
+    error: `${runnerName} did not produce a report${
+      runnerError ? `: ${runnerError}` : ""
+    }`,
+  };
+}
+
+/**
+ * Match a report entry to a story. The test-runner nests a `smoke-test` or
+ * `play-test` under [title, story name]; the Vitest addon names one test
+ * per story and records its id in the test meta.
+ */
+function isStoryAssertion(result, story) {
+  if (result.meta && result.meta.storyId) {
+    if (story.id) {
+      return result.meta.storyId === story.id;
+    }
+    // Without a meta title Storybook derives the title from the file path,
+    // so only the export part of the id is known
+    return result.meta.storyId.endsWith(
+      `--${sanitize(storyNameFromExport(story.exportName))}`
+    );
+  }
+  const ancestors = result.ancestorTitles || [];
+  if (result.title === story.testType) {
+    return ancestors[ancestors.length - 1] === story.name;
+  }
+  return ancestors.length === 0 && result.title === story.name;
+}
+
+/**
+ * Fill in per-story results from a report and derive the render and
+ * interaction checks from them
+ *
+ * @param {object} report - parseTestReport result
+ * @param {object[]} stories - createStoryResult entries, updated in place
+ *   (including the ids of untitled stories, taken from the Vitest report)
+ * @param {object} options
+ * @param {string} options.storyFilePath - The story file the report covers
+ * @param {string|null} [options.runnerError] - findRunnerError result, for
+ *   suites that did not run
+ * @returns {{renderTest: object, interactionTest: object, a11yReports:
+ *   Map<string, object>}} `a11yReports` holds the addon-a11y reports the
+ *   Vitest addon attached to the tests, by story id
+ */
+function buildTestResults(report, stories, { storyFilePath, runnerError }) {
+  const storyFile = path.resolve(storyFilePath);
+  const a11yReports = new Map();
+  const suite = report.testResults.find(
+    (testResult) => path.resolve(testResult.name) === storyFile
+  );
+
+  if (!suite) {
+    const skipped = { status: "SKIP", error: "Story not found in test output" };
+    return {
+      renderTest: { ...skipped },
+      interactionTest: { ...skipped },
+      a11yReports,
+    };
+  }
+
+  const assertionResults = suite.assertionResults || [];
+  if (suite.testExecError || assertionResults.length === 0) {
+    const reason = `Test suite failed to run: ${extractFailureMessage(
+      (suite.testExecError && suite.testExecError.message) ||
+        suite.message ||
+        runnerError ||
+        "no tests were executed"
+    )}`;
+    return {
+      renderTest: { status: "ERROR", error: reason },
+      interactionTest: { status: "ERROR", error: reason },
+      a11yReports,
+    };
+  }
+
+  const statuses = { passed: "PASS", failed: "FAIL" };
+  stories.forEach((story) => {
+    const assertion = assertionResults.find((result) =>
+      isStoryAssertion(result, story)
+    );
+    if (!assertion) return;
+    if (!story.id && assertion.meta && assertion.meta.storyId) {
+      story.id = assertion.meta.storyId;
+    }
+
+    // The Vitest addon attaches addon-a11y's report to the test meta
+    const a11yReport = ((assertion.meta && assertion.meta.reports) || []).find(
+      (entry) => entry.type === "a11y"
+    );
+    if (a11yReport) {
+      a11yReports.set(story.id, a11yReport);
+    }
+
+    const status = statuses[assertion.status] || "SKIP";
+    if (status === "FAIL") {
+      const failureMessage = (assertion.failureMessages || []).join("\n");
+      setStoryTestResult(
+        story,
+        status,
+        extractFailureMessage(failureMessage),
+        parseErrorLocation(failureMessage, storyFilePath)
+      );
+    } else {
+      setStoryTestResult(
+        story,
+        status,
+        status === "SKIP" ? `Test ${assertion.status}` : null
+      );
+    }
+  });
+
+  return { ...summarizeStoryResults(stories), a11yReports };
+}
+
+module.exports = {
+  buildTestResults,
+  describeMissingReport,
+  findRunnerError,
+  isStoryAssertion,
+  parseTestReport,
+};
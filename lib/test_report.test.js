@@ -0,0 +1,241 @@
+const assert = require("node:assert/strict");
+const { test } = require("node:test");
+const fs = require("fs");
+const path = require("path");
+const { createStoryResult } = require("./story_results");
+const {
+  buildTestResults,
+  describeMissingReport,
+  findRunnerError,
+  isStoryAssertion,
+  parseTestReport,
+} = require("./test_report");
+
+const STORY_FILE = "/project/src/Button.stories.tsx";
+
+/**
+ * Read a report fixture
+ */
+function readFixture(name) {
+  return fs.readFileSync(path.join(__dirname, "fixtures", "reports", name), {
+    encoding: "utf8",
+  });
+}
+
+/**
+ * Per-story results of Example/Button: a smoke-tested and a play-tested story
+ */
+function createStories() {
+  return [
+    { exportName: "Primary", line: 5, hasPlay: false },
+    { exportName: "Clicked", line: 9, hasPlay: true },
+  ].map((story) =>
+    createStoryResult({
+      ...story,
+      name: story.exportName,
+      id: `example-button--${story.exportName.toLowerCase()}`,
+    })
+  );
+}
+
+test("finds the JSON report in the test-runner's output", () => {
+  const report = readFixture("test-runner-passing.json");
+  const stdout = [
+    "PASS browser: chromium src/Button.stories.tsx",
+    JSON.stringify(JSON.parse(report)),
+    "Done in 3.2s",
+  ].join("\n");
+
+  assert.equal(parseTestReport(report).testResults.length, 1);
+  assert.equal(parseTestReport(stdout).numPassedTests, 2);
+  assert.equal(parseTestReport("Tests: 2 passed\n{ not json"), null);
+  assert.equal(parseTestReport('{"success": true}'), null);
+});
+
+test("maps a passing test-runner report to per-story results", () => {
+  const stories = createStories();
+  const results = buildTestResults(
+    parseTestReport(readFixture("test-runner-passing.json")),
+    stories,
+    { storyFilePath: STORY_FILE }
+  );
+
+  assert.equal(results.renderTest.status, "PASS");
+  assert.equal(results.interactionTest.status, "PASS");
+  assert.equal(stories[0].smokeTest.status, "PASS");
+  assert.equal(stories[0].playTest.status, "SKIP");
+  assert.equal(stories[1].playTest.status, "PASS");
+  assert.equal(results.a11yReports.size, 0);
+});
+
+test("records failing stories with their message and location", () => {
+  const stories = createStories();
+  const results = buildTestResults(
+    parseTestReport(readFixture("test-runner-failing.json")),
+    stories,
+    { storyFilePath: STORY_FILE }
+  );
+
+  assert.equal(results.renderTest.status, "PASS");
+  assert.deepEqual(results.interactionTest, {
+    status: "FAIL",
+    error:
+      "Interaction test failed for Clicked: expect(element).toHaveTextContent()",
+    failedStories: ["example-button--clicked"],
+  });
+  assert.deepEqual(stories[1].playTest, {
+    status: "FAIL",
+    error:
+      "expect(element).toHaveTextContent()\nExpected element to have text content:\nClicked\nReceived:\nClick me",
+    location: { file: "src/Button.stories.tsx", line: 24, column: 38 },
+  });
+});
+
+test("reports suites that did not run as errors", () => {
+  const stories = createStories();
+  const results = buildTestResults(
+    parseTestReport(readFixture("test-runner-suite-error.json")),
+    stories,
+    { storyFilePath: STORY_FILE }
+  );
+
+  assert.equal(results.renderTest.status, "ERROR");
+  assert.match(
+    results.interactionTest.error,
+    /^Test suite failed to run: .*\nbrowserType\.launch: Executable doesn't exist/
+  );
+  assert.equal(stories[0].smokeTest.status, "SKIP");
+});
+
+test("skips story files the report does not cover", () => {
+  const results = buildTestResults(
+    parseTestReport(readFixture("test-runner-passing.json")),
+    createStories(),
+    { storyFilePath: "/project/src/Card.stories.tsx" }
+  );
+
+  assert.deepEqual(results.renderTest, {
+    status: "SKIP",
+    error: "Story not found in test output",
+  });
+});
+
+test("reports an ERROR with the runner's error when there is no report", () => {
+  const log = readFixture("test-runner-no-report.log");
+
+  assert.equal(
+    findRunnerError(log),
+    "Error: connect ECONNREFUSED 127.0.0.1:6006"
+  );
+  assert.deepEqual(describeMissingReport("test-storybook", log), {
+    status: "ERROR",
+    error:
+      "test-storybook did not produce a report: Error: connect ECONNREFUSED 127.0.0.1:6006",
+  });
+  assert.deepEqual(describeMissingReport("test-storybook", ""), {
+    status: "ERROR",
+    error: "test-storybook did not produce a report",
+  });
+
+  const timeout = new Error("Command timed out after 60000ms");
+  timeout.timedOut = true;
+  assert.deepEqual(describeMissingReport("test-storybook", log, timeout), {
+    status: "TIMEOUT",
+    error: "test-storybook timed out after 60000ms",
+  });
+});
+
+test("matches test-runner entries by story name and test type", () => {
+  const [primary, clicked] = createStories();
+  const entry = (title, ...ancestorTitles) => ({ title, ancestorTitles });
+
+  assert.ok(
+    isStoryAssertion(entry("smoke-test", "Button", "Primary"), primary)
+  );
+  assert.ok(
+    !isStoryAssertion(entry("smoke-test", "Button", "Clicked"), primary)
+  );
+  assert.ok(isStoryAssertion(entry("play-test", "Button", "Clicked"), clicked));
+  assert.ok(
+    !isStoryAssertion(entry("smoke-test", "Button", "Clicked"), clicked)
+  );
+});
+
+test("matches Vitest results on the story id in the test meta", () => {
+  const stories = createStories();
+  const results = buildTestResults(
+    parseTestReport(readFixture("vitest-passing.json")),
+    stories,
+    { storyFilePath: STORY_FILE }
+  );
+
+  assert.equal(results.renderTest.status, "PASS");
+  assert.equal(results.interactionTest.status, "PASS");
+  assert.equal(stories[0].smokeTest.status, "PASS");
+  assert.equal(stories[1].playTest.status, "PASS");
+  assert.deepEqual(
+    [...results.a11yReports.keys()],
+    ["example-button--primary"]
+  );
+  assert.equal(
+    results.a11yReports.get("example-button--primary").result.violations[0].id,
+    "color-contrast"
+  );
+
+  // The story name alone does not match a Vitest result
+  const renamed = { ...stories[0], id: "example-button--renamed" };
+  assert.ok(
+    !isStoryAssertion(
+      { title: "Primary", meta: { storyId: "example-button--primary" } },
+      renamed
+    )
+  );
+});
+
+test("records failing and skipped Vitest results", () => {
+  const stories = createStories();
+  const results = buildTestResults(
+    parseTestReport(readFixture("vitest-failing.json")),
+    stories,
+    { storyFilePath: STORY_FILE }
+  );
+
+  assert.deepEqual(results.renderTest, {
+    status: "FAIL",
+    error:
+      "Render test failed for Primary: TypeError: Cannot read properties of undefined (reading 'label')",
+    failedStories: ["example-button--primary"],
+  });
+  assert.deepEqual(stories[0].smokeTest.location, {
+    file: "/project/src/Button.tsx",
+    line: 12,
+    column: 24,
+  });
+  assert.equal(results.interactionTest.status, "SKIP");
+  assert.equal(stories[1].playTest.error, "Test skipped");
+});
+
+test("matches Vitest results of untitled stories on their export name", () => {
+  // Without a meta title the analyzer cannot tell the story ids
+  const stories = createStories().map((story) => ({ ...story, id: null }));
+  const results = buildTestResults(
+    parseTestReport(readFixture("vitest-untitled.json")),
+    stories,
+    { storyFilePath: STORY_FILE }
+  );
+
+  assert.equal(results.renderTest.status, "FAIL");
+  assert.deepEqual(results.renderTest.failedStories, ["button--primary"]);
+  assert.equal(results.interactionTest.status, "PASS");
+  assert.deepEqual(
+    stories.map((story) => story.id),
+    ["button--primary", "button--clicked"]
+  );
+  assert.deepEqual([...results.a11yReports.keys()], ["button--clicked"]);
+  assert.ok(
+    !isStoryAssertion(
+      { title: "Primary", meta: { storyId: "button--primary-large" } },
+      { ...stories[0], id: null }
+    )
+  );
+});
@@ -0,0 +1,214 @@
+/**
+ * TypeScript check
+ *
+ * Type-checks a story file with the TypeScript compiler API using the
+ * compiler options of the tsconfig that covers it, and splits the resulting
+ * diagnostics into those reported in the story file itself and those reported
+ * in files it imports. Nothing is written to the project, so several checks
+ * can run against the same project at once.
+ */
+
+const path = require("path");
+
+/**
+ * Parse a tsconfig file, throwing on config errors
+ */
+function readConfig(ts, configPath) {
+  let configError = null;
+  const parsed = ts.getParsedCommandLineOfConfigFile(
+    configPath,
+    {},
+    {
+      ...ts.sys,
+      onUnRecoverableConfigFileDiagnostic: (diagnostic) => {
+        configError = diagnostic;
+      },
+    }
+  );
+
+  if (!parsed || configError) {
+    throw new Error(
+      configError
+        ? ts.flattenDiagnosticMessageText(configError.messageText, "\n")
+        : `Could not read ${configPath}`
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Find the tsconfig that type-checks a story file
+ *
+ * Starts from the nearest tsconfig.json above the story (up to the project
+ * root) and follows project references, as in a solution-style tsconfig.json
+ * that only references tsconfig.app.json and tsconfig.node.json, until a
+ * config whose files include the story is found. Falls back to the first
+ * config that includes any files at all.
+ *
+ * @returns {string|null} Path of the tsconfig, or null if there is none
+ */
+function findTsConfigForFile(ts, storyFilePath, projectRoot) {
+  const storyFile = path.resolve(storyFilePath);
+  const root = path.resolve(projectRoot);
+  const queue = [];
+  for (let dir = path.dirname(storyFile); ; dir = path.dirname(dir)) {
+    const configPath = path.join(dir, "tsconfig.json");
+    if (ts.sys.fileExists(configPath)) {
+      queue.push(configPath);
+      break;
+    }
+    if (dir === root || dir === path.dirname(dir)) break;
+  }
+
+  const visited = new Set();
+  let fallback = null;
+  while (queue.length > 0) {
+    const configPath = path.resolve(queue.shift());
+    if (visited.has(configPath) || !ts.sys.fileExists(configPath)) continue;
+    visited.add(configPath);
+
+    const parsed = readConfig(ts, configPath);
+    const fileNames = parsed.fileNames.map((fileName) =>
+      path.resolve(fileName)
+    );
+    if (fileNames.includes(storyFile)) {
+      return configPath;
+    }
+    if (!fallback && fileNames.length > 0) {
+      fallback = configPath;
+    }
+    for (const reference of parsed.projectReferences || []) {
+      queue.push(ts.resolveProjectReferencePath(reference));
+    }
+  }
+  return fallback;
+}
+
+/**
+ * Convert a TypeScript diagnostic, flattening its message chain
+ */
+function toDiagnostic(ts, diagnostic) {
+  let line = null;
+  let column = null;
+  if (diagnostic.file && diagnostic.start !== undefined) {
+    const position = diagnostic.file.getLineAndCharacterOfPosition(
+      diagnostic.start
+    );
+    line = position.line + 1;
+    column = position.character + 1;
+  }
+
+  return {
+    file: diagnostic.file ? path.resolve(diagnostic.file.fileName) : null,
+    line,
+    column,
+    code: diagnostic.code,
+    severity:
+      diagnostic.category === ts.DiagnosticCategory.Error ? "error" : "warning",
+    message: ts.flattenDiagnosticMessageText(diagnostic.messageText, "\n"),
+  };
+}
+
+/**
+ * Create an in-memory program with the story file as its only root
+ *
+ * @param {object} ts - The TypeScript compiler API
+ * @param {string} configPath - tsconfig providing the compiler options
+ * @param {string} storyFilePath - Story file to check
+ */
+function createStoryProgram(ts, configPath, storyFilePath) {
+  const options = {
+    ...readConfig(ts, configPath).options,
+    noEmit: true,
+  };
+  // Only the story is a root file, so build-mode options do not apply
+  delete options.composite;
+  delete options.incremental;
+  delete options.tsBuildInfoFile;
+
+  return ts.createProgram({
+    rootNames: [path.resolve(storyFilePath)],
+    options,
+  });
+}
+
+/**
+ * Type-check a story file and return its diagnostics
+ *
+ * @param {object} ts - The TypeScript compiler API
+ * @param {string} configPath - tsconfig providing the compiler options
+ * @param {string} storyFilePath - Story file to check
+ * @param {object} [program] - Program from createStoryProgram, to share it
+ *   with other checks
+ */
+function collectTypeScriptDiagnostics(
+  ts,
+  configPath,
+  storyFilePath,
+  program = createStoryProgram(ts, configPath, storyFilePath)
+) {
+  return ts
+    .getPreEmitDiagnostics(program)
+    .filter(
+      (diagnostic) => diagnostic.category !== ts.DiagnosticCategory.Message
+    )
+    .map((diagnostic) => toDiagnostic(ts, diagnostic));
+}
+
+/**
+ * Build the typeScript check from diagnostics. Errors in the story file (or
+ * in the configuration) fail the check, errors only in its dependencies warn.
+ */
+function summarizeTypeScriptDiagnostics(diagnostics, storyFilePath) {
+  const storyFile = path.resolve(storyFilePath);
+  const own = diagnostics.filter(
+    (diagnostic) => !diagnostic.file || diagnostic.file === storyFile
+  );
+  const dependencies = diagnostics.filter(
+    (diagnostic) => diagnostic.file && diagnostic.file !== storyFile
+  );
+  const hasErrors = (list) =>
+    list.some((diagnostic) => diagnostic.severity === "error");
+  const describe = (list) =>
+    list
+      .map(
+        (diagnostic) =>
+          `${
+            diagnostic.file
+              ? `${path.basename(diagnostic.file)}(${diagnostic.line},${
+                  diagnostic.column
+                }): `
+              : ""
+          }TS${diagnostic.code}: ${diagnostic.message.split("\n")[0]}`
+      )
+      .join("\n");
+
+  let status = "PASS";
+  let error = null;
+  if (hasErrors(own)) {
+    status = "FAIL";
+    error = describe(own);
+  } else if (own.length > 0 || dependencies.length > 0) {
+    status = "WARNING";
+    error = describe(own.length > 0 ? own : dependencies);
+  }
+
+  return {
+    status,
+    error,
+    errorCount: own.filter((diagnostic) => diagnostic.severity === "error")
+      .length,
+    dependencyErrorCount: dependencies.filter(
+      (diagnostic) => diagnostic.severity === "error"
+    ).length,
+    diagnostics: own,
+    dependencyDiagnostics: dependencies,
+  };
+}
+
+module.exports = {
+  collectTypeScriptDiagnostics,
+  createStoryProgram,
+  findTsConfigForFile,
+  summarizeTypeScriptDiagnostics,
+};
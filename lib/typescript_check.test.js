@@ -0,0 +1,170 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const path = require("path");
+const ts = require("typescript");
+const {
+  collectTypeScriptDiagnostics,
+  findTsConfigForFile,
+  summarizeTypeScriptDiagnostics,
+} = require("./typescript_check");
+const { createFiles } = require("./test_helpers");
+
+const tsconfig = JSON.stringify({
+  compilerOptions: { strict: true, noEmit: true, skipLibCheck: true },
+  include: ["*.ts"],
+});
+
+test("separates story errors from errors in imported files", (t) => {
+  const dir = createFiles(t, {
+    "tsconfig.json": tsconfig,
+    "Button.ts": "export const label: string = 42;\n",
+    "Button.stories.ts": [
+      'import { label } from "./Button";',
+      "export const Primary: { args: { count: number } } = {",
+      '  args: { count: "one" },',
+      "};",
+      "export const Label = label;",
+      "",
+    ].join("\n"),
+  });
+  const storyFile = path.join(dir, "Button.stories.ts");
+
+  const diagnostics = collectTypeScriptDiagnostics(
+    ts,
+    path.join(dir, "tsconfig.json"),
+    storyFile
+  );
+  const check = summarizeTypeScriptDiagnostics(diagnostics, storyFile);
+
+  assert.equal(check.status, "FAIL");
+  assert.deepEqual(
+    check.diagnostics.map(({ line, column, code, severity }) => ({
+      line,
+      column,
+      code,
+      severity,
+    })),
+    [{ line: 3, column: 11, code: 2322, severity: "error" }]
+  );
+  assert.equal(check.diagnostics[0].file, path.resolve(storyFile));
+  assert.equal(check.dependencyErrorCount, 1);
+  assert.equal(
+    check.dependencyDiagnostics[0].file,
+    path.resolve(dir, "Button.ts")
+  );
+  assert.match(check.error, /^Button\.stories\.ts\(3,11\): TS2322: /);
+});
+
+test("only warns when the errors are in dependencies", () => {
+  const check = summarizeTypeScriptDiagnostics(
+    [
+      {
+        file: path.resolve("src/Button.tsx"),
+        line: 1,
+        column: 14,
+        code: 2322,
+        severity: "error",
+        message: "Type 'number' is not assignable to type 'string'.",
+      },
+    ],
+    "src/Button.stories.tsx"
+  );
+
+  assert.equal(check.status, "WARNING");
+  assert.equal(check.errorCount, 0);
+  assert.equal(check.dependencyErrorCount, 1);
+  assert.match(check.error, /Button\.tsx\(1,14\)/);
+});
+
+test("keeps the message chain and passes clean stories", (t) => {
+  const dir = createFiles(t, {
+    "tsconfig.json": tsconfig,
+    "Card.stories.ts": [
+      "type Args = { size: { width: number } };",
+      "const args: Args = { size: { width: 1 } };",
+      "export const Large: { args: { size: { width: string } } } = { args };",
+      "",
+    ].join("\n"),
+    "Clean.stories.ts": "export const Default = { args: {} };\n",
+  });
+  const configPath = path.join(dir, "tsconfig.json");
+
+  const [diagnostic] = collectTypeScriptDiagnostics(
+    ts,
+    configPath,
+    path.join(dir, "Card.stories.ts")
+  );
+  assert.equal(diagnostic.code, 2322);
+  assert.equal(diagnostic.line, 3);
+  assert.deepEqual(diagnostic.message.split("\n").slice(1), [
+    "  The types of 'size.width' are incompatible between these types.",
+    "    Type 'number' is not assignable to type 'string'.",
+  ]);
+
+  const cleanFile = path.join(dir, "Clean.stories.ts");
+  const check = summarizeTypeScriptDiagnostics(
+    collectTypeScriptDiagnostics(ts, configPath, cleanFile),
+    cleanFile
+  );
+  assert.equal(check.status, "PASS");
+  assert.equal(check.error, null);
+});
+
+test("throws when the tsconfig cannot be read", () => {
+  assert.throws(
+    () =>
+      collectTypeScriptDiagnostics(
+        ts,
+        path.join(os.tmpdir(), "missing-tsconfig.json"),
+        "Button.stories.ts"
+      ),
+    /missing-tsconfig\.json/
+  );
+});
+
+test("follows project references to the tsconfig including the story", (t) => {
+  const dir = createFiles(t, {
+    "tsconfig.json": JSON.stringify({
+      files: [],
+      references: [
+        { path: "./tsconfig.app.json" },
+        { path: "./tsconfig.node.json" },
+      ],
+    }),
+    "tsconfig.node.json": JSON.stringify({
+      compilerOptions: { composite: true },
+      include: ["vite.config.ts"],
+    }),
+    "tsconfig.app.json": JSON.stringify({
+      compilerOptions: { composite: true, jsx: "react-jsx" },
+      include: ["src"],
+    }),
+    "vite.config.ts": "export default {};\n",
+    "src/Button.stories.ts": "export const Primary = {};\n",
+    "stories/Loose.stories.ts": "export const Primary = {};\n",
+  });
+
+  assert.equal(
+    findTsConfigForFile(ts, path.join(dir, "src/Button.stories.ts"), dir),
+    path.join(dir, "tsconfig.app.json")
+  );
+  assert.equal(
+    findTsConfigForFile(ts, path.join(dir, "vite.config.ts"), dir),
+    path.join(dir, "tsconfig.node.json")
+  );
+  // Stories outside every project fall back to the first referenced project
+  assert.equal(
+    findTsConfigForFile(ts, path.join(dir, "stories/Loose.stories.ts"), dir),
+    path.join(dir, "tsconfig.app.json")
+  );
+});
+
+test("finds no tsconfig in projects without one", (t) => {
+  const dir = createFiles(t, { "Button.stories.ts": "export {};\n" });
+
+  assert.equal(
+    findTsConfigForFile(ts, path.join(dir, "Button.stories.ts"), dir),
+    null
+  );
+});
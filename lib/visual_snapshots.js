@@ -0,0 +1,213 @@
+/**
+ * Visual snapshots
+ *
+ * Compares a screenshot of each rendered story with a baseline image kept in
+ * the repository, next to the story file:
+ *
+ *   Button.stories.tsx
+ *   __image_snapshots__/
+ *     test-button--primary.png                  baseline
+ *     __diff_output__/test-button--primary-diff.png
+ *                                               written when it differs
+ *
+ * A pixel differs when its YIQ colour distance (as in pixelmatch) is above
+ * COLOR_TOLERANCE, which absorbs anti-aliasing noise. A story fails when the
+ * share of differing pixels is above the threshold (0 by default: any visible
+ * change fails). Missing baselines are recorded rather than compared.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { decodePng, encodePng } = require("./png");
+
+const SNAPSHOT_DIR = "__image_snapshots__";
+
+const DIFF_DIR = "__diff_output__";
+
+const DEFAULT_THRESHOLD = 0;
+
+const COLOR_TOLERANCE = 0.1;
+
+// Largest possible YIQ distance between two colours
+const MAX_YIQ_DELTA = 35215;
+
+/**
+ * Baseline and diff image paths of a story
+ */
+function getSnapshotPaths(storyFilePath, storyId) {
+  const dir = path.join(path.dirname(storyFilePath), SNAPSHOT_DIR);
+  const name = storyId.replace(/[^\w-]/g, "-");
+  return {
+    baseline: path.join(dir, `${name}.png`),
+    diff: path.join(dir, DIFF_DIR, `${name}-diff.png`),
+  };
+}
+
+/**
+ * Colour of a pixel blended onto white, in YIQ
+ */
+function toYiq(data, offset) {
+  const alpha = data[offset + 3] / 255;
+  const [r, g, b] = [0, 1, 2].map(
+    (channel) => 255 + (data[offset + channel] - 255) * alpha
+  );
+  return [
+    r * 0.29889531 + g * 0.58662247 + b * 0.11448223,
+    r * 0.59597799 - g * 0.2741761 - b * 0.32180189,
+    r * 0.21147017 - g * 0.52261711 + b * 0.31114694,
+  ];
+}
+
+/**
+ * Compare two RGBA images pixel by pixel. Images of different sizes are
+ * compared on the larger canvas, where pixels only one of them covers differ.
+ *
+ * @param {{width: number, height: number, data: Buffer}} expected
+ * @param {{width: number, height: number, data: Buffer}} actual
+ * @returns {{diffPixels: number, diffRatio: number, diff: object}} `diff`
+ *   shows the expected image faded, with differing pixels in red
+ */
+function compareImages(expected, actual) {
+  const width = Math.max(expected.width, actual.width);
+  const height = Math.max(expected.height, actual.height);
+  const diff = { width, height, data: Buffer.alloc(width * height * 4) };
+  const maxDelta = MAX_YIQ_DELTA * COLOR_TOLERANCE * COLOR_TOLERANCE;
+  let diffPixels = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      const inExpected = x < expected.width && y < expected.height;
+      const inActual = x < actual.width && y < actual.height;
+      let differs = inExpected !== inActual;
+      let grey = 255;
+
+      if (inExpected && inActual) {
+        const [y1, i1, q1] = toYiq(expected.data, (y * expected.width + x) * 4);
+        const [y2, i2, q2] = toYiq(actual.data, (y * actual.width + x) * 4);
+        const delta =
+          0.5053 * (y1 - y2) ** 2 +
+          0.299 * (i1 - i2) ** 2 +
+          0.1957 * (q1 - q2) ** 2;
+        differs = delta > maxDelta;
+        grey = 255 - (255 - y1) * 0.1;
+      }
+
+      if (differs) {
+        diffPixels++;
+        diff.data.set([255, 0, 0, 255], out);
+      } else {
+        diff.data.set([grey, grey, grey, 255], out);
+      }
+    }
+  }
+
+  return {
+    diffPixels,
+    diffRatio: width * height > 0 ? diffPixels / (width * height) : 0,
+    diff,
+  };
+}
+
+/**
+ * Compare a story's screenshot with its baseline, recording the baseline
+ * when it is missing or `update` is set and writing a diff image when the
+ * story fails
+ *
+ * @param {string} storyFilePath
+ * @param {{id: string, name: string, line?: number}} story
+ * @param {Buffer} screenshot - PNG
+ * @param {object} [options]
+ * @param {number} [options.threshold] - Share of pixels allowed to differ
+ * @param {boolean} [options.update] - Replace the baseline
+ * @returns {object} Snapshot result with a PASS, FAIL, NEW or UPDATED status
+ */
+function compareSnapshot(storyFilePath, story, screenshot, options = {}) {
+  const threshold =
+    options.threshold === undefined ? DEFAULT_THRESHOLD : options.threshold;
+  const paths = getSnapshotPaths(storyFilePath, story.id);
+  const result = {
+    id: story.id,
+    name: story.name,
+    line: story.line || null,
+    baseline: paths.baseline,
+    diff: null,
+    diffPixels: null,
+    diffRatio: null,
+  };
+
+  const exists = fs.existsSync(paths.baseline);
+  fs.rmSync(paths.diff, { force: true });
+  if (!exists || options.update) {
+    fs.mkdirSync(path.dirname(paths.baseline), { recursive: true });
+    fs.writeFileSync(paths.baseline, screenshot);
+    return { ...result, status: exists ? "UPDATED" : "NEW" };
+  }
+
+  const { diffPixels, diffRatio, diff } = compareImages(
+    decodePng(fs.readFileSync(paths.baseline)),
+    decodePng(screenshot)
+  );
+  const status = diffPixels > 0 && diffRatio > threshold ? "FAIL" : "PASS";
+  if (status === "FAIL") {
+    fs.mkdirSync(path.dirname(paths.diff), { recursive: true });
+    fs.writeFileSync(paths.diff, encodePng(diff));
+  }
+  return {
+    ...result,
+    status,
+    diff: status === "FAIL" ? paths.diff : null,
+    diffPixels,
+    diffRatio: Math.round(diffRatio * 10000) / 10000,
+  };
+}
+
+/**
+ * Build the visual check from the snapshot results of a file's stories
+ *
+ * @param {object[]} snapshots - compareSnapshot results, or `{id, name,
+ *   status: "SKIP", error}` for stories that could not be captured
+ * @param {number} [threshold]
+ */
+function summarizeVisual(snapshots, threshold = DEFAULT_THRESHOLD) {
+  const count = (status) =>
+    snapshots.filter((snapshot) => snapshot.status === status).length;
+  const issues = snapshots
+    .filter((snapshot) => snapshot.status === "FAIL")
+    .map((snapshot) => ({
+      level: "fail",
+      message: `Story "${snapshot.name}" differs from its baseline in ${
+        snapshot.diffPixels
+      } pixel(s) (${(snapshot.diffRatio * 100).toFixed(2)}%); see ${
+        snapshot.diff
+      }`,
+      line: snapshot.line,
+    }));
+
+  let status = "SKIP";
+  let error = null;
+  if (issues.length > 0) {
+    status = "FAIL";
+    error = issues.map((issue) => issue.message).join("\n");
+  } else if (count("PASS") > 0) {
+    status = "PASS";
+  } else if (count("UPDATED") > 0) {
+    error = `Updated ${count("UPDATED")} baseline(s)`;
+  } else if (count("NEW") > 0) {
+    error = `Recorded ${count(
+      "NEW"
+    )} new baseline(s); later runs compare against them`;
+  } else {
+    error = "No stories were captured";
+  }
+
+  return { status, error, threshold, snapshots, issues };
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  compareImages,
+  compareSnapshot,
+  getSnapshotPaths,
+  summarizeVisual,
+};
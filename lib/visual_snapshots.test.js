@@ -0,0 +1,149 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { decodePng, encodePng } = require("./png");
+const {
+  compareImages,
+  compareSnapshot,
+  getSnapshotPaths,
+  summarizeVisual,
+} = require("./visual_snapshots");
+const { createFiles } = require("./test_helpers");
+
+/**
+ * A solid RGBA image, with some pixels in another colour
+ */
+function createImage(width, height, color, changed = {}) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    data.set(changed[i] || color, i * 4);
+  }
+  return { width, height, data };
+}
+
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+/**
+ * Create a throwaway directory holding a story file
+ */
+function createStoryFile(t) {
+  return path.join(
+    createFiles(t, { "Button.stories.tsx": "" }),
+    "Button.stories.tsx"
+  );
+}
+
+test("counts the pixels that differ beyond the colour tolerance", () => {
+  const expected = createImage(4, 2, WHITE);
+
+  assert.equal(
+    compareImages(expected, createImage(4, 2, [250, 250, 250, 255])).diffPixels,
+    0
+  );
+  const { diffPixels, diffRatio, diff } = compareImages(
+    expected,
+    createImage(4, 2, WHITE, { 1: BLACK, 6: BLACK })
+  );
+  assert.equal(diffPixels, 2);
+  assert.equal(diffRatio, 0.25);
+  assert.deepEqual([...diff.data.subarray(4, 8)], [255, 0, 0, 255]);
+});
+
+test("counts pixels outside the smaller image as different", () => {
+  const { diffPixels, diff } = compareImages(
+    createImage(2, 2, WHITE),
+    createImage(3, 2, WHITE)
+  );
+
+  assert.equal(diffPixels, 2);
+  assert.equal(diff.width, 3);
+});
+
+test("records missing baselines and compares later screenshots", (t) => {
+  const storyFile = createStoryFile(t);
+  const story = { id: "test-button--primary", name: "Primary", line: 12 };
+  const paths = getSnapshotPaths(storyFile, story.id);
+
+  const recorded = compareSnapshot(
+    storyFile,
+    story,
+    encodePng(createImage(4, 4, WHITE))
+  );
+  assert.equal(recorded.status, "NEW");
+  assert.ok(fs.existsSync(paths.baseline));
+  assert.equal(
+    paths.baseline,
+    path.join(
+      path.dirname(storyFile),
+      "__image_snapshots__",
+      "test-button--primary.png"
+    )
+  );
+
+  const same = compareSnapshot(
+    storyFile,
+    story,
+    encodePng(createImage(4, 4, WHITE))
+  );
+  assert.equal(same.status, "PASS");
+  assert.equal(same.diffPixels, 0);
+
+  const changed = encodePng(createImage(4, 4, WHITE, { 0: BLACK }));
+  const failed = compareSnapshot(storyFile, story, changed);
+  assert.equal(failed.status, "FAIL");
+  assert.equal(failed.diffRatio, 0.0625);
+  assert.equal(failed.diff, paths.diff);
+  assert.equal(decodePng(fs.readFileSync(paths.diff)).width, 4);
+
+  assert.equal(
+    compareSnapshot(storyFile, story, changed, { threshold: 0.1 }).status,
+    "PASS"
+  );
+  assert.ok(!fs.existsSync(paths.diff));
+
+  assert.equal(
+    compareSnapshot(storyFile, story, changed, { update: true }).status,
+    "UPDATED"
+  );
+  assert.ok(fs.readFileSync(paths.baseline).equals(changed));
+});
+
+test("summarizes the snapshots of a story file", () => {
+  const failed = {
+    id: "a",
+    name: "Primary",
+    line: 12,
+    status: "FAIL",
+    diffPixels: 40,
+    diffRatio: 0.0123,
+    diff: "__image_snapshots__/__diff_output__/a-diff.png",
+  };
+  const check = summarizeVisual([failed, { id: "b", status: "PASS" }], 0.01);
+
+  assert.equal(check.status, "FAIL");
+  assert.equal(check.threshold, 0.01);
+  assert.deepEqual(check.issues, [
+    {
+      level: "fail",
+      message:
+        'Story "Primary" differs from its baseline in 40 pixel(s) (1.23%); see __image_snapshots__/__diff_output__/a-diff.png',
+      line: 12,
+    },
+  ]);
+  assert.equal(summarizeVisual([{ id: "b", status: "PASS" }]).status, "PASS");
+  assert.deepEqual(summarizeVisual([{ id: "c", status: "NEW" }]), {
+    status: "SKIP",
+    error: "Recorded 1 new baseline(s); later runs compare against them",
+    threshold: 0,
+    snapshots: [{ id: "c", status: "NEW" }],
+    issues: [],
+  });
+  assert.equal(
+    summarizeVisual([
+      { id: "d", status: "SKIP", error: "Story did not render" },
+    ]).error,
+    "No stories were captured"
+  );
+});
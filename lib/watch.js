@@ -0,0 +1,152 @@
+/**
+ * Watch mode helpers
+ *
+ * Watches story files (and optionally the local modules they import) for
+ * changes, finds those imports, and compares check statuses between two
+ * validation runs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const RESOLVE_EXTENSIONS = [".tsx", ".ts", ".jsx", ".js", ".mjs", ".cjs"];
+
+/**
+ * Resolve a relative import specifier to a file on disk
+ */
+function resolveLocalImport(specifier, fromFile) {
+  const base = path.resolve(path.dirname(fromFile), specifier);
+  const candidates = [
+    base,
+    ...RESOLVE_EXTENSIONS.map((extension) => `${base}${extension}`),
+    ...RESOLVE_EXTENSIONS.map((extension) =>
+      path.join(base, `index${extension}`)
+    ),
+  ];
+  return (
+    candidates.find(
+      (candidate) => fs.existsSync(candidate) && fs.statSync(candidate).isFile()
+    ) || null
+  );
+}
+
+/**
+ * Find the project files a story imports through relative paths
+ *
+ * @param {string} source - Story file contents
+ * @param {string} storyFilePath - Path of the story file
+ * @param {object} ts - The TypeScript compiler API
+ * @returns {string[]} Absolute paths of the imported files
+ */
+function findLocalImports(source, storyFilePath, ts) {
+  const { importedFiles } = ts.preProcessFile(source, true, true);
+  const files = importedFiles
+    .map((importedFile) => importedFile.fileName)
+    .filter((specifier) => /^\.\.?(\/|$)/.test(specifier))
+    .map((specifier) => resolveLocalImport(specifier, storyFilePath))
+    .filter(Boolean);
+  return [...new Set(files)];
+}
+
+/**
+ * List the checks whose status changed between two runs
+ *
+ * @returns {Array<{check: string, from: string|null, to: string|null}>}
+ */
+function diffCheckStatuses(previousChecks = {}, currentChecks = {}) {
+  const names = [
+    ...new Set([...Object.keys(previousChecks), ...Object.keys(currentChecks)]),
+  ];
+  return names
+    .map((check) => ({
+      check,
+      from: previousChecks[check] ? previousChecks[check].status : null,
+      to: currentChecks[check] ? currentChecks[check].status : null,
+    }))
+    .filter((change) => change.from !== change.to);
+}
+
+/**
+ * Calls back with the changed file after files are saved
+ *
+ * Watches the directories containing the files rather than the files
+ * themselves, so that editors which save by replacing the file keep being
+ * noticed. Bursts of events for the same file are debounced.
+ */
+class FileWatcher {
+  /**
+   * @param {(filePath: string) => void} onChange
+   * @param {number} [debounceMs]
+   */
+  constructor(onChange, debounceMs = 200) {
+    this.onChange = onChange;
+    this.debounceMs = debounceMs;
+    this.files = new Set();
+    this.watchers = new Map();
+    this.timers = new Map();
+  }
+
+  /**
+   * Replace the set of watched files
+   */
+  setFiles(filePaths) {
+    this.files = new Set(filePaths.map((filePath) => path.resolve(filePath)));
+    const directories = new Set(
+      [...this.files].map((filePath) => path.dirname(filePath))
+    );
+
+    for (const [directory, watcher] of this.watchers) {
+      if (!directories.has(directory)) {
+        watcher.close();
+        this.watchers.delete(directory);
+      }
+    }
+    for (const directory of directories) {
+      if (!this.watchers.has(directory)) {
+        this.watchers.set(
+          directory,
+          fs.watch(directory, (eventType, fileName) => {
+            if (fileName) {
+              this.handleEvent(path.join(directory, fileName.toString()));
+            }
+          })
+        );
+      }
+    }
+  }
+
+  /**
+   * Debounce the events of a watched file
+   */
+  handleEvent(filePath) {
+    if (!this.files.has(filePath)) {
+      return;
+    }
+    clearTimeout(this.timers.get(filePath));
+    this.timers.set(
+      filePath,
+      setTimeout(() => {
+        this.timers.delete(filePath);
+        if (fs.existsSync(filePath)) {
+          this.onChange(filePath);
+        }
+      }, this.debounceMs)
+    );
+  }
+
+  /**
+   * Stop watching
+   */
+  close() {
+    this.watchers.forEach((watcher) => watcher.close());
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.watchers.clear();
+    this.timers.clear();
+  }
+}
+
+module.exports = {
+  FileWatcher,
+  diffCheckStatuses,
+  findLocalImports,
+};
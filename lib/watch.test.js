@@ -0,0 +1,257 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const ts = require("typescript");
+const { FileWatcher, diffCheckStatuses, findLocalImports } = require("./watch");
+const { WatchValidator } = require("../validate_story");
+const { createFiles } = require("./test_helpers");
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test("finds the local modules a story imports", (t) => {
+  const dir = createFiles(t, {
+    "Button.tsx": "export const Button = () => null;",
+    "utils/index.ts": "export const noop = () => {};",
+    "styles.css": "",
+    "Button.stories.tsx": [
+      'import type { Meta } from "@storybook/react-vite";',
+      'import { Button } from "./Button";',
+      'import { noop } from "./utils";',
+      'import "./styles.css";',
+      'import { Missing } from "./Missing";',
+      "",
+    ].join("\n"),
+  });
+  const storyFile = path.join(dir, "Button.stories.tsx");
+
+  assert.deepEqual(
+    findLocalImports(fs.readFileSync(storyFile, "utf8"), storyFile, ts),
+    [
+      path.join(dir, "Button.tsx"),
+      path.join(dir, "utils/index.ts"),
+      path.join(dir, "styles.css"),
+    ]
+  );
+});
+
+test("lists the checks whose status changed", () => {
+  assert.deepEqual(
+    diffCheckStatuses(
+      {
+        linting: { status: "PASS" },
+        typeScript: { status: "FAIL" },
+        renderTest: { status: "PASS" },
+      },
+      {
+        linting: { status: "PASS" },
+        typeScript: { status: "PASS" },
+        renderTest: { status: "FAIL" },
+        accessibility: { status: "WARNING" },
+      }
+    ),
+    [
+      { check: "typeScript", from: "FAIL", to: "PASS" },
+      { check: "renderTest", from: "PASS", to: "FAIL" },
+      { check: "accessibility", from: null, to: "WARNING" },
+    ]
+  );
+  assert.deepEqual(diffCheckStatuses({}, {}), []);
+});
+
+test("reports saves of watched files once per burst", async (t) => {
+  const dir = createFiles(t, { "a.stories.ts": "", "b.ts": "" });
+  const changes = [];
+  const watcher = new FileWatcher((filePath) => changes.push(filePath), 50);
+  t.after(() => watcher.close());
+  watcher.setFiles([path.join(dir, "a.stories.ts")]);
+
+  fs.writeFileSync(path.join(dir, "a.stories.ts"), "export {};");
+  fs.appendFileSync(path.join(dir, "a.stories.ts"), "\n");
+  fs.writeFileSync(path.join(dir, "b.ts"), "export {};");
+  await new Promise((resolve) => setTimeout(resolve, 300));
+
+  assert.deepEqual(changes, [path.join(dir, "a.stories.ts")]);
+});
+
+/**
+ * A stand-in for a story's StoryValidator: each run takes the next check
+ * statuses from `runs` and can be held open to simulate a slow validation
+ */
+function createStubValidator(storyFilePath, runs, log) {
+  const validator = {
+    storyFilePath,
+    results: { storyFile: storyFilePath, checks: {} },
+    hold: null,
+    async validate(silent, checks) {
+      log.push({ storyFile: path.basename(storyFilePath), checks });
+      log.active = (log.active || 0) + 1;
+      log.maxActive = Math.max(log.maxActive || 0, log.active);
+      if (validator.hold) {
+        await validator.hold;
+      }
+      await wait(1);
+      log.active--;
+      const statuses = runs[Math.min(log.length - 1, runs.length - 1)];
+      validator.results = {
+        storyFile: storyFilePath,
+        checks: Object.fromEntries(
+          Object.entries(statuses).map(([check, status]) => [
+            check,
+            {
+              status,
+              error: status === "FAIL" ? `${check} failed\nat x` : null,
+            },
+          ])
+        ),
+        summary: { score: 100, overallStatus: "PASS" },
+      };
+      return validator.results;
+    },
+  };
+  return validator;
+}
+
+/**
+ * A WatchValidator whose story files are checked by stub validators
+ */
+function createWatchValidator(t, storyFiles, runs = [{ linting: "PASS" }]) {
+  const log = [];
+  const output = [];
+  const watcher = new WatchValidator(storyFiles);
+  watcher.getValidator = (storyFilePath) => {
+    const key = path.resolve(storyFilePath);
+    if (!watcher.validators.has(key)) {
+      watcher.validators.set(
+        key,
+        createStubValidator(storyFilePath, runs, log)
+      );
+    }
+    return watcher.validators.get(key);
+  };
+  storyFiles.forEach((storyFile) => watcher.getValidator(storyFile));
+  t.mock.method(console, "log", (line) => output.push(line));
+  t.after(() => watcher.cleanup(true));
+  return { watcher, log, output };
+}
+
+test("re-validates a story once after a burst of saves", async (t) => {
+  const dir = createFiles(t, { "a.stories.ts": "", "b.stories.ts": "" });
+  const [a, b] = ["a.stories.ts", "b.stories.ts"].map((name) =>
+    path.join(dir, name)
+  );
+  const { watcher, log } = createWatchValidator(t, [a, b]);
+
+  const watching = watcher.watch();
+  while (!watcher.fileWatcher) {
+    await wait(5);
+  }
+  assert.deepEqual(
+    log.map((run) => run.storyFile),
+    ["a.stories.ts", "b.stories.ts"]
+  );
+
+  // Synthetic events for a burst of saves, and one for an unwatched file
+  watcher.fileWatcher.handleEvent(a);
+  watcher.fileWatcher.handleEvent(a);
+  watcher.fileWatcher.handleEvent(path.join(dir, "c.ts"));
+  await wait(50);
+  assert.equal(log.length, 2);
+  watcher.fileWatcher.handleEvent(a);
+  await wait(300);
+  await watcher.flush();
+
+  assert.deepEqual(log.slice(2), [{ storyFile: "a.stories.ts", checks: null }]);
+
+  await watcher.cleanup(true);
+  await watching;
+});
+
+test("queues changes saved while a validation runs", async (t) => {
+  const dir = "/project/src";
+  const [a, b] = [
+    path.join(dir, "a.stories.ts"),
+    path.join(dir, "b.stories.ts"),
+  ];
+  const imported = path.join(dir, "Button.tsx");
+  const { watcher, log } = createWatchValidator(t, [a, b]);
+  watcher.dependents.set(imported, new Set([a, b]));
+
+  let release;
+  watcher.validators.get(a).hold = new Promise(
+    (resolve) => (release = resolve)
+  );
+  watcher.handleChange(a);
+  await wait(5);
+
+  // Saved while a is being validated: a again, b through an import, then b
+  // itself
+  watcher.handleChange(a);
+  watcher.handleChange(imported);
+  watcher.handleChange(imported);
+  assert.equal(watcher.pending.size, 2);
+  release();
+  await watcher.flush();
+
+  assert.equal(log.maxActive, 1);
+  assert.deepEqual(
+    log.map((run) => [run.storyFile, run.checks]),
+    [
+      ["a.stories.ts", null],
+      ["a.stories.ts", null],
+      [
+        "b.stories.ts",
+        [
+          "typeScript",
+          "storyQuality",
+          "renderTest",
+          "interactionTest",
+          "accessibility",
+          "visual",
+        ],
+      ],
+    ]
+  );
+
+  // Saving the story itself re-runs all of its checks
+  watcher.queue(b, ["typeScript"]);
+  watcher.handleChange(b);
+  await watcher.flush();
+  assert.deepEqual(log[3], { storyFile: "b.stories.ts", checks: null });
+});
+
+test("prints which checks changed status since the previous run", async (t) => {
+  const a = "/project/src/a.stories.ts";
+  const { watcher, output } = createWatchValidator(
+    t,
+    [a],
+    [
+      { linting: "PASS", renderTest: "FAIL" },
+      { linting: "FAIL", renderTest: "FAIL" },
+      { linting: "FAIL", renderTest: "FAIL" },
+    ]
+  );
+
+  for (let run = 0; run < 3; run++) {
+    watcher.handleChange(a);
+    await watcher.flush();
+  }
+  const runs = output
+    .join("\n")
+    .split(/\n(?=\n⏳)/)
+    .map((run) => run.trim().split("\n").slice(2));
+
+  assert.deepEqual(runs, [
+    ["   ✅ linting  ❌ renderTest", "   renderTest: renderTest failed"],
+    [
+      "   ❌ linting: PASS → FAIL",
+      "   linting: linting failed",
+      "   renderTest: renderTest failed",
+    ],
+    [
+      "   No check changed status",
+      "   linting: linting failed",
+      "   renderTest: renderTest failed",
+    ],
+  ]);
+});
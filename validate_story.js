@@ -4,53 +4,409 @@
  * Storybook Story Validation Script
  *
  * This script validates LLM-generated Storybook stories against multiple quality gates:
- * 1. Syntactic Correctness (ESLint)
- * 2. Type Safety (TypeScript compilation)
- * 3. Render Test (Storybook test-runner)
- * 4. Component Story Format (CSF) compliance
+ * 1. Syntactic Correctness (ESLint diagnostics; warnings only warn)
+ * 2. Type Safety (TypeScript compiler API, story vs dependency diagnostics)
+ * 3. Render Test (Storybook test-runner or the Vitest addon, read from their
+ *    JSON reports, then what each story rendered and logged in a browser)
+ * 4. Component Story Format (CSF) compliance (AST analysis)
+ * 5. Accessibility (axe violations reported by @storybook/addon-a11y)
+ * 6. Story quality (props coverage by args, required props, duplicate stories)
+ * 7. Conventions (title, tags, layout and typing learned from the project's
+ *    other stories or read from a profile file)
+ * 8. Visual snapshots (opt-in: screenshots compared with baseline images kept
+ *    next to the story file)
+ * 9. Play function quality (assertions and interactions counted in each play
+ *    function)
  *
- * Usage: node validate_story.js <story_file_path> [--json]
+ * Usage: node validate_story.js <story_file_path|directory|glob>... [--format <format>]
+ *
+ * Several files, directories and glob patterns may be passed at once. They are
+ * validated one after another against a single shared Storybook server per
+ * project, and an aggregate report with per-file results and totals is emitted.
  *
  * Options:
- *   --json    Output results in JSON format for programmatic use
+ *   --json                  Output results in JSON format for programmatic use
+ *                           (same as --format json)
+ *   --format <format>       Output format: "text" (default), "json",
+ *                           "prompt" for a Markdown repair prompt listing the
+ *                           failing checks with excerpts of the story file,
+ *                           "junit" for JUnit XML (one test case per check)
+ *                           or "sarif" for the ESLint, TypeScript and CSF
+ *                           diagnostics as SARIF 2.1.0
+ *   --output <file>         Write the formatted results to a file instead of
+ *                           stdout, and print the console report as well
+ *   --max-tokens <n>        Token budget of the prompt format (default: 2000)
+ *   --test-backend <name>   Force the render/interaction backend: "vitest"
+ *                           (@storybook/addon-vitest) or "test-runner"
+ *                           (@storybook/test-runner). Defaults to vitest when
+ *                           the addon is installed.
+ *   --a11y-fail <impacts>   Comma-separated axe impacts that fail the
+ *                           accessibility check (default: serious,critical)
+ *   --a11y-warn <impacts>   Comma-separated axe impacts that only warn
+ *                           (default: minor,moderate)
+ *   --port <number>         Preferred port for the Storybook dev server; a
+ *                           free port is picked if it is taken (default: 6006)
+ *   --storybook-timeout <seconds>
+ *                           How long to wait for Storybook to serve index.json
+ *                           and iframe.html (default: 120)
+ *   --url <url>             Test against an already running Storybook instead
+ *                           of starting one (it is left running)
+ *   --static-dir <dir>      Serve a static build (storybook-static) and test
+ *                           against it instead of starting the dev server
+ *   --watch                 Keep running and re-validate story files when
+ *                           they are saved, printing which checks changed
+ *                           status since the previous run
+ *   --watch-imports         With --watch, also re-run the type, render,
+ *                           interaction and accessibility checks when a
+ *                           module a story imports changes
+ *   --config <file>         Config file to use instead of the
+ *                           storybook-validate.config.{js,json} found in the
+ *                           story's project root
+ *   --checks <names>        Only run these comma-separated checks
+ *   --skip-checks <names>   Do not run these comma-separated checks
+ *   --required <names>      Make these checks critical: they fail the story
+ *                           whenever they fail, whatever the score
+ *   --severity <check>=<level>
+ *                           Severity of a check: critical, major or minor
+ *                           (repeatable)
+ *   --weight <check>=<n>    Weight of a check in the score (repeatable)
+ *   --pass-threshold <n>    Minimum score for PASS (default: 80)
+ *   --warning-threshold <n> Minimum score for WARNING (default: 60)
+ *   --update-snapshots      Enable the visual check and replace the baseline
+ *                           images with the current screenshots
+ *   --conventions-profile <file>
+ *                           Compare stories with this conventions profile
+ *                           instead of learning one from the project's stories
+ *   --inspect-renders       Inspect the rendered stories with the Vitest
+ *                           backend too, which starts Storybook for it
+ *
+ * Repair loop:
+ *   node validate_story.js loop <component_file> --generator <generator>
+ *
+ *   Asks a generator for a story of the component, writes it next to the
+ *   component, validates it and feeds the repair prompt back until the story
+ *   passes or the attempts run out. Validation options apply to every attempt.
+ *
+ *   --generator <generator> A shell command that reads the prompt on stdin
+ *                           and prints the story, a CommonJS module (.js,
+ *                           .cjs) exporting generate(prompt, context), or
+ *                           "stub" for an offline placeholder story
+ *   --prompt-template <file>
+ *                           Template of the first prompt, with {{componentName}},
+ *                           {{componentPath}}, {{componentSource}},
+ *                           {{storyPath}} and {{language}} placeholders; repair
+ *                           prompts add {{previousStory}} and {{feedback}}
+ *   --max-attempts <n>      Maximum number of attempts (default: 3)
+ *   --story <file>          Where to write the story (default:
+ *                           <Component>.stories.<ext> next to the component)
+ *   --overwrite             Replace an existing story file
+ *   --accept-warnings       Stop at a WARNING verdict, not only at PASS
+ *   The loop exits with 0 when an attempt was accepted.
+ *
+ * Experiments:
+ *   node validate_story.js experiment <manifest.json>
+ *
+ *   Validates the story files a manifest lists with their component and
+ *   context variant, appends one record per story to a JSONL store and prints
+ *   pass rates per variant and per check. Exits with 0 once the run is stored.
+ *
+ *   --store <file>          JSONL store (default: experiments.jsonl next to
+ *                           the manifest)
+ *   --run-id <id>           Name of the run (default: from the start time)
+ *   --report                Only compare the stored records (of the manifest's
+ *                           experiment, and of --run-id when given)
+ *
+ * Reports:
+ *   node validate_story.js report <results.json>... [--format markdown|html]
+ *                           [--output <file>]
+ *
+ *   Renders the JSON output of validation, loop and experiment runs as a
+ *   Markdown summary (the default, e.g. for PR comments) or a self-contained
+ *   HTML page, with per-check statuses, diagnostics and source excerpts.
+ *
+ * Conventions:
+ *   node validate_story.js conventions <story_file|directory|glob>...
+ *                           [--output <file>]
+ *
+ *   Prints the conventions profile learned from the given stories as JSON, to
+ *   review what the conventions check enforces or to pin it as a profile file.
  *
  * Exit Codes:
- *   0 - All checks passed
- *   1 - Critical failures (overall status: FAIL)
- *   2 - Warnings (overall status: WARNING)
+ *   0 - Passed, possibly with warnings (overall status: PASS or WARNING)
+ *   1 - Failed (overall status: FAIL), or invalid arguments
+ *   2 - Could not be validated (overall status: ERROR or NOT_EVALUATED), or
+ *       the script itself failed
  */
 
-const { execSync, spawn } = require("child_process");
+const EventEmitter = require("events");
 const fs = require("fs");
+const os = require("os");
 const path = require("path");
-const { promisify } = require("util");
-const sleep = promisify(setTimeout);
+const { parseArgs } = require("util");
+const {
+  DEFAULT_A11Y_OPTIONS,
+  parseImpactLevels,
+  summarizeAccessibility,
+} = require("./lib/accessibility");
+const StoryBrowser = require("./lib/story_browser");
+const StaticStorybookServer = require("./lib/static_storybook_server");
+const StorybookServer = require("./lib/storybook_server");
+const { ExternalStorybook } = StorybookServer;
+const {
+  analyzeCSF,
+  describeCSFIssues,
+  isCompliantCSFVersion,
+} = require("./lib/csf_analyzer");
+const {
+  CHECK_NAMES,
+  buildConfigOverrides,
+  getEnabledChecks,
+  loadConfig,
+} = require("./lib/config");
+const { formatJUnit, formatSarif } = require("./lib/ci_formats");
+const { applyRenderInspection } = require("./lib/render_inspection");
+const { compareSnapshot, summarizeVisual } = require("./lib/visual_snapshots");
+const { summarizePlayQuality } = require("./lib/play_quality");
+const {
+  compareConventions,
+  MIN_REFERENCE_STORIES,
+  deriveConventionsProfile,
+  extractConventions,
+  loadConventionsProfile,
+  readStoryConventions,
+} = require("./lib/conventions");
+const { formatDiagnostic } = require("./lib/diagnostics");
+const {
+  parseESLintReport,
+  summarizeESLintReport,
+} = require("./lib/eslint_report");
+const {
+  DEFAULT_PROMPT_TEMPLATE,
+  buildPrompt,
+  createGenerator,
+  extractStorySource,
+  getComponentName,
+} = require("./lib/generators");
+const {
+  ExperimentStore,
+  compareVariants,
+  createRecord,
+  formatComparison,
+  loadManifest,
+} = require("./lib/experiments");
+const loadTypeScript = require("./lib/load_typescript");
+const { runCommand } = require("./lib/run_command");
+const {
+  DEFAULT_MAX_TOKENS,
+  formatRepairPrompt,
+} = require("./lib/repair_prompt");
+const {
+  formatHtmlReport,
+  formatMarkdownReport,
+  loadResultFiles,
+} = require("./lib/report");
+const {
+  getExitCode,
+  summarizeChecks,
+  summarizeFiles,
+} = require("./lib/scoring");
+const {
+  collectTypeScriptDiagnostics,
+  createStoryProgram,
+  findTsConfigForFile,
+  summarizeTypeScriptDiagnostics,
+} = require("./lib/typescript_check");
+const { createStoryResult, stripAnsi } = require("./lib/story_results");
+const { expandStoryPaths } = require("./lib/story_files");
+const {
+  getTestBackend,
+  hasDependency,
+  hasTestRunner,
+  hasVitestAddon,
+} = require("./lib/test_backend");
+const {
+  buildTestResults,
+  describeMissingReport,
+  findRunnerError,
+  parseTestReport,
+} = require("./lib/test_report");
+const {
+  getComponentProps,
+  summarizeStoryQuality,
+} = require("./lib/story_quality");
+const {
+  FileWatcher,
+  diffCheckStatuses,
+  findLocalImports,
+} = require("./lib/watch");
+
+/**
+ * Find the project root of a story file by looking for package.json
+ */
+function findProjectRoot(storyFilePath) {
+  let currentDir = path.dirname(storyFilePath);
+  while (currentDir !== path.dirname(currentDir)) {
+    if (fs.existsSync(path.join(currentDir, "package.json"))) {
+      return currentDir;
+    }
+    currentDir = path.dirname(currentDir);
+  }
+  throw new Error("Could not find project root with package.json");
+}
+
+const OUTPUT_FORMATS = ["text", "json", "prompt", "junit", "sarif"];
+
+const REPORT_FORMATS = ["markdown", "html"];
+
+/**
+ * Print formatted results, or write them to `outputPath` when given
+ */
+function writeOutput(content, outputPath) {
+  if (!outputPath) {
+    console.log(content);
+    return;
+  }
+  fs.mkdirSync(path.dirname(path.resolve(outputPath)), { recursive: true });
+  fs.writeFileSync(
+    outputPath,
+    content.endsWith("\n") ? content : `${content}\n`
+  );
+}
+
+/**
+ * Icon shown next to a check status
+ */
+function getStatusIcon(status) {
+  return status === "PASS"
+    ? "✅"
+    : status === "FAIL"
+    ? "❌"
+    : status === "SKIP"
+    ? "⏭️"
+    : status === "ERROR"
+    ? "💥"
+    : status === "TIMEOUT"
+    ? "⏱️"
+    : "⚠️";
+}
+
+/**
+ * Score and overall status of a summary, for one-line reports
+ */
+function formatVerdict(summary) {
+  if (!summary) {
+    return "ERROR";
+  }
+  return summary.score === null
+    ? summary.overallStatus
+    : `${summary.score}% (${summary.overallStatus})`;
+}
+
+/**
+ * Where the repair loop writes the story of a component
+ */
+function getDefaultStoryPath(componentFilePath) {
+  const extension = path.extname(componentFilePath);
+  const baseName = path.basename(componentFilePath, extension);
+  return path.join(
+    path.dirname(componentFilePath),
+    `${
+      baseName === "index" ? getComponentName(componentFilePath) : baseName
+    }.stories${extension}`
+  );
+}
+
+/**
+ * Create the Storybook the render and interaction tests run against: an
+ * already running one (`storybookUrl`), a served static build (`staticDir`)
+ * or the project's own dev server
+ */
+function createStorybookServer(projectRoot, options) {
+  if (options.storybookUrl) {
+    return new ExternalStorybook(options.storybookUrl);
+  }
+  if (options.staticDir) {
+    return new StaticStorybookServer(options.staticDir, { port: options.port });
+  }
+  return new StorybookServer(projectRoot, {
+    port: options.port,
+    timeoutMs: options.storybookTimeoutMs,
+  });
+}
 
-class StoryValidator {
-  constructor(storyFilePath) {
+/**
+ * Validates one story file. Emits `checkStarted` ({ storyFile, check }) and
+ * `checkFinished` ({ storyFile, check, result }) as checks progress.
+ */
+class StoryValidator extends EventEmitter {
+  /**
+   * @param {string} storyFilePath
+   * @param {object} [options]
+   * @param {string[]} [options.checks] - Only run these checks (default: the
+   *   checks the config enables)
+   * @param {string} [options.configFile] - Config file to use instead of the
+   *   storybook-validate.config.{js,json} in the project root
+   * @param {object} [options.config] - Config overrides applied on top of the
+   *   config file (same shape as the file)
+   * @param {StorybookServer} [options.storybookServer] - Shared Storybook
+   *   server; when given, the validator starts it on demand but leaves
+   *   stopping it to the owner
+   * @param {Map} [options.conventionsCache] - Conventions of the project's
+   *   stories, shared between validators so each file is read once
+   * @param {boolean} [options.updateSnapshots] - Replace the visual check's
+   *   baseline images instead of comparing with them
+   * @param {"vitest"|"test-runner"} [options.testBackend] - Force the
+   *   render/interaction test backend instead of detecting it
+   * @param {{failImpacts?: string[], warnImpacts?: string[]}} [options.a11y] -
+   *   Axe violation impacts that fail or only warn the accessibility check
+   * @param {number} [options.port] - Preferred Storybook port
+   * @param {number} [options.storybookTimeoutMs] - How long to wait for
+   *   Storybook to start
+   * @param {string} [options.storybookUrl] - Test against this running
+   *   Storybook instead of starting one
+   * @param {string} [options.staticDir] - Test against this static Storybook
+   *   build instead of starting the dev server
+   * @param {number} [options.timeoutMs] - Timeout for each tool a check runs
+   *   (ESLint, the test-runner or Vitest)
+   * @param {AbortSignal} [options.signal] - Cancels the validation and stops
+   *   the processes it started
+   */
+  constructor(storyFilePath, options = {}) {
+    super();
     this.storyFilePath = storyFilePath;
+    this.options = options;
+    this.signal = options.signal || null;
     this.projectRoot = this.findProjectRoot();
+    this.config = loadConfig(this.projectRoot, {
+      configFile: options.configFile,
+      overrides: options.config,
+    });
     this.results = {
       storyFile: storyFilePath,
       timestamp: new Date().toISOString(),
       checks: {},
     };
-    this.storybookProcess = null;
-    this.storybookPort = 6006;
+    this.storybook =
+      options.storybookServer ||
+      createStorybookServer(this.projectRoot, options);
+    this.ownsStorybook = !options.storybookServer;
+    this.csfAnalysis = null;
+    this.typeScript = null;
+    this.a11yOptions = { ...DEFAULT_A11Y_OPTIONS, ...options.a11y };
+    this.a11yReports = new Map();
+    this.screenshots = new Map();
+    this.renderInspections = new Map();
+    this.browserReportsCollected = false;
+    this.captureScreenshots = false;
+    this.inspectRenders = false;
+    this.conventionsCache = options.conventionsCache || new Map();
   }
 
   /**
    * Find the project root by looking for package.json
    */
   findProjectRoot() {
-    let currentDir = path.dirname(this.storyFilePath);
-    while (currentDir !== path.dirname(currentDir)) {
-      if (fs.existsSync(path.join(currentDir, "package.json"))) {
-        return currentDir;
-      }
-      currentDir = path.dirname(currentDir);
-    }
-    throw new Error("Could not find project root with package.json");
+    return findProjectRoot(this.storyFilePath);
   }
 
   /**
@@ -94,130 +450,56 @@ class StoryValidator {
    * Check if test-runner is available
    */
   hasTestRunner() {
-    try {
-      const packageJson = JSON.parse(
-        fs.readFileSync(path.join(this.projectRoot, "package.json"), "utf8")
-      );
-      return (
-        packageJson.devDependencies &&
-        (packageJson.devDependencies["@storybook/test-runner"] ||
-          packageJson.devDependencies["@storybook/testing-library"])
-      );
-    } catch (error) {
-      return false;
-    }
+    return hasTestRunner(this.projectRoot);
   }
 
   /**
-   * Start Storybook in the background
+   * Check if the Vitest addon is installed and set up
    */
-  async startStorybook(silent = false) {
-    if (this.storybookProcess) {
-      return; // Already running
-    }
-
-    try {
-      if (!silent) {
-        console.log("🚀 Starting Storybook for test-runner...");
-      }
-
-      // Start Storybook in the background
-      this.storybookProcess = spawn("npm", ["run", "storybook"], {
-        cwd: this.projectRoot,
-        stdio: "pipe",
-        detached: true,
-      });
-
-      // Wait for Storybook to be ready
-      let attempts = 0;
-      const maxAttempts = 30; // 30 seconds timeout
-
-      while (attempts < maxAttempts) {
-        try {
-          // Check if port is in use (cross-platform)
-          if (!this.isPortAvailable(this.storybookPort)) {
-            if (!silent) {
-              console.log("✅ Storybook is ready");
-            }
-            break;
-          }
-        } catch (error) {
-          // Port check failed, continue waiting
-        }
-
-        await sleep(1000); // Wait 1 second
-        attempts++;
-
-        if (!silent && attempts % 5 === 0) {
-          console.log(`⏳ Waiting for Storybook... (${attempts}s)`);
-        }
-      }
-
-      if (attempts >= maxAttempts) {
-        throw new Error("Storybook failed to start within 30 seconds");
-      }
-    } catch (error) {
-      if (!silent) {
-        console.error("❌ Failed to start Storybook:", error.message);
-      }
-      throw error;
-    }
+  hasVitestAddon() {
+    return hasVitestAddon(this.projectRoot);
   }
 
   /**
-   * Stop Storybook process
+   * Check if the accessibility addon is available
    */
-  async stopStorybook(silent = false) {
-    if (!this.storybookProcess) {
-      return;
-    }
+  hasA11yAddon() {
+    return hasDependency(this.projectRoot, "@storybook/addon-a11y");
+  }
 
-    try {
-      if (!silent) {
-        console.log("🛑 Stopping Storybook...");
-      }
+  /**
+   * Pick the render/interaction test backend (see lib/test_backend.js)
+   */
+  getTestBackend() {
+    return getTestBackend(this.projectRoot, this.options);
+  }
 
-      // Kill the Storybook process and all its children
-      if (this.storybookProcess.pid) {
-        try {
-          execSync(`pkill -P ${this.storybookProcess.pid}`);
-          execSync(`kill ${this.storybookProcess.pid}`);
-        } catch (error) {
-          // Process might already be dead
-        }
-      }
+  /**
+   * Run one of the tools a check depends on in the project root, honouring
+   * the `timeoutMs` option and the abort signal
+   */
+  runCommand(command, defaultTimeoutMs) {
+    return runCommand(command, {
+      cwd: this.projectRoot,
+      timeout: this.options.timeoutMs || defaultTimeoutMs,
+      signal: this.signal,
+    });
+  }
 
-      this.storybookProcess = null;
-      if (!silent) {
-        console.log("✅ Storybook stopped");
-      }
-    } catch (error) {
-      if (!silent) {
-        console.error(
-          "⚠️  Warning: Failed to stop Storybook cleanly:",
-          error.message
-        );
-      }
+  /**
+   * Stop the current check when the validation was aborted
+   */
+  throwIfAborted() {
+    if (this.signal && this.signal.aborted) {
+      throw this.signal.reason;
     }
   }
 
   /**
-   * Check if port is available (cross-platform)
+   * Status of a check whose tool did not finish
    */
-  isPortAvailable(port) {
-    try {
-      if (process.platform === "win32") {
-        // Windows
-        execSync(`netstat -an | findstr :${port}`, { stdio: "pipe" });
-        return false; // If command succeeds, port is in use
-      } else {
-        // Unix-like systems
-        execSync(`lsof -i :${port}`, { stdio: "pipe" });
-        return false; // If command succeeds, port is in use
-      }
-    } catch (error) {
-      return true; // Port is available
-    }
+  getFailureStatus(error) {
+    return error && error.timedOut ? "TIMEOUT" : "ERROR";
   }
 
   /**
@@ -232,25 +514,36 @@ class StoryValidator {
       return;
     }
 
+    // Get relative path from project root
+    const relativePath = path.relative(this.projectRoot, this.storyFilePath);
+    let stdout;
+    let lintLog = "";
+    let lintError = null;
     try {
-      // Get relative path from project root
-      const relativePath = path.relative(this.projectRoot, this.storyFilePath);
-      const result = execSync(`npx eslint "${relativePath}"`, {
-        cwd: this.projectRoot,
-        encoding: "utf8",
-        stdio: "pipe",
-      });
-
-      this.results.checks.linting = {
-        status: "PASS",
-        error: null,
-      };
+      ({ stdout } = await this.runCommand(
+        `npx eslint --format json "${relativePath}"`,
+        60000
+      ));
     } catch (error) {
+      this.throwIfAborted();
+      // ESLint exits with 1 when it reports errors, the report is still on stdout
+      stdout = error.stdout || "";
+      lintLog = error.stderr || error.message;
+      lintError = error;
+    }
+
+    const report = parseESLintReport(stdout);
+    if (!report) {
       this.results.checks.linting = {
-        status: "FAIL",
-        error: error.stdout || error.message,
+        status: this.getFailureStatus(lintError),
+        error: `ESLint did not produce a report: ${
+          stripAnsi(lintLog).trim() || lintError?.message || "no output"
+        }`,
       };
+      return;
     }
+
+    this.results.checks.linting = summarizeESLintReport(report);
   }
 
   /**
@@ -266,54 +559,68 @@ class StoryValidator {
     }
 
     try {
-      // Get relative path from project root for targeted TypeScript checking
-      const relativePath = path.relative(this.projectRoot, this.storyFilePath);
-
-      // Create a temporary tsconfig that only includes our story file
-      const tempTsConfig = {
-        extends: "./tsconfig.app.json",
-        include: [relativePath],
-        exclude: [
-          "**/*.spec.ts",
-          "**/*.test.ts",
-          "**/*.spec.tsx",
-          "**/*.test.tsx",
-        ],
-      };
-
-      const tempTsConfigPath = path.join(
-        this.projectRoot,
-        "temp-tsconfig.json"
-      );
-      fs.writeFileSync(tempTsConfigPath, JSON.stringify(tempTsConfig, null, 2));
-
-      try {
-        // Run TypeScript check with the temporary config
-        const result = execSync(
-          `npx tsc --noEmit --project "temp-tsconfig.json"`,
-          {
-            cwd: this.projectRoot,
-            encoding: "utf8",
-            stdio: "pipe",
-          }
-        );
-
+      // Type-check the story in memory with the config that covers it
+      const { ts, configPath, program } = this.getTypeScriptProgram();
+      if (!configPath) {
         this.results.checks.typeScript = {
-          status: "PASS",
-          error: null,
+          status: "SKIP",
+          error: "No tsconfig includes any files",
         };
-      } finally {
-        // Clean up temporary config file
-        if (fs.existsSync(tempTsConfigPath)) {
-          fs.unlinkSync(tempTsConfigPath);
-        }
+        return;
       }
+      const diagnostics = collectTypeScriptDiagnostics(
+        ts,
+        configPath,
+        this.storyFilePath,
+        program
+      );
+
+      this.results.checks.typeScript = {
+        tsconfig: path.relative(this.projectRoot, configPath),
+        ...summarizeTypeScriptDiagnostics(diagnostics, this.storyFilePath),
+      };
     } catch (error) {
       this.results.checks.typeScript = {
-        status: "FAIL",
-        error: error.stdout || error.message,
+        status: "ERROR",
+        error: `TypeScript check failed to run: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Create the in-memory TypeScript program of the story file (cached,
+   * shared by the typeScript and storyQuality checks). `configPath` and
+   * `program` are null when no tsconfig covers the story.
+   */
+  getTypeScriptProgram() {
+    if (!this.typeScript) {
+      const ts = loadTypeScript(this.projectRoot);
+      const configPath = this.hasTypeScriptConfig()
+        ? findTsConfigForFile(ts, this.storyFilePath, this.projectRoot)
+        : null;
+      this.typeScript = {
+        ts,
+        configPath,
+        program: configPath
+          ? createStoryProgram(ts, configPath, this.storyFilePath)
+          : null,
       };
     }
+    return this.typeScript;
+  }
+
+  /**
+   * Parse the story file's CSF structure (cached, shared by several checks)
+   */
+  getCSFAnalysis() {
+    if (!this.csfAnalysis) {
+      this.csfAnalysis = analyzeCSF(
+        fs.readFileSync(this.storyFilePath, "utf8"),
+        this.storyFilePath,
+        loadTypeScript(this.projectRoot)
+      );
+    }
+    return this.csfAnalysis;
   }
 
   /**
@@ -321,44 +628,28 @@ class StoryValidator {
    */
   async checkCSFCompliance() {
     try {
-      const storyContent = fs.readFileSync(this.storyFilePath, "utf8");
-
-      // Check for CSF3 patterns
-      const hasCSF3Patterns =
-        storyContent.includes("StoryObj<") ||
-        storyContent.includes("Meta<") ||
-        storyContent.includes("satisfies Meta<");
-
-      // Check for CSF2 patterns
-      const hasCSF2Patterns =
-        storyContent.includes("storiesOf(") ||
-        storyContent.includes("addDecorator(") ||
-        storyContent.includes("addParameters(");
-
-      // Check for modern Storybook 7+ patterns
-      const hasModernPatterns =
-        storyContent.includes("satisfies") ||
-        storyContent.includes("as Meta<") ||
-        storyContent.includes("StoryObj<");
-
-      let csfVersion = "UNKNOWN";
-      let compliance = "UNKNOWN";
-
-      if (hasCSF2Patterns && !hasCSF3Patterns) {
-        csfVersion = "CSF2";
-        compliance = "FAIL"; // CSF2 is deprecated
-      } else if (hasCSF3Patterns || hasModernPatterns) {
-        csfVersion = "CSF3";
-        compliance = "PASS";
-      } else {
-        csfVersion = "UNKNOWN";
-        compliance = "FAIL";
+      if (path.extname(this.storyFilePath) === ".mdx") {
+        this.results.checks.csfCompliance = {
+          status: "SKIP",
+          csfVersion: "UNKNOWN",
+          error: "MDX files contain docs, not CSF stories",
+        };
+        return;
       }
 
+      const analysis = this.getCSFAnalysis();
+      const compliance = isCompliantCSFVersion(analysis.csfVersion)
+        ? "PASS"
+        : "FAIL";
+
       this.results.checks.csfCompliance = {
         status: compliance,
-        csfVersion: csfVersion,
-        error: compliance === "FAIL" ? `Detected ${csfVersion} format` : null,
+        csfVersion: analysis.csfVersion,
+        error: describeCSFIssues(analysis),
+        meta: analysis.meta,
+        stories: analysis.stories,
+        legacyApis: analysis.legacyApis,
+        parseErrors: analysis.parseErrors,
       };
     } catch (error) {
       this.results.checks.csfCompliance = {
@@ -370,10 +661,178 @@ class StoryValidator {
   }
 
   /**
-   * Run Storybook test-runner for render and interaction tests
+   * Check how well the stories exercise the component's props
+   */
+  async checkStoryQuality() {
+    try {
+      if (path.extname(this.storyFilePath) === ".mdx") {
+        this.results.checks.storyQuality = {
+          status: "SKIP",
+          error: "MDX files contain docs, not CSF stories",
+        };
+        return;
+      }
+
+      const analysis = this.getCSFAnalysis();
+      if (!analysis.meta) {
+        this.results.checks.storyQuality = {
+          status: "SKIP",
+          error: "No meta (default export) to assess",
+        };
+        return;
+      }
+
+      // Without a tsconfig the props are unknown; the other heuristics apply
+      const { ts, program } = this.getTypeScriptProgram();
+      const props = program
+        ? getComponentProps(
+            ts,
+            program,
+            this.storyFilePath,
+            analysis.meta.component
+          )
+        : null;
+      this.results.checks.storyQuality = summarizeStoryQuality(analysis, props);
+    } catch (error) {
+      this.results.checks.storyQuality = {
+        status: "ERROR",
+        error: `Story quality check failed to run: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Check whether the play functions assert anything, and how much they do
+   */
+  async checkPlayQuality() {
+    try {
+      if (path.extname(this.storyFilePath) === ".mdx") {
+        this.results.checks.playQuality = {
+          status: "SKIP",
+          error: "MDX files contain docs, not CSF stories",
+        };
+        return;
+      }
+
+      this.results.checks.playQuality = summarizePlayQuality(
+        this.getCSFAnalysis()
+      );
+    } catch (error) {
+      this.results.checks.playQuality = {
+        status: "ERROR",
+        error: `Play quality check failed to run: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * The conventions profile: the configured profile file, or one learned
+   * from the project's other story files (null when there are too few)
+   */
+  getConventionsProfile(ts) {
+    const { profile } = this.config.checks.conventions;
+    if (profile) {
+      const profilePath = path.resolve(this.projectRoot, profile);
+      const relativePath = path.relative(process.cwd(), profilePath);
+      return {
+        source: relativePath.startsWith("..") ? profilePath : relativePath,
+        profile: loadConventionsProfile(profilePath),
+      };
+    }
+
+    const storyFile = path.resolve(this.storyFilePath);
+    const references = expandStoryPaths([this.projectRoot])
+      .files.filter((file) => path.resolve(file) !== storyFile)
+      .map((file) => readStoryConventions(file, ts, this.conventionsCache));
+    const learned = deriveConventionsProfile(references);
+    return learned
+      ? {
+          source: `learned from ${learned.stories} stories`,
+          profile: learned,
+        }
+      : null;
+  }
+
+  /**
+   * Compare the story with the conventions of the project's stories
+   */
+  async checkConventions() {
+    try {
+      if (path.extname(this.storyFilePath) === ".mdx") {
+        this.results.checks.conventions = {
+          status: "SKIP",
+          error: "MDX files contain docs, not CSF stories",
+        };
+        return;
+      }
+
+      const analysis = this.getCSFAnalysis();
+      if (!analysis.meta) {
+        this.results.checks.conventions = {
+          status: "SKIP",
+          error: "No meta (default export) to compare",
+        };
+        return;
+      }
+
+      const ts = loadTypeScript(this.projectRoot);
+      const reference = this.getConventionsProfile(ts);
+      if (!reference) {
+        this.results.checks.conventions = {
+          status: "SKIP",
+          error:
+            "Too few other stories to learn conventions from; set checks.conventions.profile",
+        };
+        return;
+      }
+      const conventions = extractConventions(
+        fs.readFileSync(this.storyFilePath, "utf8"),
+        this.storyFilePath,
+        ts,
+        analysis
+      );
+      this.results.checks.conventions = compareConventions(
+        conventions,
+        reference.profile,
+        reference.source
+      );
+    } catch (error) {
+      this.results.checks.conventions = {
+        status: "ERROR",
+        error: `Conventions check failed to run: ${error.message}`,
+      };
+    }
+  }
+
+  /**
+   * Run Storybook test-runner (or the Vitest addon) for render and
+   * interaction tests
    */
   async runStorybookTests(silent = false) {
-    if (!this.hasTestRunner()) {
+    const backend = this.getTestBackend();
+    this.results.testBackend = backend;
+    this.a11yReports.clear();
+    this.screenshots.clear();
+    this.renderInspections.clear();
+    this.browserReportsCollected = false;
+
+    if (backend === "vitest") {
+      await this.runVitestTests(silent);
+      await this.runAccessibilityCheck(backend);
+      // Vitest renders stories without a dev server, so one is only started
+      // for the visual check or when render inspection is asked for
+      const inspect =
+        this.config.checks.renderTest.inspect === true &&
+        this.canInspectRenders();
+      if (this.results.stories && (inspect || this.captureScreenshots)) {
+        await this.runBrowserChecksInStorybook(silent);
+      } else {
+        await this.runVisualCheck();
+      }
+      return;
+    }
+
+    if (backend !== "test-runner" || !this.hasTestRunner()) {
       this.results.checks.renderTest = {
         status: "SKIP",
         error: "No Storybook test-runner found",
@@ -382,12 +841,34 @@ class StoryValidator {
         status: "SKIP",
         error: "No Storybook test-runner found",
       };
+      this.results.checks.accessibility = {
+        status: "SKIP",
+        error: "No Storybook test-runner found",
+      };
+      this.results.checks.visual = {
+        status: "SKIP",
+        error: "No Storybook test-runner found",
+      };
       return;
     }
 
     try {
       // Start Storybook before running tests
-      await this.startStorybook(silent);
+      try {
+        await this.storybook.start(silent, this.signal);
+      } catch (error) {
+        this.throwIfAborted();
+        const failure = {
+          status: this.getFailureStatus(error),
+          error: `Storybook is not available: ${error.message}`,
+        };
+        this.results.checks.renderTest = { ...failure };
+        this.results.checks.interactionTest = { ...failure };
+        this.results.checks.accessibility = { ...failure };
+        this.results.checks.visual = { ...failure };
+        this.results.storybookLog = error.storybookLog || null;
+        return;
+      }
 
       // Extract story name from file path for targeted testing
       const fileName = path.basename(
@@ -406,242 +887,429 @@ class StoryValidator {
         this.storyFilePath
       );
 
-      let testOutput;
+      // With --json, Jest prints its report to stdout and everything else to stderr
+      let report = null;
+      let testLog = "";
+      let testError = null;
       try {
-        // Try to run test-storybook and capture output
-        const result = execSync(
-          `npx test-storybook "${relativeStoryPath}" --url=http://127.0.0.1:${this.storybookPort}`,
-          {
-            cwd: this.projectRoot,
-            encoding: "utf8",
-            stdio: "pipe",
-            timeout: 60000, // 60 second timeout (increased for Storybook startup)
-          }
+        // Run asynchronously so a static build served from this process
+        // can answer the runner's requests
+        const result = await this.runCommand(
+          `npx test-storybook "${relativeStoryPath}" --url=${this.storybook.url} --json`,
+          60000 // 60 second timeout (increased for Storybook startup)
         );
-        testOutput = result.toString();
+        report = parseTestReport(result.stdout.toString());
       } catch (error) {
-        // If execSync fails, try to capture the output from the error
-        // The important output might be in stdout even when the command fails
-        testOutput = error.stderr.toString();
+        this.throwIfAborted();
+        // Failing tests exit non-zero but still write the report to stdout
+        report = parseTestReport(error.stdout ? error.stdout.toString() : "");
+        testLog = error.stderr ? error.stderr.toString() : error.message;
+        testError = error;
       }
 
-      // Now we have testOutput regardless of success or failure
-      // Parse test results to distinguish between render and interaction tests
-      const testResults = this.parseTestOutput(testOutput, storyName);
+      this.applyTestReport(report, testLog, "test-storybook", testError);
 
-      this.results.checks.renderTest = testResults.renderTest;
-      this.results.checks.interactionTest = testResults.interactionTest;
+      // Storybook is still running, so the stories can be inspected, probed
+      // for a11y and screenshotted
+      await this.runRenderInspection();
+      await this.runAccessibilityCheck(backend);
+      await this.runVisualCheck();
     } finally {
-      // Always stop Storybook after tests, regardless of success/failure
-      await this.stopStorybook(silent);
+      // Always stop our own Storybook after tests, regardless of success/failure
+      if (this.ownsStorybook) {
+        await this.storybook.stop(silent);
+      }
     }
   }
 
   /**
-   * Parse test output to distinguish between render and interaction test failures
+   * Run the story file's tests through the Vitest addon
+   * (`vitest --project=storybook`), which needs no Storybook dev server
    */
-  parseTestOutput(testOutput, storyName) {
-    // Since we're now testing only the specific story, the output should be cleaner
-    // Check if the story was found in the test output
-    const storyTestPattern = new RegExp(`${storyName}\\.stories\\.tsx`, "i");
-    const hasStoryTests = storyTestPattern.test(testOutput);
+  async runVitestTests(silent = false) {
+    const relativeStoryPath = path.relative(
+      this.projectRoot,
+      this.storyFilePath
+    );
+    // Keep the report out of the project directory
+    const reportPath = path.join(
+      os.tmpdir(),
+      `storybook-validate-vitest-${process.pid}-${Date.now()}.json`
+    );
 
-    if (testOutput === "") {
-      return {
-        renderTest: {
-          status: "PASS",
-          error: null,
-        },
-        interactionTest: {
-          status: "PASS",
-          error: null,
-        },
-      };
+    if (!silent) {
+      console.log(
+        `🧪 Running vitest --project=storybook for ${relativeStoryPath}`
+      );
     }
 
-    if (!hasStoryTests) {
-      return {
-        renderTest: {
-          status: "SKIP",
-          error: "Story not found in test output",
-        },
-        interactionTest: {
-          status: "SKIP",
-          error: "Story not found in test output",
-        },
-      };
+    let testLog = "";
+    let testError = null;
+    try {
+      await this.runCommand(
+        `npx vitest run --project=storybook "${relativeStoryPath}" --reporter=json --outputFile="${reportPath}"`,
+        120000 // Vitest boots a browser before running the stories
+      );
+    } catch (error) {
+      if (this.signal && this.signal.aborted) {
+        fs.rmSync(reportPath, { force: true });
+        throw this.signal.reason;
+      }
+      // Failing tests exit non-zero but still write the report
+      testLog = [error.stderr, error.stdout, error.message]
+        .filter(Boolean)
+        .join("\n");
+      testError = error;
     }
 
-    // Check for test failures in our story
-    const storyFailPattern = new RegExp(
-      `FAIL.*${storyName}\\.stories\\.tsx`,
-      "i"
-    );
-    const hasFailures = storyFailPattern.test(testOutput);
-
-    if (!hasFailures) {
-      return {
-        renderTest: {
-          status: "PASS",
-          error: null,
-        },
-        interactionTest: {
-          status: "PASS",
-          error: null,
-        },
-      };
+    let report = null;
+    try {
+      if (fs.existsSync(reportPath)) {
+        report = parseTestReport(fs.readFileSync(reportPath, "utf8"));
+      }
+    } finally {
+      fs.rmSync(reportPath, { force: true });
     }
 
-    // Extract specific test failures
-    const renderTestResult = this.parseRenderTestFailure(testOutput, storyName);
-    const interactionTestResult = this.parseInteractionTestFailure(
-      testOutput,
-      storyName
-    );
-
-    return {
-      renderTest: renderTestResult,
-      interactionTest: interactionTestResult,
-    };
+    this.applyTestReport(report, testLog, "vitest", testError);
   }
 
   /**
-   * Parse render test (smoke test) failures
+   * Record per-story results and the render/interaction checks from a test
+   * report, or an ERROR (TIMEOUT when the runner was stopped) when the runner
+   * produced none
    */
-  parseRenderTestFailure(testOutput, storyName) {
-    // First, check if this story has smoke tests at all
-    const hasSmokeTests = /\●.*›.*› smoke-test/i.test(testOutput);
-
-    if (!hasSmokeTests) {
-      return {
-        status: "SKIP",
-        error: "No smoke tests found for this story",
-      };
+  applyTestReport(report, testLog, runnerName, runnerFailure = null) {
+    if (!report) {
+      const missing = describeMissingReport(runnerName, testLog, runnerFailure);
+      this.results.checks.renderTest = { ...missing };
+      this.results.checks.interactionTest = { ...missing };
+      return;
     }
 
-    // Look for smoke-test failures specifically for this story
-    // The pattern should match: ● Test/StoryName › StoryName › smoke-test
-    // and the error should be related to this specific story
-    const smokeTestPattern = new RegExp(
-      `●.*›.*› smoke-test[\\s\\S]*?Message:[\\s\\S]*?at.*${storyName}`,
-      "i"
+    // Build per-story results from the report, then derive render and
+    // interaction checks from them
+    const analysis = this.getCSFAnalysis();
+    const stories = analysis.stories.map((story) =>
+      createStoryResult(story, analysis.meta && analysis.meta.hasPlay)
+    );
+    const { renderTest, interactionTest, a11yReports } = buildTestResults(
+      report,
+      stories,
+      {
+        storyFilePath: this.storyFilePath,
+        runnerError: findRunnerError(testLog),
+      }
+    );
+    a11yReports.forEach((a11yReport, id) =>
+      this.a11yReports.set(id, a11yReport)
     );
 
-    const smokeTestMatch = testOutput.match(smokeTestPattern);
+    this.results.stories = stories;
+    this.results.checks.renderTest = renderTest;
+    this.results.checks.interactionTest = interactionTest;
+  }
 
-    if (smokeTestMatch) {
-      // Extract the error message from the smoke test
-      const errorMessageMatch = smokeTestMatch[0].match(/Message:\s*([^\n]+)/);
-      const errorMessage = errorMessageMatch
-        ? errorMessageMatch[1].trim()
-        : "Render test failed";
+  /**
+   * Run the accessibility check once the stories have been rendered. The
+   * Vitest addon records a11y reports in the test meta; with the test-runner
+   * the stories are rendered again in a browser to collect them.
+   */
+  async runAccessibilityCheck(backend) {
+    if (!this.hasA11yAddon()) {
+      this.results.checks.accessibility = {
+        status: "SKIP",
+        error: "No @storybook/addon-a11y found",
+      };
+      return;
+    }
 
-      return {
-        status: "FAIL",
-        error: `Render test failed: ${errorMessage}`,
+    if (!this.results.stories) {
+      this.results.checks.accessibility = {
+        status: "SKIP",
+        error: "Stories were not rendered",
       };
+      return;
     }
 
-    // If smoke tests exist but no failure detected, they passed
-    return {
-      status: "PASS",
-      error: null,
-    };
+    try {
+      if (backend === "test-runner") {
+        await this.collectBrowserReports();
+      }
+
+      const stories = this.results.stories.map((story) => ({
+        id: story.id,
+        name: story.name,
+        report: this.a11yReports.get(story.id) || null,
+      }));
+      this.results.checks.accessibility = summarizeAccessibility(
+        stories,
+        this.a11yOptions
+      );
+    } catch (error) {
+      this.throwIfAborted();
+      this.results.checks.accessibility = {
+        status: "ERROR",
+        error: `Could not collect accessibility results: ${error.message}`,
+      };
+    }
   }
 
   /**
-   * Parse interaction test (play test) failures
+   * Render each story of the file from the running Storybook once, keeping
+   * the a11y report the addon attaches to its `storyFinished` event, what the
+   * story rendered and logged when the render test runs and, when the visual
+   * check runs, a screenshot
    */
-  parseInteractionTestFailure(testOutput, storyName) {
-    // First, check if this story has play tests at all
-    const hasPlayTests = /\●.*›.*› play-test/i.test(testOutput);
+  async collectBrowserReports() {
+    if (this.browserReportsCollected) {
+      return;
+    }
+    this.browserReportsCollected = true;
+    const browser = new StoryBrowser(this.projectRoot, this.storybook.url);
+    try {
+      const indexedStories = await browser.getStoriesForFile(
+        this.storyFilePath
+      );
+      for (const { id, name } of indexedStories) {
+        this.throwIfAborted();
+        const { status, reporters, console } = await browser.renderStory(id);
+        const report = reporters.find((reporter) => reporter.type === "a11y");
+        if (report) {
+          this.a11yReports.set(id, report);
+        }
+        if (this.inspectRenders) {
+          this.renderInspections.set(id, {
+            status,
+            root: await browser.measureRoot(),
+            console,
+          });
+        }
+        if (this.captureScreenshots) {
+          // An error overlay or a half-rendered story is no baseline
+          const rendered = !["error", "timeout"].includes(status);
+          this.screenshots.set(id, {
+            name,
+            status,
+            image: rendered ? await browser.screenshot() : null,
+          });
+        }
 
-    if (!hasPlayTests) {
-      return {
-        status: "SKIP",
-        error: "No play tests found for this story",
-      };
+        // Fill in ids the static analysis could not derive (no meta title)
+        const story = this.results.stories.find(
+          (entry) => entry.id === id || (!entry.id && entry.name === name)
+        );
+        if (story && !story.id) {
+          story.id = id;
+        }
+      }
+    } finally {
+      await browser.close();
+    }
+  }
+
+  /**
+   * Run the render inspection and the visual check against a Storybook
+   * started for them, as the Vitest addon renders stories without one
+   */
+  async runBrowserChecksInStorybook(silent = false) {
+    try {
+      await this.storybook.start(silent, this.signal);
+    } catch (error) {
+      this.throwIfAborted();
+      const message = `Storybook is not available: ${error.message}`;
+      if (this.canInspectRenders()) {
+        this.results.checks.renderTest.inspectionError = message;
+      }
+      if (this.captureScreenshots) {
+        this.results.checks.visual = {
+          status: this.getFailureStatus(error),
+          error: message,
+        };
+      }
+      this.results.storybookLog = error.storybookLog || null;
+      return;
+    }
+    try {
+      await this.runRenderInspection();
+      await this.runVisualCheck();
+    } finally {
+      if (this.ownsStorybook) {
+        await this.storybook.stop(silent);
+      }
     }
+  }
 
-    // Look for play-test failures specifically for this story
-    // The pattern should match: ● Test/StoryName › StoryName › play-test
-    // and the error should be related to this specific story
-    const playTestPattern = new RegExp(
-      `●.*›.*› play-test[\\s\\S]*?Message:[\\s\\S]*?at.*${storyName}`,
-      "i"
+  /**
+   * Whether the render test ran and the stories can be inspected, which
+   * cannot change a check that errored or timed out
+   */
+  canInspectRenders() {
+    const renderTest = this.results.checks.renderTest;
+    return Boolean(
+      this.inspectRenders &&
+        this.results.stories &&
+        renderTest &&
+        ["PASS", "FAIL", "SKIP"].includes(renderTest.status)
     );
+  }
 
-    const playTestMatch = testOutput.match(playTestPattern);
+  /**
+   * Look at what each story rendered and logged, which can turn a passing
+   * render test into a WARNING or FAIL. When the stories cannot be rendered
+   * in a browser the test runner's result stands, with an `inspectionError`.
+   */
+  async runRenderInspection() {
+    if (!this.canInspectRenders()) {
+      return;
+    }
+    const renderTest = this.results.checks.renderTest;
 
-    if (playTestMatch) {
-      // Extract the error message from the play test
-      const errorMessageMatch = playTestMatch[0].match(/Message:\s*([^\n]+)/);
-      const errorMessage = errorMessageMatch
-        ? errorMessageMatch[1].trim()
-        : "Interaction test failed";
+    try {
+      await this.collectBrowserReports();
+      this.results.checks.renderTest = applyRenderInspection(
+        renderTest,
+        this.results.stories,
+        this.renderInspections
+      );
+    } catch (error) {
+      this.throwIfAborted();
+      renderTest.inspectionError = `Could not inspect rendered stories: ${error.message}`;
+    }
+  }
 
-      return {
-        status: "FAIL",
-        error: `Interaction test failed: ${errorMessage}`,
+  /**
+   * Compare a screenshot of every story with its baseline image
+   */
+  async runVisualCheck() {
+    if (!this.captureScreenshots) {
+      return;
+    }
+    if (!this.results.stories) {
+      this.results.checks.visual = {
+        status: "SKIP",
+        error: "Stories were not rendered",
       };
+      return;
     }
 
-    // If play tests exist but no failure detected, they passed
-    return {
-      status: "PASS",
-      error: null,
-    };
+    try {
+      await this.collectBrowserReports();
+      const { threshold } = this.config.checks.visual;
+      const snapshots = [...this.screenshots.entries()].map(
+        ([id, { name, status, image }]) => {
+          const story = this.results.stories.find((entry) => entry.id === id);
+          if (!image) {
+            return {
+              id,
+              name,
+              line: story ? story.line : null,
+              status: "SKIP",
+              error: `Story did not render (${status})`,
+            };
+          }
+          return compareSnapshot(
+            this.storyFilePath,
+            { id, name, line: story ? story.line : null },
+            image,
+            { threshold, update: this.options.updateSnapshots }
+          );
+        }
+      );
+      this.results.checks.visual = summarizeVisual(snapshots, threshold);
+    } catch (error) {
+      this.throwIfAborted();
+      this.results.checks.visual = {
+        status: "ERROR",
+        error: `Could not take visual snapshots: ${error.message}`,
+      };
+    }
   }
 
   /**
    * Generate overall score and summary
    */
   generateSummary() {
-    const checks = this.results.checks;
-    const totalChecks = Object.keys(checks).length;
-    let passedChecks = 0;
-    let failedChecks = 0;
-    let skippedChecks = 0;
-
-    Object.values(checks).forEach((check) => {
-      if (check.status === "PASS") passedChecks++;
-      else if (check.status === "FAIL") failedChecks++;
-      else if (check.status === "SKIP") skippedChecks++;
-    });
+    this.results.summary = summarizeChecks(this.results.checks, this.config);
+  }
 
-    const score =
-      totalChecks > 0
-        ? (passedChecks / (totalChecks - skippedChecks)) * 100
-        : 0;
-
-    this.results.summary = {
-      totalChecks,
-      passedChecks,
-      failedChecks,
-      skippedChecks,
-      score: Math.round(score),
-      overallStatus: score >= 80 ? "PASS" : score >= 60 ? "WARNING" : "FAIL",
-    };
+  /**
+   * Run a check, emitting `checkStarted` and `checkFinished` for each of the
+   * check results it produces
+   */
+  async runCheck(checkNames, run) {
+    checkNames.forEach((check) =>
+      this.emit("checkStarted", { storyFile: this.storyFilePath, check })
+    );
+    await run();
+    checkNames.forEach((check) => {
+      if (this.results.checks[check]) {
+        this.emit("checkFinished", {
+          storyFile: this.storyFilePath,
+          check,
+          result: this.results.checks[check],
+        });
+      }
+    });
   }
 
   /**
    * Run all validation checks
+   *
+   * @param {boolean} [silent]
+   * @param {string[]} [checks] - Only run these of the enabled checks and
+   *   keep the results of earlier runs for the others (render, interaction,
+   *   accessibility and visual always run together)
    */
-  async validate(silent = false) {
+  async validate(silent = false, checks = null) {
+    this.throwIfAborted();
     if (!silent) {
       console.log(`🔍 Validating story: ${this.storyFilePath}`);
       console.log(`📁 Project root: ${this.projectRoot}\n`);
     }
 
+    const enabledChecks = this.options.checks || getEnabledChecks(this.config);
+    const selectedChecks = checks
+      ? checks.filter((check) => enabledChecks.includes(check))
+      : enabledChecks;
+    const shouldRun = (...names) =>
+      names.some((name) => selectedChecks.includes(name));
+    this.results.timestamp = new Date().toISOString();
+    delete this.results.error;
+    this.csfAnalysis = null;
+    this.typeScript = null;
+    this.captureScreenshots = shouldRun("visual");
+    this.inspectRenders =
+      shouldRun("renderTest") &&
+      this.config.checks.renderTest.inspect !== false;
+
     try {
       // Run all checks in parallel for efficiency
       await Promise.all([
-        this.runLinting(),
-        this.runTypeScriptCheck(),
-        this.checkCSFCompliance(),
-        this.runStorybookTests(silent),
+        shouldRun("linting") &&
+          this.runCheck(["linting"], () => this.runLinting()),
+        shouldRun("typeScript") &&
+          this.runCheck(["typeScript"], () => this.runTypeScriptCheck()),
+        shouldRun("csfCompliance") &&
+          this.runCheck(["csfCompliance"], () => this.checkCSFCompliance()),
+        shouldRun("storyQuality") &&
+          this.runCheck(["storyQuality"], () => this.checkStoryQuality()),
+        shouldRun("conventions") &&
+          this.runCheck(["conventions"], () => this.checkConventions()),
+        shouldRun("playQuality") &&
+          this.runCheck(["playQuality"], () => this.checkPlayQuality()),
+        shouldRun("renderTest", "interactionTest", "accessibility", "visual") &&
+          this.runCheck(
+            ["renderTest", "interactionTest", "accessibility", "visual"],
+            () => this.runStorybookTests(silent)
+          ),
       ]);
 
+      // Checks that only ran alongside an enabled one are not reported
+      Object.keys(this.results.checks)
+        .filter((check) => !enabledChecks.includes(check))
+        .forEach((check) => delete this.results.checks[check]);
+
       // Generate summary
       this.generateSummary();
 
@@ -652,15 +1320,20 @@ class StoryValidator {
 
       return this.results;
     } catch (error) {
+      // Cancellation rejects instead of producing partial results
+      this.throwIfAborted();
       if (!silent) {
         console.error("❌ Validation failed with error:", error.message);
       }
       this.results.error = error.message;
       return this.results;
     } finally {
+      // The program holds every file the story imports; batches keep their
+      // validators around
+      this.typeScript = null;
       // Ensure Storybook is stopped even if validation fails
-      if (this.storybookProcess) {
-        await this.stopStorybook();
+      if (this.ownsStorybook && this.storybook.isRunning()) {
+        await this.storybook.stop();
       }
     }
   }
@@ -676,36 +1349,93 @@ class StoryValidator {
 
     Object.entries(checks).forEach(([checkName, result]) => {
       const status = result.status;
-      const icon =
-        status === "PASS"
-          ? "✅"
-          : status === "FAIL"
-          ? "❌"
-          : status === "SKIP"
-          ? "⏭️"
-          : "⚠️";
-      console.log(`${icon} ${checkName}: ${status}`);
-
-      if (result.error) {
+      console.log(`${getStatusIcon(status)} ${checkName}: ${status}`);
+      if (typeof result.coverage === "number") {
+        console.log(`   Props coverage: ${result.coverage}%`);
+      }
+      if (typeof result.conformance === "number") {
+        console.log(
+          `   Conformance: ${result.conformance}% (profile ${result.profile})`
+        );
+      }
+      if (typeof result.assertionsPerPlay === "number") {
+        console.log(
+          `   Assertions: ${result.assertions} in ${result.plays.length} play function(s) (${result.assertionsPerPlay} per play), interactions: ${result.interactions}`
+        );
+      }
+
+      const dependencyDiagnostics = result.dependencyDiagnostics || [];
+      if (
+        (result.diagnostics && result.diagnostics.length > 0) ||
+        dependencyDiagnostics.length > 0
+      ) {
+        result.diagnostics.forEach((diagnostic) => {
+          console.log(`   ${formatDiagnostic(diagnostic)}`);
+        });
+        // Problems in imported files are listed with their path
+        dependencyDiagnostics.forEach((diagnostic) => {
+          console.log(`   ${formatDiagnostic(diagnostic, this.projectRoot)}`);
+        });
+        const fixable =
+          (result.fixableErrorCount || 0) + (result.fixableWarningCount || 0);
+        if (fixable > 0) {
+          console.log(
+            `   ${fixable} problem(s) potentially fixable with \`eslint --fix\``
+          );
+        }
+      } else if (result.issues && result.issues.length > 0) {
+        result.issues.forEach((issue) => {
+          console.log(
+            `   ${issue.line ? `${issue.line}: ` : ""}${issue.message}`
+          );
+        });
+      } else if (result.error) {
         console.log(
           `   Error: ${result.error.substring(0, 200)}${
             result.error.length > 200 ? "..." : ""
           }`
         );
       }
+      if (result.inspectionError) {
+        console.log(`   Render inspection skipped: ${result.inspectionError}`);
+      }
     });
 
+    if (this.results.stories && this.results.stories.length > 0) {
+      console.log("\n🧪 Stories:");
+      this.results.stories.forEach((story) => {
+        const test =
+          story.testType === "play-test" ? story.playTest : story.smokeTest;
+        const icon =
+          test.status === "PASS" ? "✅" : test.status === "FAIL" ? "❌" : "⏭️";
+        const location = test.location
+          ? ` (${test.location.file}:${test.location.line})`
+          : "";
+        console.log(`${icon} ${story.name} [${story.testType}]${location}`);
+      });
+    }
+
     console.log("\n📈 Summary:");
     console.log(
-      `   Overall Score: ${summary.score}% (${summary.overallStatus})`
+      summary.score === null
+        ? `   Overall Status: ${summary.overallStatus} (no check evaluated the story)`
+        : `   Overall Score: ${summary.score}% (${summary.overallStatus})`
     );
     console.log(
-      `   Passed: ${summary.passedChecks}/${
-        summary.totalChecks - summary.skippedChecks
-      }`
+      `   Passed: ${summary.passedChecks}/${summary.evaluatedChecks}`
     );
+    console.log(`   Warnings: ${summary.warningChecks}`);
     console.log(`   Failed: ${summary.failedChecks}`);
+    console.log(`   Errored: ${summary.erroredChecks}`);
     console.log(`   Skipped: ${summary.skippedChecks}`);
+    if (summary.criticalFailures.length > 0) {
+      console.log(
+        `   Critical checks failed: ${summary.criticalFailures.join(", ")}`
+      );
+    }
+    if (summary.notEvaluatedChecks.length > 0) {
+      console.log(`   Not evaluated: ${summary.notEvaluatedChecks.join(", ")}`);
+    }
   }
 
   /**
@@ -715,94 +1445,1391 @@ class StoryValidator {
     return JSON.stringify(this.results, null, 2);
   }
 
+  /**
+   * Get results as a Markdown repair prompt for the LLM that wrote the story
+   */
+  getResultsPrompt(maxTokens) {
+    let source = null;
+    try {
+      source = fs.readFileSync(this.storyFilePath, "utf8");
+    } catch (error) {
+      // Deleted since validation, leave out the excerpts
+    }
+    return formatRepairPrompt(this.results, {
+      source,
+      config: this.config,
+      maxTokens,
+    });
+  }
+
+  /**
+   * Get results as JUnit XML, one test case per check
+   */
+  getResultsJUnit() {
+    return formatJUnit([this.results]);
+  }
+
+  /**
+   * Get the ESLint, TypeScript and CSF diagnostics as a SARIF log
+   */
+  getResultsSarif() {
+    return formatSarif([this.results]);
+  }
+
   /**
    * Cleanup resources
    */
   async cleanup() {
-    if (this.storybookProcess) {
-      await this.stopStorybook();
+    if (this.ownsStorybook && this.storybook.isRunning()) {
+      await this.storybook.stop();
     }
   }
 }
 
 /**
- * Main execution function
+ * Validates several story files in one run, sharing one Storybook server per
+ * project root, and aggregates the per-file results
  */
-async function main() {
-  const args = process.argv.slice(2);
+class BatchValidator {
+  /**
+   * @param {string[]} storyFilePaths
+   * @param {object} [options] - StoryValidator options applied to every file
+   */
+  constructor(storyFilePaths, options = {}) {
+    this.storyFilePaths = storyFilePaths;
+    this.options = options;
+    this.storybookServers = new Map();
+    this.conventionsCache = new Map();
+    this.storyValidators = new Map();
+    this.results = {
+      timestamp: new Date().toISOString(),
+      files: [],
+      totals: {},
+    };
+  }
 
-  if (args.length === 0) {
-    console.error(
-      "❌ Usage: node validate_story.js <story_file_path> [--json]"
-    );
-    console.error(
-      "Example: node validate_story.js ./src/components/Button.stories.tsx"
+  /**
+   * Get (or create) the shared Storybook server for a project root
+   */
+  getStorybookServer(projectRoot) {
+    const key = path.resolve(projectRoot);
+    if (!this.storybookServers.has(key)) {
+      this.storybookServers.set(
+        key,
+        createStorybookServer(projectRoot, this.options)
+      );
+    }
+    return this.storybookServers.get(key);
+  }
+
+  /**
+   * Validate every story file sequentially
+   */
+  async validate(silent = false) {
+    try {
+      for (const storyFilePath of this.storyFilePaths) {
+        if (!silent) {
+          console.log(`\n${"=".repeat(50)}`);
+        }
+
+        let fileResults;
+        try {
+          const storybookServer = this.getStorybookServer(
+            findProjectRoot(storyFilePath)
+          );
+          const validator = new StoryValidator(storyFilePath, {
+            ...this.options,
+            storybookServer,
+            conventionsCache: this.conventionsCache,
+          });
+          this.storyValidators.set(storyFilePath, validator);
+          fileResults = await validator.validate(silent);
+        } catch (error) {
+          if (!silent) {
+            console.error(`❌ ${storyFilePath}: ${error.message}`);
+          }
+          fileResults = {
+            storyFile: storyFilePath,
+            timestamp: new Date().toISOString(),
+            checks: {},
+            error: error.message,
+          };
+        }
+        this.results.files.push(fileResults);
+      }
+    } finally {
+      await this.cleanup(silent);
+    }
+
+    this.generateTotals();
+
+    if (!silent) {
+      this.printTotals();
+    }
+
+    return this.results;
+  }
+
+  /**
+   * Aggregate per-file summaries into run totals
+   */
+  generateTotals() {
+    this.results.totals = summarizeFiles(this.results.files);
+  }
+
+  /**
+   * Print aggregate totals to console
+   */
+  printTotals() {
+    const { totals } = this.results;
+
+    console.log(`\n${"=".repeat(50)}`);
+    console.log("📦 Batch Results:");
+    this.results.files.forEach((fileResults) => {
+      console.log(
+        `   ${formatVerdict(fileResults.summary)} ${fileResults.storyFile}`
+      );
+    });
+
+    console.log("\n📈 Totals:");
+    console.log(`   Files: ${totals.files}`);
+    console.log(`   Passed: ${totals.passedFiles}`);
+    console.log(`   Warnings: ${totals.warningFiles}`);
+    console.log(`   Failed: ${totals.failedFiles}`);
+    console.log(`   Errored: ${totals.erroredFiles}`);
+    console.log(
+      `   Average Score: ${formatVerdict({
+        score: totals.averageScore,
+        overallStatus: totals.overallStatus,
+      })}`
     );
-    console.error(
-      "Example: node validate_story.js ./src/components/Button.stories.tsx --json"
+  }
+
+  /**
+   * Get results as JSON string
+   */
+  getResultsJSON() {
+    return JSON.stringify(this.results, null, 2);
+  }
+
+  /**
+   * Get one repair prompt per file, sharing the token budget between them
+   */
+  getResultsPrompt(maxTokens = DEFAULT_MAX_TOKENS) {
+    const fileTokens = Math.floor(
+      maxTokens / Math.max(1, this.results.files.length)
     );
-    process.exit(1);
+    return this.results.files
+      .map((fileResults) => {
+        const validator = this.storyValidators.get(fileResults.storyFile);
+        return validator
+          ? validator.getResultsPrompt(fileTokens)
+          : formatRepairPrompt(fileResults, { maxTokens: fileTokens });
+      })
+      .join("\n\n---\n\n");
   }
 
-  const storyFilePath = args[0];
+  /**
+   * Get results as JUnit XML, one test suite per file
+   */
+  getResultsJUnit() {
+    return formatJUnit(this.results.files);
+  }
 
-  if (!fs.existsSync(storyFilePath)) {
-    console.error(`❌ Story file not found: ${storyFilePath}`);
-    process.exit(1);
+  /**
+   * Get the diagnostics of all files as one SARIF log
+   */
+  getResultsSarif() {
+    return formatSarif(this.results.files);
   }
 
-  let validator = null;
+  /**
+   * Stop all shared Storybook servers
+   */
+  async cleanup(silent = false) {
+    for (const storybookServer of this.storybookServers.values()) {
+      await storybookServer.stop(silent);
+    }
+  }
+}
 
-  // Handle process signals for graceful shutdown
-  const cleanup = async () => {
-    if (validator) {
-      await validator.cleanup();
+/**
+ * Checks that depend on the modules a story imports; the others only look at
+ * the story file itself
+ */
+const IMPORT_DEPENDENT_CHECKS = [
+  "typeScript",
+  "storyQuality",
+  "renderTest",
+  "interactionTest",
+  "accessibility",
+  "visual",
+];
+
+class WatchValidator extends BatchValidator {
+  /**
+   * @param {string[]} storyFilePaths
+   * @param {object} [options] - StoryValidator options applied to every file
+   * @param {boolean} [options.watchImports] - Also re-validate a story when
+   *   a module it imports through a relative path changes
+   */
+  constructor(storyFilePaths, options = {}) {
+    super(storyFilePaths, options);
+    this.validators = new Map();
+    this.dependents = new Map();
+    this.pending = new Map();
+    this.running = null;
+    this.fileWatcher = null;
+    this.stopWatching = null;
+  }
+
+  /**
+   * Get the long-lived validator of a story file, sharing one Storybook
+   * server per project across all runs
+   */
+  getValidator(storyFilePath) {
+    const key = path.resolve(storyFilePath);
+    if (!this.validators.has(key)) {
+      this.validators.set(
+        key,
+        new StoryValidator(storyFilePath, {
+          ...this.options,
+          storybookServer: this.getStorybookServer(
+            findProjectRoot(storyFilePath)
+          ),
+          conventionsCache: this.conventionsCache,
+        })
+      );
     }
-    process.exit(0);
-  };
+    return this.validators.get(key);
+  }
 
-  process.on("SIGINT", cleanup);
-  process.on("SIGTERM", cleanup);
-  process.on("SIGQUIT", cleanup);
+  /**
+   * Validate every story file, then keep re-validating them on change until
+   * cleanup() is called
+   */
+  async watch() {
+    this.storyFilePaths.forEach((storyFilePath) => {
+      this.getValidator(storyFilePath);
+      this.queue(path.resolve(storyFilePath), null);
+    });
+    await this.flush();
 
-  try {
-    validator = new StoryValidator(storyFilePath);
-    const isJsonMode = args.includes("--json");
-    const results = await validator.validate(isJsonMode); // Pass isJsonMode to control output
+    this.fileWatcher = new FileWatcher((filePath) =>
+      this.handleChange(filePath)
+    );
+    this.updateWatchedFiles();
+    console.log(
+      `\n👀 Watching ${this.storyFilePaths.length} story file(s) for changes. Press Ctrl+C to stop.`
+    );
+
+    return new Promise((resolve) => {
+      this.stopWatching = resolve;
+    });
+  }
 
-    // Determine exit code based on results
-    let exitCode = 0;
-    if (results.summary?.overallStatus === "FAIL") {
-      exitCode = 1; // Critical failures
-    } else if (results.summary?.overallStatus === "WARNING") {
-      exitCode = 2; // Warnings (non-critical issues)
+  /**
+   * Queue the stories affected by a changed file
+   */
+  handleChange(filePath) {
+    if (this.validators.has(filePath)) {
+      this.queue(filePath, null);
     }
+    (this.dependents.get(filePath) || new Set()).forEach((storyFile) =>
+      this.queue(storyFile, IMPORT_DEPENDENT_CHECKS)
+    );
+    this.flush();
+  }
 
-    // Output JSON for programmatic use
-    if (isJsonMode) {
-      console.log(validator.getResultsJSON());
-      process.exit(exitCode); // Exit with appropriate code
+  /**
+   * Queue checks to re-run for a story; null re-runs all of them
+   */
+  queue(storyFile, checks) {
+    const queued = this.pending.get(storyFile);
+    if (!this.pending.has(storyFile)) {
+      this.pending.set(storyFile, checks && new Set(checks));
+    } else if (queued && checks) {
+      checks.forEach((check) => queued.add(check));
+    } else {
+      this.pending.set(storyFile, null);
     }
+  }
 
-    // Exit with appropriate code for normal mode
-    process.exit(exitCode);
-  } catch (error) {
-    console.error("❌ Validation script failed:", error.message);
-    process.exit(1);
-  } finally {
-    // Ensure cleanup happens
-    if (validator) {
-      await validator.cleanup();
+  /**
+   * Run the queued validations one at a time, picking up changes saved
+   * while a run was in progress
+   */
+  flush() {
+    if (!this.running) {
+      this.running = (async () => {
+        while (this.pending.size > 0) {
+          const [storyFile, checks] = this.pending.entries().next().value;
+          this.pending.delete(storyFile);
+          await this.revalidate(storyFile, checks && [...checks]);
+        }
+      })().finally(() => {
+        this.running = null;
+      });
     }
+    return this.running;
   }
-}
+
+  /**
+   * Re-run checks for one story and print what changed since the last run
+   */
+  async revalidate(storyFile, checks) {
+    const validator = this.validators.get(storyFile);
+    const previousChecks = Object.fromEntries(
+      Object.entries(validator.results.checks).map(([checkName, check]) => [
+        checkName,
+        { status: check.status },
+      ])
+    );
+    const isFirstRun = Object.keys(previousChecks).length === 0;
+
+    console.log(
+      `\n⏳ Validating ${validator.storyFilePath}${
+        checks ? ` (${checks.join(", ")})` : ""
+      }...`
+    );
+    const results = await validator.validate(true, checks);
+    if (this.options.watchImports) {
+      this.updateImports(validator);
+    }
+
+    this.printRun(
+      results,
+      diffCheckStatuses(previousChecks, results.checks),
+      isFirstRun
+    );
+  }
+
+  /**
+   * Record which local modules a story imports
+   */
+  updateImports(validator) {
+    const storyFile = path.resolve(validator.storyFilePath);
+    this.dependents.forEach((storyFiles) => storyFiles.delete(storyFile));
+    try {
+      const imports = findLocalImports(
+        fs.readFileSync(storyFile, "utf8"),
+        storyFile,
+        loadTypeScript(validator.projectRoot)
+      );
+      imports.forEach((importedFile) => {
+        if (!this.dependents.has(importedFile)) {
+          this.dependents.set(importedFile, new Set());
+        }
+        this.dependents.get(importedFile).add(storyFile);
+      });
+    } catch (error) {
+      // Keep watching the story itself
+    }
+    this.updateWatchedFiles();
+  }
+
+  /**
+   * Watch the story files and the modules they import
+   */
+  updateWatchedFiles() {
+    if (!this.fileWatcher) {
+      return;
+    }
+    const importedFiles = [...this.dependents.entries()]
+      .filter(([, storyFiles]) => storyFiles.size > 0)
+      .map(([importedFile]) => importedFile);
+    this.fileWatcher.setFiles([...this.validators.keys(), ...importedFiles]);
+  }
+
+  /**
+   * Print a compact report of one run
+   */
+  printRun(results, changes, isFirstRun) {
+    const { summary } = results;
+    console.log(
+      `[${new Date().toLocaleTimeString()}] ${
+        results.storyFile
+      }: ${formatVerdict(summary)}`
+    );
+    if (results.error) {
+      console.log(`   ❌ ${results.error}`);
+    }
+
+    if (isFirstRun) {
+      console.log(
+        `   ${Object.entries(results.checks)
+          .map(
+            ([checkName, check]) =>
+              `${getStatusIcon(check.status)} ${checkName}`
+          )
+          .join("  ")}`
+      );
+    } else if (changes.length === 0) {
+      console.log("   No check changed status");
+    } else {
+      changes.forEach((change) => {
+        console.log(
+          `   ${getStatusIcon(change.to)} ${change.check}: ${
+            change.from || "none"
+          } → ${change.to || "none"}`
+        );
+      });
+    }
+
+    Object.entries(results.checks)
+      .filter(([, check]) =>
+        ["FAIL", "ERROR", "TIMEOUT"].includes(check.status)
+      )
+      .forEach(([checkName, check]) => {
+        const message = (check.error || "").split("\n")[0];
+        console.log(`   ${checkName}: ${message}`);
+      });
+  }
+
+  /**
+   * Stop watching and stop all shared Storybook servers
+   */
+  async cleanup(silent = false) {
+    if (this.fileWatcher) {
+      this.fileWatcher.close();
+      this.fileWatcher = null;
+    }
+    await super.cleanup(silent);
+    if (this.stopWatching) {
+      this.stopWatching();
+    }
+  }
+}
+
+class RepairLoop extends EventEmitter {
+  /**
+   * @param {string} componentFilePath - Component the story is written for
+   * @param {object} options - StoryValidator options applied to every
+   *   attempt, plus:
+   * @param {object} options.generator - Object with an async
+   *   `generate(prompt, context)` method (see lib/generators.js)
+   * @param {string} [options.storyFilePath] - Where candidate stories are
+   *   written (default: `<Component>.stories.<ext>` next to the component)
+   * @param {string} [options.promptTemplate] - Template of the first prompt
+   * @param {number} [options.maxAttempts] - Default: 3
+   * @param {boolean} [options.acceptWarnings] - Stop on WARNING, not only on
+   *   PASS
+   * @param {number} [options.maxTokens] - Token budget of the feedback
+   */
+  constructor(componentFilePath, options) {
+    super();
+    this.componentFilePath = componentFilePath;
+    this.options = options;
+    this.generator = options.generator;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.storyFilePath =
+      options.storyFilePath || getDefaultStoryPath(componentFilePath);
+    this.results = {
+      componentFile: componentFilePath,
+      storyFile: this.storyFilePath,
+      timestamp: new Date().toISOString(),
+      attempts: [],
+      outcome: null,
+    };
+  }
+
+  /**
+   * Whether an attempt's verdict ends the loop
+   */
+  isAccepted(overallStatus) {
+    return (
+      overallStatus === "PASS" ||
+      (this.options.acceptWarnings && overallStatus === "WARNING")
+    );
+  }
+
+  /**
+   * Generate, validate and repair the story until it is accepted or the
+   * attempts run out. The story file is left with the accepted attempt, or
+   * with the best scoring one.
+   */
+  async run(silent = false) {
+    const componentSource = fs.readFileSync(this.componentFilePath, "utf8");
+    const extension = path.extname(this.componentFilePath);
+    const values = {
+      componentName: getComponentName(this.componentFilePath),
+      componentPath: path.relative(process.cwd(), this.componentFilePath),
+      componentSource,
+      storyPath: path.relative(process.cwd(), this.storyFilePath),
+      language: extension.slice(1),
+    };
+    const storybookServer = createStorybookServer(
+      findProjectRoot(this.storyFilePath),
+      this.options
+    );
+
+    try {
+      let previousStory = null;
+      let feedback = null;
+      for (let attempt = 1; attempt <= this.maxAttempts; attempt++) {
+        const record = await this.runAttempt(attempt, {
+          ...values,
+          previousStory,
+          feedback,
+          storybookServer,
+          silent,
+        });
+        this.results.attempts.push(record);
+        this.emit("attemptFinished", record);
+        if (!silent) {
+          this.printAttempt(record);
+        }
+
+        const status = record.results?.summary?.overallStatus;
+        if (record.error || this.isAccepted(status)) {
+          break;
+        }
+        previousStory = record.story;
+        feedback = record.feedback;
+      }
+    } finally {
+      await storybookServer.stop(silent);
+    }
+
+    this.results.outcome = this.getOutcome();
+    if (this.results.outcome.story !== null) {
+      fs.writeFileSync(this.storyFilePath, this.results.outcome.story);
+    }
+    if (!silent) {
+      this.printOutcome();
+    }
+    return this.results;
+  }
+
+  /**
+   * Ask the generator for a story, write it and validate it
+   */
+  async runAttempt(attempt, values) {
+    const { storybookServer, silent, ...promptValues } = values;
+    const startedAt = Date.now();
+    const prompt = buildPrompt(
+      this.options.promptTemplate || DEFAULT_PROMPT_TEMPLATE,
+      promptValues
+    );
+    const record = {
+      attempt,
+      prompt,
+      story: null,
+      results: null,
+      feedback: null,
+      error: null,
+      durationMs: 0,
+    };
+    this.emit("attemptStarted", { attempt, prompt });
+    if (!silent) {
+      console.log(
+        `\n🤖 Attempt ${attempt}/${this.maxAttempts}: generating ${values.storyPath}`
+      );
+    }
+
+    try {
+      const reply = await this.generator.generate(prompt, {
+        attempt,
+        componentFile: this.componentFilePath,
+        componentName: values.componentName,
+        storyFile: this.storyFilePath,
+        previousStory: values.previousStory,
+        feedback: values.feedback,
+      });
+      record.story = extractStorySource(reply);
+    } catch (error) {
+      if (this.options.signal && this.options.signal.aborted) {
+        throw this.options.signal.reason;
+      }
+      record.error = `Generator failed: ${error.message.trim()}`;
+      record.durationMs = Date.now() - startedAt;
+      return record;
+    }
+
+    fs.writeFileSync(this.storyFilePath, record.story);
+    const validator = new StoryValidator(this.storyFilePath, {
+      ...this.options,
+      storybookServer,
+    });
+    record.results = await validator.validate(true);
+    record.feedback = validator.getResultsPrompt(this.options.maxTokens);
+    record.durationMs = Date.now() - startedAt;
+    return record;
+  }
+
+  /**
+   * The attempt the loop settled on: the first accepted one, otherwise the
+   * best scoring one
+   */
+  getOutcome() {
+    const validated = this.results.attempts.filter(
+      (attempt) => attempt.results && attempt.results.summary
+    );
+    const accepted = validated.find((attempt) =>
+      this.isAccepted(attempt.results.summary.overallStatus)
+    );
+    const best =
+      accepted ||
+      validated.reduce(
+        (bestAttempt, attempt) =>
+          !bestAttempt ||
+          (attempt.results.summary.score ?? -1) >
+            (bestAttempt.results.summary.score ?? -1)
+            ? attempt
+            : bestAttempt,
+        null
+      );
+    const lastAttempt =
+      this.results.attempts[this.results.attempts.length - 1] || null;
+
+    return {
+      accepted: Boolean(accepted),
+      attempts: this.results.attempts.length,
+      attempt: best ? best.attempt : null,
+      overallStatus: best
+        ? best.results.summary.overallStatus
+        : lastAttempt && lastAttempt.error
+        ? "ERROR"
+        : "NOT_EVALUATED",
+      score: best ? best.results.summary.score : null,
+      error: lastAttempt ? lastAttempt.error : null,
+      story: best ? best.story : null,
+    };
+  }
+
+  /**
+   * Print the verdict of an attempt and its failing checks
+   */
+  printAttempt(record) {
+    if (record.error) {
+      console.log(`   ❌ ${record.error}`);
+      return;
+    }
+    const { summary, checks, error } = record.results;
+    console.log(
+      `   ${formatVerdict(summary)} in ${Math.round(record.durationMs / 1000)}s`
+    );
+    if (error) {
+      console.log(`   ❌ ${error}`);
+    }
+    Object.entries(checks)
+      .filter(([, check]) => !["PASS", "SKIP"].includes(check.status))
+      .forEach(([checkName, check]) => {
+        const message = (check.error || "").split("\n")[0];
+        console.log(
+          `   ${getStatusIcon(check.status)} ${checkName}: ${message}`
+        );
+      });
+  }
+
+  /**
+   * Print the final outcome
+   */
+  printOutcome() {
+    const { outcome } = this.results;
+    const storyFile = path.relative(process.cwd(), this.results.storyFile);
+    console.log(`\n${"=".repeat(50)}`);
+    if (outcome.accepted) {
+      console.log(
+        `✅ Attempt ${outcome.attempt} was accepted after ${outcome.attempts} attempt(s): ${storyFile}`
+      );
+    } else if (outcome.attempt) {
+      console.log(
+        `❌ No attempt was accepted in ${outcome.attempts} attempt(s); kept attempt ${outcome.attempt} (${outcome.score}%, ${outcome.overallStatus}) in ${storyFile}`
+      );
+    } else {
+      console.log(
+        `❌ No story was validated: ${outcome.error || "no attempts"}`
+      );
+    }
+  }
+
+  /**
+   * Get results as JSON string
+   */
+  getResultsJSON() {
+    return JSON.stringify(this.results, null, 2);
+  }
+}
+
+class ExperimentRunner extends BatchValidator {
+  /**
+   * @param {object} manifest - Loaded experiment manifest (see
+   *   lib/experiments.js)
+   * @param {object} options - StoryValidator options applied to every entry,
+   *   plus:
+   * @param {string} options.storePath - JSONL file the records are appended to
+   * @param {string} [options.runId] - Default: derived from the start time
+   * @param {string} [options.baseDir] - Paths in the records are relative to
+   *   it (default: the working directory)
+   */
+  constructor(manifest, options) {
+    super(
+      manifest.entries.map((entry) => entry.story),
+      options
+    );
+    this.manifest = manifest;
+    this.store = new ExperimentStore(options.storePath);
+    this.runId =
+      options.runId || `run-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  }
+
+  /**
+   * Validate every entry, append the records to the store and compare the
+   * variants of this run
+   */
+  async run(silent = false) {
+    await this.validate(silent);
+
+    const run = {
+      runId: this.runId,
+      experiment: this.manifest.name,
+      baseDir: this.options.baseDir,
+    };
+    const records = this.results.files.map((fileResults, index) =>
+      createRecord(run, this.manifest.entries[index], fileResults)
+    );
+    this.store.append(records);
+
+    this.results.runId = this.runId;
+    this.results.experiment = this.manifest.name;
+    this.results.comparison = compareVariants(records);
+    if (!silent) {
+      console.log(
+        `\n🧪 Experiment ${this.manifest.name} (${this.runId}), ${records.length} record(s) appended to ${this.store.filePath}:\n`
+      );
+      console.log(formatComparison(this.results.comparison));
+    }
+    return this.results;
+  }
+}
+
+/**
+ * Run the `experiment` command: validate a manifest's stories and compare
+ * the variants, or only compare stored records with --report
+ */
+async function runExperiment(manifestPaths, values, options) {
+  const { format, ...validatorOptions } = options;
+  const fail = (message) => {
+    console.error(`❌ ${message}`);
+    process.exit(1);
+  };
+
+  if (manifestPaths.length > 1 || (!manifestPaths[0] && !values.report)) {
+    fail(
+      "Usage: node validate_story.js experiment <manifest.json> [--store <file>] [--run-id <id>] [--report]"
+    );
+  }
+  if (!["text", "json"].includes(format) || values.watch) {
+    fail("experiment only supports the text and json formats, without --watch");
+  }
+
+  let manifest = null;
+  if (manifestPaths[0]) {
+    try {
+      manifest = loadManifest(manifestPaths[0]);
+    } catch (error) {
+      fail(error.message);
+    }
+  }
+  const missing = manifest
+    ? manifest.entries.filter((entry) => !fs.existsSync(entry.story))
+    : [];
+  if (missing.length > 0 && !values.report) {
+    missing.forEach((entry) =>
+      console.error(`❌ Story file not found: ${entry.story}`)
+    );
+    process.exit(1);
+  }
+  if (!manifest && !values.store) {
+    fail("--report without a manifest needs --store <file>");
+  }
+  const storePath = values.store
+    ? path.resolve(values.store)
+    : path.join(
+        path.dirname(path.resolve(manifestPaths[0])),
+        "experiments.jsonl"
+      );
+
+  if (values.report) {
+    let records;
+    try {
+      records = new ExperimentStore(storePath).read({
+        runId: values["run-id"],
+        experiment: manifest ? manifest.name : undefined,
+      });
+    } catch (error) {
+      fail(error.message);
+    }
+    if (records.length === 0) {
+      fail(`No matching records in ${storePath}`);
+    }
+    const comparison = compareVariants(records);
+    writeOutput(
+      format === "json"
+        ? JSON.stringify(comparison, null, 2)
+        : formatComparison(comparison),
+      values.output
+    );
+    process.exit(0);
+  }
+
+  const runner = new ExperimentRunner(manifest, {
+    ...validatorOptions,
+    storePath,
+    runId: values["run-id"],
+    baseDir: path.dirname(path.resolve(manifestPaths[0])),
+  });
+  const cleanup = async () => {
+    await runner.cleanup();
+    process.exit(0);
+  };
+  process.on("SIGINT", cleanup);
+  process.on("SIGTERM", cleanup);
+  process.on("SIGQUIT", cleanup);
+
+  try {
+    await runner.run(format === "json" && !values.output);
+    if (format === "json") {
+      writeOutput(runner.getResultsJSON(), values.output);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Experiment failed:", error.message);
+    process.exit(2);
+  }
+}
+
+/**
+ * Run the `report` command: render results JSON files as Markdown or HTML
+ */
+function runReport(resultFiles, values) {
+  const format = values.format || "markdown";
+  const fail = (message) => {
+    console.error(`❌ ${message}`);
+    process.exit(1);
+  };
+
+  if (resultFiles.length === 0) {
+    fail(
+      "Usage: node validate_story.js report <results.json>... [--format markdown|html]"
+    );
+  }
+  if (!REPORT_FORMATS.includes(format)) {
+    fail(
+      `report only supports the ${REPORT_FORMATS.join(
+        " and "
+      )} formats, not "${format}"`
+    );
+  }
+
+  let entries;
+  try {
+    entries = loadResultFiles(resultFiles);
+  } catch (error) {
+    fail(error.message);
+  }
+
+  // Story paths are written as validated; relative ones may also be relative
+  // to the results file when the report is built elsewhere
+  const sourceFiles = new Map(
+    entries.map(({ file, results }) => [
+      results,
+      [
+        path.resolve(results.storyFile),
+        path.resolve(path.dirname(file), results.storyFile),
+      ],
+    ])
+  );
+  const getSource = (results) => {
+    const sourceFile = sourceFiles
+      .get(results)
+      .find((candidate) => fs.existsSync(candidate));
+    return sourceFile ? fs.readFileSync(sourceFile, "utf8") : null;
+  };
+
+  const storyResults = entries.map(({ results }) => results);
+  const formatReport =
+    format === "html" ? formatHtmlReport : formatMarkdownReport;
+  writeOutput(formatReport(storyResults, { getSource }), values.output);
+  process.exit(0);
+}
+
+/**
+ * Run the `conventions` command: print the conventions profile learned from
+ * story files, to review it or pin it with checks.conventions.profile
+ */
+function runConventions(inputs, values) {
+  const fail = (message) => {
+    console.error(`❌ ${message}`);
+    process.exit(1);
+  };
+
+  if (inputs.length === 0) {
+    fail(
+      "Usage: node validate_story.js conventions <story_file|directory|glob>... [--output <file>]"
+    );
+  }
+  if (values.format && values.format !== "json") {
+    fail(`conventions only supports the json format, not "${values.format}"`);
+  }
+  const { files, unmatched } = expandStoryPaths(inputs);
+  if (unmatched.length > 0) {
+    fail(`No story files found for: ${unmatched.join(", ")}`);
+  }
+
+  const ts = loadTypeScript(findProjectRoot(files[0]));
+  const profile = deriveConventionsProfile(
+    files.map((file) => readStoryConventions(file, ts))
+  );
+  if (!profile) {
+    fail(
+      `Need at least ${MIN_REFERENCE_STORIES} story files with a meta to learn conventions from`
+    );
+  }
+  writeOutput(JSON.stringify(profile, null, 2), values.output);
+  process.exit(0);
+}
+
+/**
+ * Run the `loop` command: generate, validate and repair a component's story
+ */
+async function runLoop(componentFiles, values, options) {
+  const { format, ...loopOptions } = options;
+  const fail = (message) => {
+    console.error(`❌ ${message}`);
+    process.exit(1);
+  };
+
+  if (componentFiles.length !== 1) {
+    fail(
+      "Usage: node validate_story.js loop <component_file> --generator <command|module|stub>"
+    );
+  }
+  const componentFilePath = path.resolve(componentFiles[0]);
+  if (!fs.existsSync(componentFilePath)) {
+    fail(`Component file not found: ${componentFiles[0]}`);
+  }
+  if (!values.generator) {
+    fail(
+      "--generator is required: a shell command, a CommonJS module exporting generate(prompt), or stub"
+    );
+  }
+  if (!["text", "json"].includes(format) || values.watch) {
+    fail("loop only supports the text and json formats, without --watch");
+  }
+  const maxAttempts =
+    values["max-attempts"] !== undefined
+      ? Number(values["max-attempts"])
+      : undefined;
+  if (
+    maxAttempts !== undefined &&
+    !(Number.isInteger(maxAttempts) && maxAttempts > 0)
+  ) {
+    fail(`Invalid --max-attempts "${values["max-attempts"]}"`);
+  }
+  let promptTemplate;
+  if (values["prompt-template"]) {
+    if (!fs.existsSync(values["prompt-template"])) {
+      fail(`Prompt template not found: ${values["prompt-template"]}`);
+    }
+    promptTemplate = fs.readFileSync(values["prompt-template"], "utf8");
+  }
+
+  const controller = new AbortController();
+  const abort = () => controller.abort(new Error("Interrupted"));
+  process.on("SIGINT", abort);
+  process.on("SIGTERM", abort);
+  process.on("SIGQUIT", abort);
+
+  let loop;
+  try {
+    loop = new RepairLoop(componentFilePath, {
+      ...loopOptions,
+      generator: createGenerator(values.generator, {
+        signal: controller.signal,
+      }),
+      promptTemplate,
+      storyFilePath: values.story && path.resolve(values.story),
+      maxAttempts,
+      acceptWarnings: values["accept-warnings"],
+      signal: controller.signal,
+    });
+  } catch (error) {
+    fail(error.message);
+  }
+  if (fs.existsSync(loop.storyFilePath) && !values.overwrite) {
+    fail(
+      `${path.relative(
+        process.cwd(),
+        loop.storyFilePath
+      )} already exists (pass --overwrite to replace it, or --story <path>)`
+    );
+  }
+
+  try {
+    const results = await loop.run(format === "json" && !values.output);
+    if (format === "json") {
+      writeOutput(loop.getResultsJSON(), values.output);
+    }
+    const { outcome } = results;
+    process.exit(
+      outcome.accepted ? 0 : Math.max(1, getExitCode(outcome.overallStatus))
+    );
+  } catch (error) {
+    console.error("❌ Repair loop failed:", error.message);
+    process.exit(2);
+  }
+}
+
+/**
+ * Print the usage of the flags that configure the checks
+ */
+function printConfigUsage() {
+  console.error(
+    `   Usage: --checks, --skip-checks and --required take comma-separated checks (${CHECK_NAMES.join(
+      ", "
+    )})`
+  );
+  console.error(
+    "          --severity <check>=<critical|major|minor>  --weight <check>=<number >= 0>"
+  );
+  console.error(
+    "          --pass-threshold <0-100>  --warning-threshold <0-100, at most the pass threshold>"
+  );
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const { values, positionals } = parseArgs({
+    options: {
+      json: { type: "boolean", default: false },
+      format: { type: "string" },
+      "max-tokens": { type: "string" },
+      "test-backend": { type: "string" },
+      "a11y-fail": { type: "string" },
+      "a11y-warn": { type: "string" },
+      port: { type: "string" },
+      "storybook-timeout": { type: "string" },
+      url: { type: "string" },
+      "static-dir": { type: "string" },
+      watch: { type: "boolean", default: false },
+      "watch-imports": { type: "boolean", default: false },
+      config: { type: "string" },
+      checks: { type: "string" },
+      "skip-checks": { type: "string" },
+      required: { type: "string" },
+      weight: { type: "string", multiple: true },
+      severity: { type: "string", multiple: true },
+      "pass-threshold": { type: "string" },
+      "warning-threshold": { type: "string" },
+      generator: { type: "string" },
+      "prompt-template": { type: "string" },
+      "max-attempts": { type: "string" },
+      story: { type: "string" },
+      "accept-warnings": { type: "boolean", default: false },
+      overwrite: { type: "boolean", default: false },
+      store: { type: "string" },
+      "run-id": { type: "string" },
+      report: { type: "boolean", default: false },
+      output: { type: "string" },
+      "conventions-profile": { type: "string" },
+      "update-snapshots": { type: "boolean", default: false },
+      "inspect-renders": { type: "boolean", default: false },
+    },
+    allowPositionals: true,
+  });
+
+  if (positionals[0] === "report") {
+    runReport(positionals.slice(1), values);
+    return;
+  }
+  if (positionals[0] === "conventions") {
+    runConventions(positionals.slice(1), values);
+    return;
+  }
+
+  const testBackend = values["test-backend"];
+  if (testBackend && !["vitest", "test-runner"].includes(testBackend)) {
+    console.error(
+      `❌ Unknown --test-backend "${testBackend}" (expected vitest or test-runner)`
+    );
+    process.exit(1);
+  }
+
+  const port = values.port !== undefined ? Number(values.port) : undefined;
+  if (port !== undefined && !(Number.isInteger(port) && port > 0)) {
+    console.error(`❌ Invalid --port "${values.port}"`);
+    process.exit(1);
+  }
+
+  const storybookTimeout =
+    values["storybook-timeout"] !== undefined
+      ? Number(values["storybook-timeout"])
+      : undefined;
+  if (storybookTimeout !== undefined && !(storybookTimeout > 0)) {
+    console.error(
+      `❌ Invalid --storybook-timeout "${values["storybook-timeout"]}" (expected seconds)`
+    );
+    process.exit(1);
+  }
+
+  const format = values.format || (values.json ? "json" : "text");
+  if (!OUTPUT_FORMATS.includes(format)) {
+    console.error(
+      `❌ Unknown --format "${format}" (expected ${OUTPUT_FORMATS.join(", ")})`
+    );
+    process.exit(1);
+  }
+  if (values.json && format !== "json") {
+    console.error("❌ --json cannot be combined with --format " + format);
+    process.exit(1);
+  }
+
+  const maxTokens =
+    values["max-tokens"] !== undefined
+      ? Number(values["max-tokens"])
+      : undefined;
+  if (
+    maxTokens !== undefined &&
+    !(Number.isInteger(maxTokens) && maxTokens > 0)
+  ) {
+    console.error(`❌ Invalid --max-tokens "${values["max-tokens"]}"`);
+    process.exit(1);
+  }
+
+  if (values.output && format === "text") {
+    console.error(
+      "❌ --output needs a file format: --format json, prompt, junit or sarif"
+    );
+    process.exit(1);
+  }
+
+  if (values.watch && format !== "text") {
+    console.error(`❌ --watch cannot be combined with --format ${format}`);
+    process.exit(1);
+  }
+
+  if (values.url && values["static-dir"]) {
+    console.error("❌ Use either --url or --static-dir, not both");
+    process.exit(1);
+  }
+  if (values["static-dir"] && !fs.existsSync(values["static-dir"])) {
+    console.error(`❌ Static Storybook not found: ${values["static-dir"]}`);
+    process.exit(1);
+  }
+
+  if (values.config && !fs.existsSync(values.config)) {
+    console.error(`❌ Config file not found: ${values.config}`);
+    process.exit(1);
+  }
+  if (
+    values["conventions-profile"] &&
+    !fs.existsSync(values["conventions-profile"])
+  ) {
+    console.error(
+      `❌ Conventions profile not found: ${values["conventions-profile"]}`
+    );
+    process.exit(1);
+  }
+
+  let config;
+  try {
+    config = buildConfigOverrides({
+      checks: values.checks,
+      skipChecks: values["skip-checks"],
+      required: values.required,
+      weights: values.weight,
+      severities: values.severity,
+      passThreshold: values["pass-threshold"],
+      warningThreshold: values["warning-threshold"],
+      conventionsProfile: values["conventions-profile"],
+      inspectRenders: values["inspect-renders"],
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    printConfigUsage();
+    process.exit(1);
+  }
+  if (values["update-snapshots"]) {
+    // Updating the baselines needs the check that takes them
+    config.checks.visual = { ...config.checks.visual, enabled: true };
+  }
+
+  const a11y = {};
+  try {
+    if (values["a11y-fail"] !== undefined) {
+      a11y.failImpacts = parseImpactLevels(values["a11y-fail"]);
+    }
+    if (values["a11y-warn"] !== undefined) {
+      a11y.warnImpacts = parseImpactLevels(values["a11y-warn"]);
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+
+  const options = {
+    testBackend,
+    a11y,
+    port,
+    storybookTimeoutMs: storybookTimeout && storybookTimeout * 1000,
+    storybookUrl: values.url,
+    staticDir: values["static-dir"] && path.resolve(values["static-dir"]),
+    configFile: values.config && path.resolve(values.config),
+    config,
+    updateSnapshots: values["update-snapshots"],
+  };
+
+  if (positionals[0] === "experiment") {
+    await runExperiment(positionals.slice(1), values, { ...options, format });
+    return;
+  }
+
+  if (positionals[0] === "loop") {
+    await runLoop(positionals.slice(1), values, {
+      ...options,
+      format,
+      maxTokens,
+    });
+    return;
+  }
+
+  if (positionals.length === 0) {
+    console.error(
+      "❌ Usage: node validate_story.js <story_file_path|directory|glob>... [--json]"
+    );
+    console.error(
+      "       node validate_story.js loop <component_file> --generator <command|module|stub>"
+    );
+    console.error(
+      "       node validate_story.js experiment <manifest.json> [--store <file>]"
+    );
+    console.error(
+      "       node validate_story.js report <results.json>... [--format markdown|html]"
+    );
+    console.error(
+      "Example: node validate_story.js ./src/components/Button.stories.tsx"
+    );
+    console.error(
+      "Example: node validate_story.js ./src/components/Button.stories.tsx --json"
+    );
+    console.error(
+      'Example: node validate_story.js "./src/**/*.stories.tsx" ./src/forms'
+    );
+    process.exit(1);
+  }
+
+  const { files, unmatched } = expandStoryPaths(positionals);
+
+  if (unmatched.length > 0) {
+    unmatched.forEach((input) =>
+      console.error(`❌ Story file not found: ${input}`)
+    );
+    process.exit(1);
+  }
+
+  // Resolve each project's config up front, so that flags which only clash
+  // with its config file (e.g. a warning threshold above its pass threshold)
+  // are reported before anything runs
+  try {
+    new Set(files.map(findProjectRoot)).forEach((projectRoot) =>
+      loadConfig(projectRoot, {
+        configFile: options.configFile,
+        overrides: config,
+      })
+    );
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    printConfigUsage();
+    process.exit(1);
+  }
+
+  // A single plain file keeps the single-story report shape
+  const isBatch =
+    positionals.length > 1 ||
+    files.length > 1 ||
+    !fs.existsSync(positionals[0]) ||
+    fs.statSync(positionals[0]).isDirectory();
+
+  let validator = null;
+
+  // Handle process signals for graceful shutdown
+  const cleanup = async () => {
+    if (validator) {
+      await validator.cleanup();
+    }
+    process.exit(0);
+  };
+
+  process.on("SIGINT", cleanup);
+  process.on("SIGTERM", cleanup);
+  process.on("SIGQUIT", cleanup);
+
+  try {
+    if (values.watch) {
+      validator = new WatchValidator(files, {
+        ...options,
+        watchImports: values["watch-imports"],
+      });
+      await validator.watch();
+      process.exit(0);
+    }
+
+    validator = isBatch
+      ? new BatchValidator(files, options)
+      : new StoryValidator(files[0], options);
+    // Machine-readable formats replace the console report, unless they are
+    // written to a file
+    const results = await validator.validate(
+      format !== "text" && !values.output
+    );
+    const overallStatus = isBatch
+      ? results.totals?.overallStatus
+      : results.summary?.overallStatus;
+
+    const exitCode = getExitCode(overallStatus);
+
+    const formatResults = {
+      // JSON for programmatic use
+      json: () => validator.getResultsJSON(),
+      // Feedback for the next generation turn
+      prompt: () => validator.getResultsPrompt(maxTokens),
+      // CI test results and code scanning
+      junit: () => validator.getResultsJUnit(),
+      sarif: () => validator.getResultsSarif(),
+    }[format];
+    if (formatResults) {
+      writeOutput(formatResults(), values.output);
+    }
+
+    // Exit with appropriate code
+    process.exit(exitCode);
+  } catch (error) {
+    console.error("❌ Validation script failed:", error.message);
+    process.exit(2);
+  } finally {
+    // Ensure cleanup happens
+    if (validator) {
+      await validator.cleanup();
+    }
+  }
+}
 
 // Run if called directly
 if (require.main === module) {
   main().catch((error) => {
     console.error("❌ Unhandled error:", error);
-    process.exit(1);
+    process.exit(2);
   });
 }
 
 module.exports = StoryValidator;
+module.exports.BatchValidator = BatchValidator;
+module.exports.WatchValidator = WatchValidator;
+module.exports.RepairLoop = RepairLoop;
+module.exports.ExperimentRunner = ExperimentRunner;
+module.exports.CHECK_NAMES = CHECK_NAMES;
+module.exports.findProjectRoot = findProjectRoot;